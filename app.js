@@ -7,6 +7,8 @@ const serviceRoutes = require('./routes/service.routes');
 const bookingRoutes = require('./routes/booking.routes');
 const reviewRoutes = require('./routes/review.routes');
 const paymentRoutes = require('./routes/payment.routes');
+const waitlistRoutes = require('./routes/waitlist.routes');
+const vehicleRoutes = require('./routes/vehicle.routes');
 
 const app = express();
 
@@ -29,5 +31,7 @@ app.use('/api/services', serviceRoutes);
 app.use('/api/bookings', bookingRoutes);
 app.use('/api/reviews', reviewRoutes);
 app.use('/api/payments', paymentRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/vehicles', vehicleRoutes);
 
 module.exports = app;
\ No newline at end of file
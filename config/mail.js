@@ -0,0 +1,78 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Mail transport is chosen with MAIL_TRANSPORT: 'console' (default), 'file' or 'smtp'
+// Read per call, like MAIL_TRANSPORT: server.js loads .env after the app modules
+const mailFrom = () => process.env.MAIL_FROM || 'Garage System <no-reply@garage-system.local>';
+const mailDir = () => process.env.MAIL_DIR || 'logs/mail';
+
+// Print messages to the server log (development default)
+const consoleTransport = async (message) => {
+  console.log('📧 Mail (console transport):', JSON.stringify(message, null, 2));
+  return { delivered: true, transport: 'console' };
+};
+
+// Write each message to a JSON file so it can be inspected locally
+const fileTransport = async (message) => {
+  const dir = mailDir();
+  await fs.mkdir(dir, { recursive: true });
+  const fileName = `${Date.now()}-${Math.round(Math.random() * 1e9)}.json`;
+  const filePath = path.join(dir, fileName);
+  await fs.writeFile(filePath, JSON.stringify(message, null, 2));
+  return { delivered: true, transport: 'file', path: filePath };
+};
+
+// Send through an SMTP server (nodemailer is only loaded when needed)
+let smtpClient;
+const smtpTransport = async (message) => {
+  if (!smtpClient) {
+    const nodemailer = require('nodemailer');
+    smtpClient = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+
+  const info = await smtpClient.sendMail(message);
+  return { delivered: true, transport: 'smtp', messageId: info.messageId };
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport,
+  smtp: smtpTransport
+};
+
+// Register a custom transport (e.g. a third-party mail API)
+const registerTransport = (name, handler) => {
+  if (typeof handler !== 'function') {
+    throw new Error('Mail transport must be a function');
+  }
+  transports[name] = handler;
+};
+
+// Send an email through the configured transport
+const sendMail = async ({ to, subject, text, html }) => {
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  try {
+    return await transport({ from: mailFrom(), to, subject, text, html });
+  } catch (error) {
+    console.error('Error sending mail:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  sendMail,
+  registerTransport
+};
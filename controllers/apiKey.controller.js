@@ -0,0 +1,260 @@
+// ==========================================
+// controllers/apiKey.controller.js
+// Per-garage API keys for back-office integrations
+// ==========================================
+
+const ApiKey = require('../models/ApiKey');
+const mongoose = require('mongoose');
+
+// Validate requested scopes, returning an error message or null
+const validateScopes = (scopes) => {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return 'At least one scope is required';
+  }
+
+  const invalid = scopes.filter(scope => !ApiKey.SCOPES.includes(scope));
+  if (invalid.length > 0) {
+    return `Invalid scopes: ${invalid.join(', ')}. Allowed: ${ApiKey.SCOPES.join(', ')}`;
+  }
+
+  return null;
+};
+
+// Expiry date from an optional number of days
+const expiryFromDays = (expiresInDays) => {
+  if (!expiresInDays) return null;
+  return new Date(Date.now() + parseInt(expiresInDays) * 24 * 60 * 60 * 1000);
+};
+
+// Find a usable key of the garage in req.resource
+const findGarageKey = (req) => {
+  return ApiKey.findOne({
+    _id: req.params.keyId,
+    garage: req.resource._id,
+    revokedAt: null
+  });
+};
+
+// ==========================================
+// @desc    Create an API key for a garage (the raw key is only shown once)
+// @route   POST /api/garages/:id/api-keys
+// @access  Private (Garage Owner or Admin)
+// ==========================================
+const createApiKey = async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Key name is required'
+      });
+    }
+
+    const scopeError = validateScopes(scopes);
+    if (scopeError) {
+      return res.status(400).json({
+        success: false,
+        message: scopeError
+      });
+    }
+
+    if (req.resource.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Garage not found'
+      });
+    }
+
+    const { rawKey, keyHash, prefix } = ApiKey.generateKey();
+
+    const apiKey = await ApiKey.create({
+      garage: req.resource._id,
+      name,
+      prefix,
+      keyHash,
+      scopes: [...new Set(scopes)],
+      createdBy: req.user.id,
+      expiresAt: expiryFromDays(expiresInDays)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Store it now - it will not be shown again.',
+      data: {
+        apiKey,
+        key: rawKey
+      }
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating API key',
+      error: error.message
+    });
+  }
+};
+
+// ==========================================
+// @desc    List a garage's API keys
+// @route   GET /api/garages/:id/api-keys
+// @access  Private (Garage Owner or Admin)
+// ==========================================
+const getApiKeys = async (req, res) => {
+  try {
+    const filter = { garage: req.resource._id };
+    if (req.query.includeRevoked !== 'true') {
+      filter.revokedAt = null;
+    }
+
+    const apiKeys = await ApiKey.find(filter)
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: apiKeys.length,
+      data: { apiKeys }
+    });
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching API keys',
+      error: error.message
+    });
+  }
+};
+
+// ==========================================
+// @desc    Rotate an API key: issue a replacement with the same name and
+//          scopes, and revoke the old key (optionally after a grace period)
+// @route   POST /api/garages/:id/api-keys/:keyId/rotate
+// @access  Private (Garage Owner or Admin)
+// ==========================================
+const rotateApiKey = async (req, res) => {
+  let session;
+
+  try {
+    session = await mongoose.startSession();
+    session.startTransaction();
+
+    const { keyId } = req.params;
+    const { graceMinutes, expiresInDays } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(keyId)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid API key ID'
+      });
+    }
+
+    const oldKey = await findGarageKey(req).session(session);
+    if (!oldKey) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    const { rawKey, keyHash, prefix } = ApiKey.generateKey();
+
+    const [newKey] = await ApiKey.create([{
+      garage: oldKey.garage,
+      name: oldKey.name,
+      prefix,
+      keyHash,
+      scopes: oldKey.scopes,
+      createdBy: req.user.id,
+      expiresAt: expiryFromDays(expiresInDays)
+    }], { session });
+
+    // Keep the old key working for a short while so integrations can switch over
+    const grace = parseInt(graceMinutes) || 0;
+    if (grace > 0) {
+      oldKey.expiresAt = new Date(Date.now() + grace * 60 * 1000);
+    } else {
+      oldKey.revokedAt = new Date();
+      oldKey.revokedBy = req.user.id;
+    }
+    oldKey.replacedBy = newKey._id;
+    await oldKey.save({ session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(201).json({
+      success: true,
+      message: 'API key rotated. Store the new key now - it will not be shown again.',
+      data: {
+        apiKey: newKey,
+        key: rawKey,
+        previousKey: oldKey
+      }
+    });
+  } catch (error) {
+    if (session) {
+      await session.abortTransaction();
+      session.endSession();
+    }
+    console.error('Rotate API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error rotating API key',
+      error: error.message
+    });
+  }
+};
+
+// ==========================================
+// @desc    Revoke an API key
+// @route   DELETE /api/garages/:id/api-keys/:keyId
+// @access  Private (Garage Owner or Admin)
+// ==========================================
+const revokeApiKey = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.keyId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid API key ID'
+      });
+    }
+
+    const apiKey = await findGarageKey(req);
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    apiKey.revokedAt = new Date();
+    apiKey.revokedBy = req.user.id;
+    await apiKey.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked successfully',
+      data: { apiKey }
+    });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking API key',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  createApiKey,
+  getApiKeys,
+  rotateApiKey,
+  revokeApiKey
+};
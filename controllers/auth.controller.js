@@ -3,17 +3,123 @@
 // ==========================================
 
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const LoginAttempt = require('../models/LoginAttempt');
+const { sendMail } = require('../config/mail');
+const totp = require('../utils/totp');
+const { softDeleteUserCascade } = require('./user.controller');
+const mongoose = require('mongoose');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 
-// Generate JWT Token
-const generateToken = (id, role) => {
+// Token lifetimes are read per call: server.js loads .env after the app modules
+const accessTokenExpiresIn = () => process.env.JWT_EXPIRES_IN || '15m';
+const refreshTokenDays = () => parseInt(process.env.JWT_REFRESH_EXPIRES_DAYS) || 30;
+
+// Generate short-lived access token bound to a session family
+const generateToken = (id, role, sessionId) => {
+  return jwt.sign(
+    { id, role, sid: sessionId },
+    process.env.JWT_SECRET || 'your-secret-key',
+    { expiresIn: accessTokenExpiresIn() }
+  );
+};
+
+// Short-lived token for the second login step ('2fa_login' or '2fa_setup')
+// Each challenge gets its own id so wrong codes can be capped per login
+const generateChallengeToken = (id, purpose) => {
   return jwt.sign(
-    { id, role },
+    { id, purpose, jti: crypto.randomUUID() },
     process.env.JWT_SECRET || 'your-secret-key',
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+    { expiresIn: '5m' }
   );
 };
 
+// Issue an access token plus a rotating refresh token for this device.
+// Pass an existing family to rotate within the same session.
+const issueTokens = async (user, req, family) => {
+  const sessionId = family || crypto.randomUUID();
+  const refreshToken = crypto.randomBytes(40).toString('hex');
+
+  const stored = await RefreshToken.create({
+    user: user._id,
+    tokenHash: RefreshToken.hashToken(refreshToken),
+    family: sessionId,
+    device: {
+      deviceId: req.headers['x-device-id'] || req.body?.deviceId || null,
+      userAgent: req.headers['user-agent'] || null,
+      ip: req.ip || null
+    },
+    expiresAt: new Date(Date.now() + refreshTokenDays() * 24 * 60 * 60 * 1000)
+  });
+
+  return {
+    token: generateToken(user._id, user.role, sessionId),
+    refreshToken,
+    refreshTokenId: stored._id,
+    expiresIn: accessTokenExpiresIn()
+  };
+};
+
+
+// Count a failed login against both the IP and the email.
+// Returns the lock that was just applied, if any.
+const recordFailedLogin = async (req, email) => {
+  const attempts = await Promise.all([
+    LoginAttempt.recordFailure(LoginAttempt.ipKey(req.ip), 'ip'),
+    LoginAttempt.recordFailure(LoginAttempt.emailKey(email), 'email')
+  ]);
+
+  return attempts.find(a => a.lockedUntil && a.lockedUntil > new Date()) || null;
+};
+
+// Check a TOTP code or one-time recovery code against the user's 2FA settings.
+// Marks the code as used on the document; the caller must save the user.
+const checkSecondFactor = (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = totp.verifyTotp(user.twoFactor.secret, code);
+    if (step === null || (user.twoFactor.lastUsedStep !== null && step <= user.twoFactor.lastUsedStep)) {
+      return false;
+    }
+    user.twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  if (recoveryCode) {
+    const hash = totp.hashRecoveryCode(recoveryCode);
+    if (!user.twoFactor.recoveryCodes.includes(hash)) {
+      return false;
+    }
+    user.twoFactor.recoveryCodes = user.twoFactor.recoveryCodes.filter(c => c !== hash);
+    return true;
+  }
+
+  return false;
+};
+
+// Build the user payload returned by login-type endpoints
+const authUserResponse = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  phone: user.phone,
+  avatar: user.avatar,
+  canCreateGarage: user.canCreateGarage,
+  isEmailVerified: user.isEmailVerified
+});
+
+// Email a verification link to the user
+const sendVerificationEmail = async (user, verificationToken) => {
+  const verifyUrl = `${process.env.API_URL || 'http://localhost:5000'}/api/auth/verify-email/${verificationToken}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your Garage System email',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening the link below.\n\n${verifyUrl}`,
+    html: `<p>Hi ${user.name},</p><p>Please confirm your email address by opening the link below.</p><p><a href="${verifyUrl}">Verify email</a></p>`
+  });
+};
 
 // @desc    Register a new user
 // @route   POST /api/auth/register
@@ -40,27 +146,26 @@ const register = async (req, res) => {
       role: role || 'car_owner'
     });
 
-    // Generate token
-    const token = jwt.sign(
-      { id: user._id, role: user.role },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '7d' }
-    );
+    // Send verification email (registration still succeeds if mail fails)
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+    try {
+      await sendVerificationEmail(user, verificationToken);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
+    // Generate tokens
+    const { token, refreshToken, expiresIn } = await issueTokens(user, req);
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       data: {
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-          phone: user.phone,
-          avatar: user.avatar,
-          canCreateGarage: user.canCreateGarage
-        },
-        token
+        user: authUserResponse(user),
+        token,
+        refreshToken,
+        expiresIn
       }
     });
   } catch (error) {
@@ -91,6 +196,7 @@ const login = async (req, res) => {
     // Check if user exists
     const user = await User.findOne({ email: email.toLowerCase() });
     if (!user) {
+      await recordFailedLogin(req, email);
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
@@ -108,29 +214,61 @@ const login = async (req, res) => {
     // Check password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      const lock = await recordFailedLogin(req, email);
+      if (lock) {
+        const retryAfter = Math.ceil((lock.lockedUntil - Date.now()) / 1000);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          success: false,
+          message: 'Too many failed login attempts, please try again later',
+          retryAfter
+        });
+      }
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id, user.role);
+    // Two-step login when 2FA is enabled. Failed attempts are only cleared
+    // once the second factor passes, so re-entering the password can't reset
+    // the count of wrong codes.
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          requiresTwoFactor: true,
+          challengeToken: generateChallengeToken(user._id, '2fa_login')
+        }
+      });
+    }
+
+    await LoginAttempt.clear(LoginAttempt.emailKey(email));
+
+    // Role policy requires 2FA but the user has not enrolled yet
+    if (user.isTwoFactorRequired()) {
+      return res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication setup required',
+        data: {
+          twoFactorSetupRequired: true,
+          challengeToken: generateChallengeToken(user._id, '2fa_setup')
+        }
+      });
+    }
+
+    // Generate tokens
+    const { token, refreshToken, expiresIn } = await issueTokens(user, req);
 
     res.status(200).json({
       success: true,
       message: 'Login successful',
       data: {
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-          phone: user.phone,
-          avatar: user.avatar,
-          canCreateGarage: user.canCreateGarage
-        },
-        token
+        user: authUserResponse(user),
+        token,
+        refreshToken,
+        expiresIn
       }
     });
   } catch (error) {
@@ -183,11 +321,136 @@ const getMe = async (req, res) => {
     });
   }
 };
-// @desc    Logout user
+// @desc    Refresh access token (rotates the refresh token)
+// @route   POST /api/auth/refresh
+// @access  Public
+const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const stored = await RefreshToken.findOne({
+      tokenHash: RefreshToken.hashToken(refreshToken)
+    });
+
+    if (!stored) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+
+    // A revoked token being replayed means it was copied - kill the whole session
+    if (stored.revokedAt) {
+      await RefreshToken.revokeFamily(stored.family, 'reuse_detected');
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token has been revoked'
+      });
+    }
+
+    if (stored.expiresAt <= new Date()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token has expired'
+      });
+    }
+
+    // Claim the token before issuing new ones: of two concurrent refreshes
+    // with the same token only one wins, the other counts as reuse
+    const claimed = await RefreshToken.findOneAndUpdate(
+      { _id: stored._id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'rotated' },
+      { new: true }
+    );
+
+    if (!claimed) {
+      await RefreshToken.revokeFamily(stored.family, 'reuse_detected');
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token has been revoked'
+      });
+    }
+
+    const user = await User.findById(stored.user);
+    if (!user || user.isDeleted) {
+      await RefreshToken.revokeFamily(stored.family, 'user_unavailable');
+      return res.status(401).json({
+        success: false,
+        message: 'User not found or deactivated'
+      });
+    }
+
+    if (user.isTwoFactorRequired() && !user.twoFactor.enabled) {
+      await RefreshToken.revokeFamily(stored.family, 'two_factor_required');
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication setup required, please log in again'
+      });
+    }
+
+    const tokens = await issueTokens(user, req, stored.family);
+
+    await RefreshToken.updateOne({ _id: stored._id }, { replacedBy: tokens.refreshTokenId });
+
+    // A concurrent replay may have revoked the family while we were issuing
+    if (await RefreshToken.exists({ family: stored.family, revokedReason: 'reuse_detected' })) {
+      await RefreshToken.revokeFamily(stored.family, 'reuse_detected');
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token has been revoked'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        token: tokens.token,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.expiresIn
+      }
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error refreshing token',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Logout user (revokes the current session family)
 // @route   POST /api/auth/logout
 // @access  Private
 const logout = async (req, res) => {
   try {
+    const { refreshToken } = req.body;
+    const families = new Set();
+
+    if (req.user.sessionId) {
+      families.add(req.user.sessionId);
+    }
+
+    if (refreshToken) {
+      const stored = await RefreshToken.findOne({
+        tokenHash: RefreshToken.hashToken(refreshToken),
+        user: req.user.id
+      });
+      if (stored) families.add(stored.family);
+    }
+
+    await Promise.all(
+      [...families].map(family => RefreshToken.revokeFamily(family, 'logout'))
+    );
+
     res.status(200).json({
       success: true,
       message: 'Logged out successfully'
@@ -202,9 +465,724 @@ const logout = async (req, res) => {
   }
 };
 
+// @desc    Request a password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an email'
+      });
+    }
+
+    // Same response whether or not the account exists
+    const genericResponse = {
+      success: true,
+      message: 'If an account exists for this email, a reset link has been sent'
+    };
+
+    const user = await User.findOne({ email: email.toLowerCase(), isDeleted: false });
+    if (!user) {
+      return res.status(200).json(genericResponse);
+    }
+
+    const resetToken = user.createPasswordResetToken();
+    await user.save();
+
+    const resetUrl = `${process.env.CLIENT_URL || 'http://localhost:3000'}/reset-password?token=${resetToken}`;
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your Garage System password',
+        text: `Hi ${user.name},\n\nUse the link below to reset your password. It expires soon and can only be used once.\n\n${resetUrl}\n\nIf you did not request this, you can ignore this email.`,
+        html: `<p>Hi ${user.name},</p><p>Use the link below to reset your password. It expires soon and can only be used once.</p><p><a href="${resetUrl}">Reset password</a></p><p>If you did not request this, you can ignore this email.</p>`
+      });
+    } catch (mailError) {
+      // Answer as for unknown addresses, so a mail failure doesn't reveal the account
+      console.error('Password reset email error:', mailError);
+      user.passwordResetToken = null;
+      user.passwordResetExpires = null;
+      await user.save();
+    }
+
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error requesting password reset',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Reset password with a reset token
+// @route   POST /api/auth/reset-password
+// @access  Public
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide reset token and new password'
+      });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters'
+      });
+    }
+
+    const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+    const user = await User.findOne({
+      passwordResetToken: hashedToken,
+      passwordResetExpires: { $gt: new Date() },
+      isDeleted: false
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset token is invalid or has expired'
+      });
+    }
+
+    user.password = password;
+    user.passwordResetToken = null;
+    user.passwordResetExpires = null;
+    await user.save();
+
+    // Log out every existing session
+    await RefreshToken.revokeAllForUser(user._id, 'password_reset');
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset successfully, please log in with your new password'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting password',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Verify email address
+// @route   GET /api/auth/verify-email/:token
+// @access  Public
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.params;
+
+    const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+    const user = await User.findOne({
+      emailVerificationToken: hashedToken,
+      emailVerificationExpires: { $gt: new Date() },
+      isDeleted: false
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token is invalid or has expired'
+      });
+    }
+
+    user.isEmailVerified = true;
+    user.emailVerificationToken = null;
+    user.emailVerificationExpires = null;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying email',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Resend verification email
+// @route   POST /api/auth/resend-verification
+// @access  Private
+const resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.isEmailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+    await sendVerificationEmail(user, verificationToken);
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error sending verification email',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Complete login with a TOTP or recovery code
+// @route   POST /api/auth/login/2fa
+// @access  Public
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide challenge token and a code or recovery code'
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET || 'your-secret-key');
+    } catch (err) {
+      return res.status(401).json({
+        success: false,
+        message: 'Challenge token is invalid or has expired'
+      });
+    }
+
+    if (decoded.purpose !== '2fa_login' || !decoded.jti) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid challenge token'
+      });
+    }
+
+    const user = await User.findById(decoded.id);
+    if (!user || user.isDeleted || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid challenge token'
+      });
+    }
+
+    const challengeKey = LoginAttempt.challengeKey(decoded.jti);
+    const lock = await LoginAttempt.findActiveLock([LoginAttempt.emailKey(user.email), challengeKey]);
+    if (lock && lock.key === challengeKey) {
+      return res.status(401).json({
+        success: false,
+        message: 'Too many invalid codes for this login, please sign in again'
+      });
+    }
+    if (lock) {
+      const retryAfter = Math.ceil((lock.lockedUntil - Date.now()) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: 'Too many failed login attempts, please try again later',
+        retryAfter
+      });
+    }
+
+    if (!checkSecondFactor(user, { code, recoveryCode })) {
+      await Promise.all([
+        recordFailedLogin(req, user.email),
+        LoginAttempt.recordFailure(challengeKey, 'challenge')
+      ]);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    await user.save();
+    await LoginAttempt.clear(LoginAttempt.emailKey(user.email));
+
+    const { token, refreshToken, expiresIn } = await issueTokens(user, req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: authUserResponse(user),
+        token,
+        refreshToken,
+        expiresIn,
+        recoveryCodesRemaining: user.twoFactor.recoveryCodes.length
+      }
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying two-factor code',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Start 2FA enrollment (returns secret and otpauth URI)
+// @route   POST /api/auth/2fa/setup
+// @access  Private (Admin or Garage Owner)
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = totp.generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUrl: totp.buildOtpAuthUri(secret, user.email)
+      }
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error setting up two-factor authentication',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Confirm enrollment with a code and enable 2FA
+// @route   POST /api/auth/2fa/enable
+// @access  Private (Admin or Garage Owner)
+const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a code from your authenticator app'
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+
+    if (!user || !user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor setup has not been started'
+      });
+    }
+
+    const step = totp.verifyTotp(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    const recoveryCodes = totp.generateRecoveryCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = null;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = recoveryCodes.map(totp.hashRecoveryCode);
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    const data = { recoveryCodes };
+
+    // Enrollment forced at login: finish the login now
+    if (req.twoFactorChallenge) {
+      const { token, refreshToken, expiresIn } = await issueTokens(user, req);
+      Object.assign(data, { user: authUserResponse(user), token, refreshToken, expiresIn });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes safely, they will not be shown again',
+      data
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error enabling two-factor authentication',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Disable 2FA (requires password and a code)
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await User.findById(req.user.id);
+
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (user.isTwoFactorRequired()) {
+      return res.status(403).json({
+        success: false,
+        message: `Two-factor authentication is mandatory for ${user.role} accounts`
+      });
+    }
+
+    if (!password || !user.comparePassword(password)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password'
+      });
+    }
+
+    if (!checkSecondFactor(user, { code, recoveryCode })) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    user.twoFactor = {
+      enabled: false,
+      secret: null,
+      pendingSecret: null,
+      recoveryCodes: [],
+      lastUsedStep: null,
+      enabledAt: null
+    };
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error disabling two-factor authentication',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Regenerate recovery codes (invalidates the old ones)
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user.id);
+
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!checkSecondFactor(user, { code })) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    const recoveryCodes = totp.generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = recoveryCodes.map(totp.hashRecoveryCode);
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Recovery codes regenerated',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error regenerating recovery codes',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update own profile
+// @route   PATCH /api/auth/me
+// @access  Private
+const updateMe = async (req, res) => {
+  try {
+    const allowed = ['name', 'phone'];
+    const updates = {};
+
+    Object.keys(req.body).forEach(key => {
+      if (allowed.includes(key)) updates[key] = req.body[key];
+    });
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Nothing to update. Allowed fields: ${allowed.join(', ')}`
+      });
+    }
+
+    if (updates.name !== undefined && !String(updates.name).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name cannot be empty'
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user || user.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    Object.assign(user, updates);
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Profile updated successfully',
+      data: { user }
+    });
+  } catch (error) {
+    console.error('Update profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating profile',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Change own password
+// @route   PUT /api/auth/me/password
+// @access  Private
+const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide current and new password'
+      });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters'
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user || user.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.comparePassword(currentPassword)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // Keep this session, log out every other device
+    await RefreshToken.revokeAllForUser(user._id, 'password_changed', req.user.sessionId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password changed successfully'
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error changing password',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Upload own avatar
+// @route   PUT /api/auth/me/avatar
+// @access  Private
+const updateAvatar = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file uploaded'
+      });
+    }
+
+    if (!req.file.mimetype.startsWith('image/')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Avatar must be an image'
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user || user.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    user.avatar = req.file.path;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Avatar updated successfully',
+      data: { avatar: user.avatar }
+    });
+  } catch (error) {
+    console.error('Update avatar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating avatar',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Deactivate own account (soft delete)
+// @route   DELETE /api/auth/me
+// @access  Private
+const deactivateMe = async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { password } = req.body;
+
+    const user = await User.findById(req.user.id).session(session);
+    if (!user || user.isDeleted) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!password || !user.comparePassword(password)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    await softDeleteUserCascade(user, user._id, session);
+
+    await session.commitTransaction();
+    session.endSession();
+
+    await RefreshToken.revokeAllForUser(user._id, 'account_deactivated');
+
+    res.status(200).json({
+      success: true,
+      message: 'Account deactivated successfully'
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    console.error('Deactivate account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deactivating account',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   register,
   login,
   getMe,
-  logout
+  refresh,
+  logout,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  updateMe,
+  changePassword,
+  updateAvatar,
+  deactivateMe
 };
\ No newline at end of file
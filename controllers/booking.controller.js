@@ -1,11 +1,83 @@
 const Garage = require('../models/garage');
 const Booking = require('../models/booking');
+const BookingSeries = require('../models/BookingSeries');
 const Service = require('../models/Service');
 const User = require('../models/User');
+const Vehicle = require('../models/Vehicle');
+const { bookingPayments, amountHeld, refundBookingPayments } = require('./payment.controller');
+const { applyCancellationPolicy } = require('../utils/cancellation');
+const { can, isSameId } = require('../utils/policy');
+const {
+  normalizeTimeSlot,
+  timeToMinutes,
+  dateAtTime
+} = require('../utils/scheduling');
+const { checkBayCapacity, openingHoursConflict } = require('../utils/availability');
+const { promoteWaitlistLater } = require('../utils/waitlist');
 const mongoose = require('mongoose');
 const path = require('path');
 const fs = require('fs').promises;
 
+// Who is changing a booking's status, for its status history
+const statusActor = (req) => ({
+  changedBy: req.user.id,
+  actorType: req.user.apiKey ? 'api_key' : 'user',
+  apiKey: req.user.apiKey ? req.user.apiKey.id : null
+});
+
+const MAX_SERVICES_PER_BOOKING = 10;
+
+// Service ids from a request body: `serviceIds` (array) or a single `serviceId`
+const requestedServiceIds = ({ serviceIds, serviceId }) => {
+  if (Array.isArray(serviceIds)) return serviceIds;
+  return serviceId ? [serviceId] : [];
+};
+
+// Length of a normalized slot in minutes
+const slotMinutes = (slot) => timeToMinutes(slot.end) - timeToMinutes(slot.start);
+
+// Apply the garage's cancellation policy to a booking that was just cancelled:
+// record the fee on the booking and refund the rest of its completed payments
+// (the original payment plus any balance paid for an accepted quote).
+const applyCancellation = async (booking, garage, req, { reason, byCustomer }, session) => {
+  const policy = garage.bookingPolicy.cancellation;
+  const hoursBeforeStart = (dateAtTime(booking.bookingDate, booking.timeSlot.start) - Date.now()) / (60 * 60 * 1000);
+
+  const payments = await bookingPayments(booking._id, session);
+  const paidAmount = amountHeld(payments);
+  const charge = applyCancellationPolicy(policy, paidAmount, hoursBeforeStart, byCustomer);
+
+  const refunded = await refundBookingPayments(payments, charge.refundAmount, {
+    reason: `Booking cancelled: ${reason}`,
+    requestedBy: req.user.id
+  }, session);
+
+  if (refunded.length > 0 && charge.refundAmount >= paidAmount) {
+    booking.isPaid = false;
+  }
+
+  booking.cancellation = {
+    cancelledAt: new Date(),
+    cancelledBy: req.user.id,
+    byCustomer,
+    reason,
+    hoursBeforeStart: Math.round(hoursBeforeStart * 10) / 10,
+    policy: {
+      freeCancellationHours: policy.freeCancellationHours,
+      lateCancellationFeePercent: policy.lateCancellationFeePercent,
+      noRefundHours: policy.noRefundHours
+    },
+    paidAmount,
+    ...charge,
+    refundPayment: refunded[0],
+    refundPayments: refunded
+  };
+
+  return booking.cancellation;
+};
+
+const INVALID_SLOT_MESSAGE = 'Time slot needs start and end times in HH:MM format, with end after start';
+
 // ==========================================
 // @desc    Create a new booking
 // @route   POST /api/bookings
@@ -20,15 +92,16 @@ const createBooking = async (req, res) => {
 
     const {
       garageId,
-      serviceId,
       bookingDate,
       timeSlot,
+      vehicleId,
       vehicleInfo,
       notes
     } = req.body;
+    const serviceIds = requestedServiceIds(req.body);
 
-    // Validate required fields
-    if (!garageId || !serviceId || !bookingDate || !timeSlot || !vehicleInfo) {
+    // Validate required fields (a registered vehicle or free-text vehicle details)
+    if (!garageId || serviceIds.length === 0 || !bookingDate || !timeSlot || (!vehicleId && !vehicleInfo)) {
       await session.abortTransaction();
       session.endSession();
       return res.status(400).json({
@@ -37,6 +110,15 @@ const createBooking = async (req, res) => {
       });
     }
 
+    if (serviceIds.length > MAX_SERVICES_PER_BOOKING) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: `A booking can include at most ${MAX_SERVICES_PER_BOOKING} services`
+      });
+    }
+
     // Validate garage exists and is active
     const garage = await Garage.findOne({ 
       _id: garageId, 
@@ -53,15 +135,10 @@ const createBooking = async (req, res) => {
       });
     }
 
-    // Validate service exists and belongs to garage
-    const service = await Service.findOne({ 
-      _id: serviceId, 
-      garage: garageId,
-      isDeleted: false,
-      isAvailable: true
-    }).session(session);
+    // Validate services exist and belong to garage
+    const services = await Service.findBookable(garageId, serviceIds, session);
 
-    if (!service) {
+    if (!services) {
       await session.abortTransaction();
       session.endSession();
       return res.status(404).json({
@@ -70,17 +147,84 @@ const createBooking = async (req, res) => {
       });
     }
 
-    // Check if time slot is available
-    const existingBooking = await Booking.findOne({
-      garage: garageId,
-      bookingDate: new Date(bookingDate),
-      'timeSlot.start': timeSlot.start,
-      'timeSlot.end': timeSlot.end,
-      status: { $nin: ['cancelled', 'rejected'] },
-      isDeleted: false
-    }).session(session);
+    const bookedVehicle = await Vehicle.resolveForBooking(req.user.id, { vehicleId, vehicleInfo }, session);
+    if (!bookedVehicle) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({
+        success: false,
+        message: 'Vehicle not found'
+      });
+    }
+
+    if (bookedVehicle.error) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: bookedVehicle.error
+      });
+    }
+
+    const slot = normalizeTimeSlot(timeSlot);
+    if (!slot) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: INVALID_SLOT_MESSAGE
+      });
+    }
+
+    // Snapshot each service's price and duration; the slot must fit them all
+    const lines = services.map(service => ({
+      service: service._id,
+      name: service.name,
+      price: service.price,
+      duration: service.duration
+    }));
+    const totalDuration = lines.reduce((sum, line) => sum + line.duration, 0);
+
+    if (slotMinutes(slot) < totalDuration) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: `Time slot duration (${slotMinutes(slot)}min) is less than the selected services need (${totalDuration}min)`
+      });
+    }
+
+    // Garage rules for customers with missed appointments
+    const noShowPolicy = garage.bookingPolicy.noShow;
+    const { blocked, depositRequired } = await User.noShowStanding(req.user.id, noShowPolicy, session);
 
-    if (existingBooking) {
+    if (blocked) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(403).json({
+        success: false,
+        message: `This garage does not accept bookings from customers with ${noShowPolicy.blockAfter} or more missed appointments`
+      });
+    }
+
+    // Respect business hours, holiday closures and special hours
+    const hoursConflict = openingHoursConflict(garage, bookingDate, slot);
+    if (hoursConflict) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: hoursConflict.reason,
+        businessHours: hoursConflict.businessHours
+      });
+    }
+
+    // Check a bay is free for the whole slot. The garage stats write below
+    // makes concurrent bookings for the same garage conflict, so only one of
+    // two transactions racing for the last bay can commit.
+    const capacity = await checkBayCapacity(garage, bookingDate, slot, session);
+
+    if (!capacity.available) {
       await session.abortTransaction();
       session.endSession();
       return res.status(400).json({
@@ -93,12 +237,13 @@ const createBooking = async (req, res) => {
     const booking = await Booking.create([{
       carOwner: req.user.id,
       garage: garageId,
-      service: serviceId,
+      services: lines,
       bookingDate: new Date(bookingDate),
-      timeSlot,
-      vehicleInfo,
+      timeSlot: slot,
+      ...bookedVehicle,
       notes: notes || '',
-      status: 'pending'
+      status: 'pending',
+      depositRequired
     }], { session });
 
     // Update garage stats
@@ -116,7 +261,9 @@ const createBooking = async (req, res) => {
 
     res.status(201).json({
       success: true,
-      message: 'Booking created successfully',
+      message: depositRequired
+        ? 'Booking created. This garage requires payment before it can approve the booking.'
+        : 'Booking created successfully',
       data: {
         booking: populatedBooking
       }
@@ -128,6 +275,14 @@ const createBooking = async (req, res) => {
       try { session.endSession(); } catch (e) {}
     }
     
+    // Another booking for this garage committed first
+    if (error.hasErrorLabel && error.hasErrorLabel('TransientTransactionError')) {
+      return res.status(409).json({
+        success: false,
+        message: 'This time slot was just updated by another booking, please try again'
+      });
+    }
+
     console.error('Create booking error:', error);
     res.status(500).json({
       success: false,
@@ -171,7 +326,9 @@ const getAllBookings = async (req, res) => {
     // Additional filters
     if (status) filter.status = status;
     if (garageId) filter.garage = garageId;
-    if (serviceId) filter.service = serviceId;
+    if (serviceId && mongoose.Types.ObjectId.isValid(serviceId)) {
+      Object.assign(filter, Booking.withService(new mongoose.Types.ObjectId(serviceId)));
+    }
 
     if (startDate || endDate) {
       filter.bookingDate = {};
@@ -225,7 +382,8 @@ const getAllBookings = async (req, res) => {
           inProgressCount: { $sum: { $cond: [{ $eq: ['$status', 'in_progress'] }, 1, 0] } },
           completedCount: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
           cancelledCount: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] } },
-          rejectedCount: { $sum: { $cond: [{ $eq: ['$status', 'rejected'] }, 1, 0] } }
+          rejectedCount: { $sum: { $cond: [{ $eq: ['$status', 'rejected'] }, 1, 0] } },
+          noShowCount: { $sum: { $cond: [{ $eq: ['$status', 'no_show'] }, 1, 0] } }
         }
       }
     ]);
@@ -241,7 +399,8 @@ const getAllBookings = async (req, res) => {
           inProgressCount: 0,
           completedCount: 0,
           cancelledCount: 0,
-          rejectedCount: 0
+          rejectedCount: 0,
+          noShowCount: 0
         },
         pagination: {
           page: pageNum,
@@ -313,21 +472,7 @@ const getBookingById = async (req, res) => {
       });
     }
 
-    // Check authorization
-    let isAuthorized = false;
-    
-    if (req.user.role === 'admin') {
-      isAuthorized = true;
-    } else if (booking.carOwner && booking.carOwner._id.toString() === req.user.id.toString()) {
-      isAuthorized = true;
-    } else if (req.user.role === 'garage_owner' && booking.garage && booking.garage.owner) {
-      const garageOwnerId = booking.garage.owner._id.toString();
-      if (garageOwnerId === req.user.id.toString()) {
-        isAuthorized = true;
-      }
-    }
-
-    if (!isAuthorized) {
+    if (!can(req.user, 'booking:read', booking)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view this booking'
@@ -361,7 +506,7 @@ const updateBookingStatus = async (req, res) => {
     session.startTransaction();
 
     const { id } = req.params;
-    const { status, reason } = req.body;
+    const { status, reason, garageNotes, mileage } = req.body;
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
       await session.abortTransaction();
@@ -381,6 +526,24 @@ const updateBookingStatus = async (req, res) => {
       });
     }
 
+    if (!Booking.STATUSES.includes(status)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${Booking.STATUSES.join(', ')}`
+      });
+    }
+
+    if (mileage !== undefined && (typeof mileage !== 'number' || !(mileage >= 0))) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: 'Mileage must be a non-negative number of km'
+      });
+    }
+
     const booking = await Booking.findById(id)
       .populate('garage')
       .session(session);
@@ -394,11 +557,7 @@ const updateBookingStatus = async (req, res) => {
       });
     }
 
-    // Check authorization
-    const isGarageOwner = booking.garage.owner.toString() === req.user.id.toString();
-    const isAdmin = req.user.role === 'admin';
-
-    if (!isGarageOwner && !isAdmin) {
+    if (!can(req.user, 'booking:updateStatus', booking)) {
       await session.abortTransaction();
       session.endSession();
       return res.status(403).json({
@@ -424,35 +583,82 @@ const updateBookingStatus = async (req, res) => {
       });
     }
 
-    // Validate status transition
-    const validTransitions = {
-      'pending': ['approved', 'rejected', 'cancelled'],
-      'approved': ['in_progress', 'cancelled'],
-      'in_progress': ['completed', 'cancelled'],
-      'completed': [],
-      'cancelled': [],
-      'rejected': []
-    };
-
-    if (!validTransitions[booking.status] || !validTransitions[booking.status].includes(status)) {
+    // A no-show can only be recorded once the slot has ended
+    if (status === 'no_show' && dateAtTime(booking.bookingDate, booking.timeSlot.end) > new Date()) {
       await session.abortTransaction();
       session.endSession();
       return res.status(400).json({
         success: false,
-        message: `Cannot transition from ${booking.status} to ${status}`
+        message: 'A booking can only be marked as a no-show after its time slot has ended'
       });
     }
 
-    // Update booking status
-    booking.status = status;
-    booking.statusHistory = booking.statusHistory || [];
-    booking.statusHistory.push({
-      status,
-      changedBy: req.user.id,
-      reason: reason || `Status changed to ${status}`,
-      changedAt: new Date()
+    if (status === 'approved' && booking.depositRequired && !booking.isPaid) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(409).json({
+        success: false,
+        message: 'This booking requires payment before it can be approved'
+      });
+    }
+
+    // Repair work starts only once the customer accepted the garage's quote
+    if (status === 'in_progress' && !booking.acceptedQuote()) {
+      const serviceIds = booking.services.length > 0
+        ? booking.services.map(line => line.service)
+        : [booking.service];
+      const needsQuote = await Service.exists({ _id: { $in: serviceIds }, category: 'repair' }).session(session);
+
+      if (needsQuote) {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(409).json({
+          success: false,
+          message: 'Repair work needs a quote accepted by the customer before it can start'
+        });
+      }
+    }
+
+    // Validate and apply the status transition (see models/booking.js)
+    const previousStatus = booking.status;
+    const transitioned = booking.transitionTo(status, {
+      ...statusActor(req),
+      reason: reason || `Status changed to ${status}`
     });
 
+    if (!transitioned) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(409).json({
+        success: false,
+        message: `Cannot transition from ${previousStatus} to ${status}`,
+        allowedTransitions: Booking.STATUS_TRANSITIONS[previousStatus] || []
+      });
+    }
+
+    // Cancelled by the garage side: full refund of any payment
+    if (status === 'cancelled') {
+      await applyCancellation(booking, booking.garage, req, {
+        reason: reason || 'Cancelled by garage',
+        byCustomer: false
+      }, session);
+    }
+
+    // Track the customer's booking outcomes for reliability scoring
+    if (status === 'no_show') {
+      await User.updateOne(
+        { _id: booking.carOwner },
+        { $inc: { 'bookingStats.noShows': 1 }, 'bookingStats.lastNoShowAt': new Date() },
+        { session }
+      );
+    } else if (status === 'completed') {
+      await User.updateOne(
+        { _id: booking.carOwner },
+        { $inc: { 'bookingStats.completed': 1 } },
+        { session }
+      );
+    }
+
     // If booking is completed, update garage stats
     if (status === 'completed') {
       const garage = await Garage.findById(booking.garage._id).session(session);
@@ -460,10 +666,30 @@ const updateBookingStatus = async (req, res) => {
       await garage.save({ session });
     }
 
+    // Work notes and odometer reading for the vehicle's service history
+    if (typeof garageNotes === 'string') {
+      booking.garageNotes = garageNotes;
+    }
+    if (mileage !== undefined) {
+      booking.mileage = mileage;
+
+      if (booking.vehicle) {
+        const vehicle = await Vehicle.findById(booking.vehicle).session(session);
+        if (vehicle && vehicle.recordMileage(mileage)) {
+          await vehicle.save({ session });
+        }
+      }
+    }
+
     await booking.save({ session });
     await session.commitTransaction();
     session.endSession();
 
+    // Offer the freed slot to the waitlist
+    if (['cancelled', 'rejected'].includes(status)) {
+      promoteWaitlistLater(booking.garage._id, booking.bookingDate);
+    }
+
     const updatedBooking = await Booking.findById(id)
       .populate('carOwner', 'name email phone')
       .populate('garage', 'name address')
@@ -490,6 +716,221 @@ const updateBookingStatus = async (req, res) => {
 };
 
 
+// ==========================================
+// @desc    Reschedule a booking to a new date and time slot
+// @route   PUT /api/bookings/:id/reschedule
+// @access  Private (Car Owner, Garage Owner/Staff or Admin)
+// ==========================================
+const rescheduleBooking = async (req, res) => {
+  let session;
+
+  try {
+    session = await mongoose.startSession();
+    session.startTransaction();
+
+    const { id } = req.params;
+    const { bookingDate, timeSlot, reason } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking ID'
+      });
+    }
+
+    const slot = normalizeTimeSlot(timeSlot);
+    if (!bookingDate || isNaN(new Date(bookingDate)) || !slot) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: `A valid bookingDate is required. ${INVALID_SLOT_MESSAGE}`
+      });
+    }
+
+    const booking = await Booking.findById(id)
+      .populate('garage')
+      .session(session);
+
+    if (!booking || booking.isDeleted) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (!can(req.user, 'booking:reschedule', booking)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to reschedule this booking'
+      });
+    }
+
+    if (!['pending', 'approved'].includes(booking.status)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(409).json({
+        success: false,
+        message: `Cannot reschedule booking with status: ${booking.status}`
+      });
+    }
+
+    const garage = booking.garage;
+    const policy = garage.bookingPolicy.reschedule;
+    const newStart = dateAtTime(bookingDate, slot.start);
+
+    if (slotMinutes(slot) < booking.totalDuration) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: `Time slot duration (${slotMinutes(slot)}min) is less than the booked services need (${booking.totalDuration}min)`
+      });
+    }
+
+    if (newStart <= new Date()) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: 'New time slot must be in the future'
+      });
+    }
+
+    // The garage's own policy limits customers; the garage side can always move bookings
+    const byCustomer = isSameId(booking.carOwner, req.user.id);
+
+    if (byCustomer) {
+      if (booking.rescheduleCount >= policy.maxReschedules) {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(409).json({
+          success: false,
+          message: `This booking has reached the garage's limit of ${policy.maxReschedules} reschedule(s)`
+        });
+      }
+
+      const hoursUntilBooking = (dateAtTime(booking.bookingDate, booking.timeSlot.start) - Date.now()) / (60 * 60 * 1000);
+      if (hoursUntilBooking < policy.minNoticeHours) {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(400).json({
+          success: false,
+          message: `Bookings can only be rescheduled at least ${policy.minNoticeHours} hour(s) in advance`
+        });
+      }
+    }
+
+    const hoursConflict = openingHoursConflict(garage, bookingDate, slot);
+    if (hoursConflict) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: hoursConflict.reason,
+        businessHours: hoursConflict.businessHours
+      });
+    }
+
+    const capacity = await checkBayCapacity(garage, bookingDate, slot, session, { excludeBooking: booking._id });
+    if (!capacity.available) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: 'Time slot already booked'
+      });
+    }
+
+    const needsReapproval = byCustomer && policy.requireReapproval && booking.status === 'approved';
+    const previousDate = booking.bookingDate;
+
+    booking.reschedule(
+      { bookingDate: new Date(bookingDate), timeSlot: slot },
+      {
+        ...statusActor(req),
+        reason: reason || (byCustomer ? 'Rescheduled by customer' : 'Rescheduled by garage'),
+        requireReapproval: needsReapproval,
+        byCustomer
+      }
+    );
+
+    // An occurrence moved on its own no longer follows series-level changes
+    if (booking.series) {
+      booking.seriesException = true;
+      await BookingSeries.updateOne(
+        { _id: booking.series },
+        {
+          $push: {
+            exceptions: {
+              date: booking.occurrenceDate,
+              type: 'rescheduled',
+              booking: booking._id,
+              reason: reason || '',
+              createdBy: req.user.id
+            }
+          }
+        },
+        { session }
+      );
+    }
+
+    await booking.save({ session });
+
+    // Writing the garage makes concurrent booking changes for it conflict (see createBooking)
+    await Garage.updateOne(
+      { _id: garage._id },
+      { $currentDate: { updatedAt: true } },
+      { session, timestamps: false }
+    );
+
+    await session.commitTransaction();
+    session.endSession();
+
+    // The old slot is free now
+    promoteWaitlistLater(garage._id, previousDate);
+
+    const updatedBooking = await Booking.findById(id)
+      .populate('carOwner', 'name email phone')
+      .populate('garage', 'name address')
+      .populate('service', 'name price duration');
+
+    res.status(200).json({
+      success: true,
+      message: needsReapproval
+        ? 'Booking rescheduled and sent back to the garage for approval'
+        : 'Booking rescheduled successfully',
+      data: { booking: updatedBooking }
+    });
+
+  } catch (error) {
+    if (session) {
+      try { await session.abortTransaction(); } catch (e) {}
+      try { session.endSession(); } catch (e) {}
+    }
+
+    if (error.hasErrorLabel && error.hasErrorLabel('TransientTransactionError')) {
+      return res.status(409).json({
+        success: false,
+        message: 'This time slot was just updated by another booking, please try again'
+      });
+    }
+
+    console.error('Reschedule booking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error rescheduling booking',
+      error: error.message
+    });
+  }
+};
+
 // ==========================================
 // @desc    Cancel booking (by car owner)
 // @route   PUT /api/bookings/:id/cancel
@@ -529,32 +970,38 @@ const cancelBooking = async (req, res) => {
       });
     }
 
-    const cancellableStatuses = ['pending', 'approved'];
-    if (!cancellableStatuses.includes(booking.status)) {
+    const cancelled = booking.transitionTo('cancelled', {
+      ...statusActor(req),
+      reason: reason || 'Cancelled by customer'
+    });
+
+    if (!cancelled) {
       await session.abortTransaction();
       session.endSession();
-      return res.status(400).json({
+      return res.status(409).json({
         success: false,
         message: `Cannot cancel booking with status: ${booking.status}`
       });
     }
 
-    booking.status = 'cancelled';
-    booking.statusHistory = booking.statusHistory || [];
-    booking.statusHistory.push({
-      status: 'cancelled',
-      changedBy: req.user.id,
+    // Fee and refund from the garage's cancellation policy
+    const garage = await Garage.findById(booking.garage).session(session);
+    const cancellation = await applyCancellation(booking, garage, req, {
       reason: reason || 'Cancelled by customer',
-      changedAt: new Date()
-    });
+      byCustomer: true
+    }, session);
 
     await booking.save({ session });
     await session.commitTransaction();
     session.endSession();
 
+    promoteWaitlistLater(booking.garage, booking.bookingDate);
+
     res.status(200).json({
       success: true,
-      message: 'Booking cancelled successfully',
+      message: cancellation.refundAmount > 0
+        ? `Booking cancelled. A refund of ${cancellation.refundAmount} is pending and will be paid out manually (${cancellation.feePercent}% cancellation fee).`
+        : 'Booking cancelled successfully',
       data: { booking }
     });
 
@@ -596,7 +1043,7 @@ const uploadAttachments = async (req, res) => {
       });
     }
 
-    const booking = await Booking.findById(id);
+    const booking = await Booking.findById(id).populate('garage', 'owner');
     if (!booking || booking.isDeleted) {
       return res.status(404).json({
         success: false,
@@ -604,14 +1051,7 @@ const uploadAttachments = async (req, res) => {
       });
     }
 
-    // Check authorization
-    const isAuthorized = 
-      booking.carOwner.toString() === req.user.id.toString() ||
-      req.user.role === 'admin' ||
-      (req.user.role === 'garage_owner' && 
-        await Garage.exists({ _id: booking.garage, owner: req.user.id }));
-
-    if (!isAuthorized) {
+    if (!can(req.user, 'booking:manageAttachments', booking)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to upload attachments'
@@ -654,7 +1094,7 @@ const deleteAttachment = async (req, res) => {
       });
     }
 
-    const booking = await Booking.findById(id);
+    const booking = await Booking.findById(id).populate('garage', 'owner');
     if (!booking || booking.isDeleted) {
       return res.status(404).json({
         success: false,
@@ -662,14 +1102,7 @@ const deleteAttachment = async (req, res) => {
       });
     }
 
-    // Check authorization
-    const isAuthorized = 
-      booking.carOwner.toString() === req.user.id.toString() ||
-      req.user.role === 'admin' ||
-      (req.user.role === 'garage_owner' && 
-        await Garage.exists({ _id: booking.garage, owner: req.user.id }));
-
-    if (!isAuthorized) {
+    if (!can(req.user, 'booking:manageAttachments', booking)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete attachments'
@@ -728,8 +1161,9 @@ const getBookingTimeline = async (req, res) => {
     // Populate carOwner and garage to get their IDs
     const booking = await Booking.findById(id)
       .populate('carOwner', '_id')
-      .populate('garage', '_id')
-      .select('status statusHistory createdAt updatedAt bookingDate timeSlot carOwner garage');
+      .populate('garage', '_id owner')
+      .populate('statusHistory.changedBy', 'name role')
+      .select('status statusHistory createdAt updatedAt bookingDate timeSlot carOwner garage isDeleted');
 
     if (!booking || booking.isDeleted) {
       return res.status(404).json({
@@ -738,37 +1172,7 @@ const getBookingTimeline = async (req, res) => {
       });
     }
 
-    // Debug logs
-    console.log('=== TIMELINE AUTH DEBUG ===');
-    console.log('User role:', req.user.role);
-    console.log('User ID:', req.user.id.toString());
-    console.log('Booking carOwner ID:', booking.carOwner ? booking.carOwner._id.toString() : 'N/A');
-    console.log('Booking garage ID:', booking.garage ? booking.garage._id.toString() : 'N/A');
-    console.log('===========================');
-
-    // Check authorization
-    let isAuthorized = false;
-
-    // Admin can view anything
-    if (req.user.role === 'admin') {
-      isAuthorized = true;
-    }
-    // Car owner can view their own bookings
-    else if (booking.carOwner && booking.carOwner._id.toString() === req.user.id.toString()) {
-      isAuthorized = true;
-    }
-    // Garage owner can view bookings for their garage
-    else if (req.user.role === 'garage_owner' && booking.garage) {
-      const garageExists = await Garage.exists({ 
-        _id: booking.garage._id, 
-        owner: req.user.id 
-      });
-      if (garageExists) {
-        isAuthorized = true;
-      }
-    }
-
-    if (!isAuthorized) {
+    if (!can(req.user, 'booking:read', booking)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view this booking'
@@ -786,12 +1190,29 @@ const getBookingTimeline = async (req, res) => {
 
     if (booking.statusHistory && booking.statusHistory.length > 0) {
       booking.statusHistory.forEach(change => {
+        if (change.event === 'reschedule') {
+          timeline.push({
+            event: 'Rescheduled',
+            status: change.status,
+            previousStatus: change.from,
+            timestamp: change.changedAt,
+            description: change.reason || 'Booking rescheduled',
+            previousSlot: change.previousSlot,
+            newSlot: change.newSlot,
+            changedBy: change.changedBy,
+            actorType: change.actorType
+          });
+          return;
+        }
+
         timeline.push({
           event: `Status changed to ${change.status}`,
           status: change.status,
+          previousStatus: change.from,
           timestamp: change.changedAt,
           description: change.reason || `Booking ${change.status}`,
-          changedBy: change.changedBy
+          changedBy: change.changedBy,
+          actorType: change.actorType
         });
       });
     }
@@ -862,7 +1283,8 @@ const getBookingsByDateRange = async (req, res) => {
       .populate('carOwner', 'name')
       .populate('service', 'name duration')
       .populate('garage', 'name')
-      .select('bookingDate timeSlot status vehicleInfo carOwner service')
+      .populate('series', 'name recurrence status')
+      .select('bookingDate timeSlot status vehicleInfo carOwner service series occurrenceDate seriesException')
       .sort('bookingDate timeSlot.start');
 
     const groupedBookings = bookings.reduce((acc, booking) => {
@@ -938,7 +1360,8 @@ const getBookingStats = async (req, res) => {
                 pendingBookings: { $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] } },
                 approvedBookings: { $sum: { $cond: [{ $eq: ['$status', 'approved'] }, 1, 0] } },
                 inProgressBookings: { $sum: { $cond: [{ $eq: ['$status', 'in_progress'] }, 1, 0] } },
-                rejectedBookings: { $sum: { $cond: [{ $eq: ['$status', 'rejected'] }, 1, 0] } }
+                rejectedBookings: { $sum: { $cond: [{ $eq: ['$status', 'rejected'] }, 1, 0] } },
+                noShowBookings: { $sum: { $cond: [{ $eq: ['$status', 'no_show'] }, 1, 0] } }
               }
             }
           ],
@@ -961,10 +1384,12 @@ const getBookingStats = async (req, res) => {
             { $sort: { '_id': 1 } }
           ],
           popularServices: [
+            ...Booking.serviceLineStages(),
             {
               $group: {
-                _id: '$service',
-                count: { $sum: 1 }
+                _id: '$line.service',
+                count: { $sum: 1 },
+                revenue: { $sum: { $cond: [{ $eq: ['$isPaid', true] }, '$line.price', 0] } }
               }
             },
             { $sort: { count: -1 } },
@@ -982,7 +1407,8 @@ const getBookingStats = async (req, res) => {
               $project: {
                 serviceName: '$serviceInfo.name',
                 category: '$serviceInfo.category',
-                count: 1
+                count: 1,
+                revenue: 1
               }
             }
           ],
@@ -1010,7 +1436,8 @@ const getBookingStats = async (req, res) => {
           pendingBookings: 0,
           approvedBookings: 0,
           inProgressBookings: 0,
-          rejectedBookings: 0
+          rejectedBookings: 0,
+          noShowBookings: 0
         },
         byStatus: stats[0].byStatus,
         byDate: stats[0].byDate,
@@ -1037,7 +1464,8 @@ const getBookingStats = async (req, res) => {
 // ==========================================
 const checkAvailability = async (req, res) => {
   try {
-    const { garageId, serviceId, date, timeSlot } = req.body;
+    const { garageId, date, timeSlot } = req.body;
+    const serviceIds = requestedServiceIds(req.body);
 
     if (!garageId || !date || !timeSlot) {
       return res.status(400).json({
@@ -1054,70 +1482,60 @@ const checkAvailability = async (req, res) => {
       });
     }
 
-    const dayOfWeek = new Date(date).toLocaleString('en-us', { weekday: 'long' }).toLowerCase();
-    const businessDay = garage.businessHours[dayOfWeek];
-    
-    if (!businessDay || businessDay.closed) {
-      return res.status(200).json({
-        success: true,
-        data: {
-          available: false,
-          reason: 'Garage is closed on this day'
-        }
+    const slot = normalizeTimeSlot(timeSlot);
+    if (!slot) {
+      return res.status(400).json({
+        success: false,
+        message: INVALID_SLOT_MESSAGE
       });
     }
 
-    const isWithinBusinessHours = 
-      timeSlot.start >= businessDay.open && 
-      timeSlot.end <= businessDay.close;
+    // Weekly business hours, holiday closures and special hours
+    const hoursConflict = openingHoursConflict(garage, date, slot);
 
-    if (!isWithinBusinessHours) {
+    if (hoursConflict) {
       return res.status(200).json({
         success: true,
         data: {
           available: false,
-          reason: 'Time slot is outside business hours',
-          businessHours: businessDay
+          ...hoursConflict
         }
       });
     }
 
-    const existingBooking = await Booking.findOne({
-      garage: garageId,
-      bookingDate: new Date(date),
-      'timeSlot.start': timeSlot.start,
-      'timeSlot.end': timeSlot.end,
-      status: { $nin: ['cancelled', 'rejected'] },
-      isDeleted: false
-    });
+    const capacity = await checkBayCapacity(garage, date, slot);
 
-    if (existingBooking) {
+    if (!capacity.available) {
       return res.status(200).json({
         success: true,
         data: {
           available: false,
-          reason: 'Time slot already booked'
+          reason: 'Time slot already booked',
+          serviceBays: capacity.bays,
+          // Customers can queue for the day with POST /api/waitlist
+          waitlistAvailable: true
         }
       });
     }
 
-    if (serviceId) {
-      const service = await Service.findById(serviceId);
-      if (service) {
-        const startTime = timeSlot.start.split(':');
-        const endTime = timeSlot.end.split(':');
-        const slotDuration = (parseInt(endTime[0]) * 60 + parseInt(endTime[1])) - 
-                           (parseInt(startTime[0]) * 60 + parseInt(startTime[1]));
-        
-        if (slotDuration < service.duration) {
-          return res.status(200).json({
-            success: true,
-            data: {
-              available: false,
-              reason: `Time slot duration (${slotDuration}min) is less than service duration (${service.duration}min)`
-            }
-          });
-        }
+    if (serviceIds.length > 0) {
+      const services = await Service.findBookable(garage._id, serviceIds);
+      if (!services) {
+        return res.status(404).json({
+          success: false,
+          message: 'Service not found or not available'
+        });
+      }
+
+      const totalDuration = services.reduce((sum, service) => sum + service.duration, 0);
+      if (slotMinutes(slot) < totalDuration) {
+        return res.status(200).json({
+          success: true,
+          data: {
+            available: false,
+            reason: `Time slot duration (${slotMinutes(slot)}min) is less than the selected services need (${totalDuration}min)`
+          }
+        });
       }
     }
 
@@ -1125,7 +1543,8 @@ const checkAvailability = async (req, res) => {
       success: true,
       data: {
         available: true,
-        message: 'Time slot is available'
+        message: 'Time slot is available',
+        freeBays: capacity.freeBays
       }
     });
 
@@ -1162,7 +1581,9 @@ const deleteBooking = async (req, res) => {
       });
     }
 
-    const booking = await Booking.findById(id).session(session);
+    const booking = await Booking.findById(id)
+      .populate('garage', 'owner')
+      .session(session);
     if (!booking || booking.isDeleted) {
       await session.abortTransaction();
       session.endSession();
@@ -1172,13 +1593,7 @@ const deleteBooking = async (req, res) => {
       });
     }
 
-    const isAuthorized = 
-      req.user.role === 'admin' ||
-      booking.carOwner.toString() === req.user.id.toString() ||
-      (req.user.role === 'garage_owner' && 
-        await Garage.exists({ _id: booking.garage, owner: req.user.id }));
-
-    if (!isAuthorized) {
+    if (!can(req.user, 'booking:delete', booking)) {
       await session.abortTransaction();
       session.endSession();
       return res.status(403).json({
@@ -1193,7 +1608,7 @@ const deleteBooking = async (req, res) => {
     await booking.save({ session });
 
     if (booking.status === 'completed') {
-      const garage = await Garage.findById(booking.garage).session(session);
+      const garage = await Garage.findById(booking.garage._id).session(session);
       garage.stats.completedBookings = Math.max(0, garage.stats.completedBookings - 1);
       await garage.save({ session });
     }
@@ -1228,6 +1643,7 @@ module.exports = {
   getAllBookings,
   getBookingById,
   updateBookingStatus,
+  rescheduleBooking,
   cancelBooking,
   uploadAttachments,
   deleteAttachment,
@@ -1235,5 +1651,7 @@ module.exports = {
   getBookingsByDateRange,
   getBookingStats,
   checkAvailability,
-  deleteBooking
+  deleteBooking,
+  statusActor,
+  applyCancellation
 };
\ No newline at end of file
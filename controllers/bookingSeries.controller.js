@@ -0,0 +1,778 @@
+// ==========================================
+// controllers/bookingSeries.controller.js
+// Recurring and fleet booking series: one booking per vehicle per occurrence
+// ==========================================
+
+const Garage = require('../models/garage');
+const Booking = require('../models/booking');
+const BookingSeries = require('../models/BookingSeries');
+const Service = require('../models/Service');
+const User = require('../models/User');
+const Vehicle = require('../models/Vehicle');
+const { statusActor, applyCancellation } = require('./booking.controller');
+const { isSameId } = require('../utils/policy');
+const {
+  normalizeTimeSlot,
+  timeToMinutes,
+  dateKey,
+  dateAtTime,
+  dayRange,
+  peakConcurrency
+} = require('../utils/scheduling');
+const { occupiedSlots, openingHoursConflict } = require('../utils/availability');
+const { parseRecurrence, occurrenceDates } = require('../utils/recurrence');
+const { normalizeVehicleDetails } = require('../utils/vehicleCatalog');
+const { promoteWaitlistLater } = require('../utils/waitlist');
+const mongoose = require('mongoose');
+
+const MAX_SERIES_VEHICLES = 20;
+
+// Occurrences that can't be booked for `vehicleCount` vehicles: closed or
+// outside opening hours, or fewer free bays than vehicles. One booking query
+// covers the whole series (live slot holds count too). `seriesId` ignores the series' own occurrences
+// (except ones moved on their own), for series-level changes.
+const findConflicts = async (garage, dates, slot, vehicleCount, session, seriesId = null) => {
+  if (dates.length === 0) return [];
+
+  const bookings = await occupiedSlots(garage._id, dates[0], dates[dates.length - 1], {
+    slot,
+    session,
+    bookingFilter: seriesId ? { $nor: [{ series: seriesId, seriesException: false }] } : {}
+  });
+
+  const bookingsByDay = {};
+  bookings.forEach(booking => {
+    const key = dateKey(booking.bookingDate);
+    (bookingsByDay[key] = bookingsByDay[key] || []).push(booking.timeSlot);
+  });
+
+  const bays = garage.serviceBays || 1;
+  const conflicts = [];
+
+  dates.forEach(date => {
+    const key = dateKey(date);
+    const hoursConflict = openingHoursConflict(garage, date, slot);
+    if (hoursConflict) {
+      conflicts.push({ date: key, reason: hoursConflict.reason });
+      return;
+    }
+
+    const freeBays = bays - peakConcurrency(bookingsByDay[key] || [], slot.start, slot.end);
+    if (freeBays < vehicleCount) {
+      conflicts.push({
+        date: key,
+        reason: freeBays > 0
+          ? `Only ${freeBays} bay(s) free for ${vehicleCount} vehicle(s)`
+          : 'Time slot already booked'
+      });
+    }
+  });
+
+  return conflicts;
+};
+
+// Upcoming occurrences of a series that are still open
+const upcomingOccurrences = (seriesId, session) => {
+  return Booking.find({
+    series: seriesId,
+    status: { $in: ['pending', 'approved'] },
+    bookingDate: { $gte: dayRange(new Date()).start },
+    isDeleted: false
+  })
+    .sort('bookingDate')
+    .session(session);
+};
+
+// Cancel occurrences with the garage's cancellation policy; returns the total refunded
+const cancelOccurrences = async (bookings, garage, req, { reason, byCustomer }, session) => {
+  let refunded = 0;
+
+  for (const booking of bookings) {
+    if (!booking.transitionTo('cancelled', { ...statusActor(req), reason })) continue;
+
+    const cancellation = await applyCancellation(booking, garage, req, { reason, byCustomer }, session);
+    refunded += cancellation.refundAmount;
+    await booking.save({ session });
+  }
+
+  return refunded;
+};
+
+// Offer the days freed by cancelled occurrences to the waitlist (after commit)
+const promoteFreedDays = (garageId, bookings) => {
+  const days = new Map(bookings.map(booking => [dateKey(booking.bookingDate), booking.bookingDate]));
+  days.forEach(date => promoteWaitlistLater(garageId, date));
+};
+
+// ==========================================
+// @desc    Create a recurring booking series
+// @route   POST /api/bookings/series
+// @access  Private (Car Owner)
+// ==========================================
+const createSeries = async (req, res) => {
+  let session;
+
+  try {
+    session = await mongoose.startSession();
+    session.startTransaction();
+
+    const {
+      garageId,
+      serviceIds,
+      serviceId,
+      vehicles,
+      vehicleIds,
+      vehicleInfo,
+      startDate,
+      timeSlot,
+      recurrence,
+      name,
+      notes,
+      skipConflicts = false
+    } = req.body;
+
+    const ids = Array.isArray(serviceIds) ? serviceIds : [serviceId].filter(Boolean);
+    const registeredIds = Array.isArray(vehicleIds) ? [...new Set(vehicleIds.map(String))] : [];
+    // Free-text vehicles keep only their details (registry links come from vehicleIds)
+    let fleet = (Array.isArray(vehicles) ? vehicles : [vehicleInfo].filter(Boolean))
+      .map(v => v && { make: v.make, model: v.model, year: v.year, licensePlate: v.licensePlate });
+
+    if (!garageId || ids.length === 0 || (fleet.length === 0 && registeredIds.length === 0) || !startDate || !timeSlot || !recurrence) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields'
+      });
+    }
+
+    // Vehicles from the customer's registry, in the order given
+    if (registeredIds.length > 0) {
+      const owned = registeredIds.every(id => mongoose.Types.ObjectId.isValid(id))
+        ? await Vehicle.find({ _id: { $in: registeredIds }, owner: req.user.id, isDeleted: false }).session(session)
+        : [];
+
+      if (owned.length !== registeredIds.length) {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(404).json({
+          success: false,
+          message: 'Vehicle not found'
+        });
+      }
+
+      fleet = registeredIds
+        .map(id => owned.find(vehicle => vehicle._id.toString() === id))
+        .map(vehicle => ({ vehicle: vehicle._id, ...vehicle.bookingInfo() }));
+    }
+
+    if (fleet.length > MAX_SERIES_VEHICLES || fleet.some(v => !v || !v.make || !v.model || !v.licensePlate)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: `Provide 1-${MAX_SERIES_VEHICLES} vehicles, each with make, model and licensePlate`
+      });
+    }
+
+    // Free-text vehicles are checked against the vehicle catalog and plate format
+    if (registeredIds.length === 0) {
+      const normalized = fleet.map(vehicle => normalizeVehicleDetails(vehicle));
+      const invalid = normalized.find(result => result.error);
+
+      if (invalid) {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(400).json({
+          success: false,
+          message: invalid.error
+        });
+      }
+
+      fleet = normalized.map(result => result.vehicle);
+    }
+
+    const { rule, error: recurrenceError } = parseRecurrence(recurrence);
+    if (recurrenceError) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: recurrenceError
+      });
+    }
+
+    const slot = normalizeTimeSlot(timeSlot);
+    if (!slot || isNaN(new Date(startDate))) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: 'A valid startDate and a time slot with HH:MM start and end times are required'
+      });
+    }
+
+    if (dateAtTime(startDate, slot.start) <= new Date()) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: 'The first occurrence must be in the future'
+      });
+    }
+
+    const garage = await Garage.findOne({
+      _id: garageId,
+      isDeleted: false,
+      status: 'active'
+    }).session(session);
+
+    if (!garage) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({
+        success: false,
+        message: 'Garage not found or not active'
+      });
+    }
+
+    const services = await Service.findBookable(garageId, ids, session);
+    if (!services) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found or not available'
+      });
+    }
+
+    const lines = services.map(service => ({
+      service: service._id,
+      name: service.name,
+      price: service.price,
+      duration: service.duration
+    }));
+    const totalDuration = lines.reduce((sum, line) => sum + line.duration, 0);
+    const slotLength = timeToMinutes(slot.end) - timeToMinutes(slot.start);
+
+    if (slotLength < totalDuration) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: `Time slot duration (${slotLength}min) is less than the selected services need (${totalDuration}min)`
+      });
+    }
+
+    // Same no-show rules as single bookings
+    const noShowPolicy = garage.bookingPolicy.noShow;
+    const { blocked, depositRequired } = await User.noShowStanding(req.user.id, noShowPolicy, session);
+
+    if (blocked) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(403).json({
+        success: false,
+        message: `This garage does not accept bookings from customers with ${noShowPolicy.blockAfter} or more missed appointments`
+      });
+    }
+
+    const dates = occurrenceDates(rule, startDate);
+    const conflicts = await findConflicts(garage, dates, slot, fleet.length, session);
+
+    if (conflicts.length === dates.length || (conflicts.length > 0 && !skipConflicts)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(409).json({
+        success: false,
+        message: conflicts.length === dates.length
+          ? 'None of the occurrences in this series can be booked'
+          : `${conflicts.length} of ${dates.length} occurrence(s) conflict. Send skipConflicts: true to book the rest.`,
+        conflicts
+      });
+    }
+
+    const [series] = await BookingSeries.create([{
+      carOwner: req.user.id,
+      garage: garage._id,
+      name: name || '',
+      services: lines.map(line => line.service),
+      vehicles: fleet,
+      startDate: dayRange(startDate).start,
+      timeSlot: slot,
+      recurrence: rule,
+      exceptions: conflicts.map(conflict => ({
+        date: dayRange(conflict.date).start,
+        type: 'conflict',
+        reason: conflict.reason,
+        createdBy: req.user.id
+      })),
+      notes: notes || ''
+    }], { session });
+
+    const conflictDates = new Set(conflicts.map(conflict => conflict.date));
+    const occurrences = [];
+
+    dates
+      .filter(date => !conflictDates.has(dateKey(date)))
+      .forEach(date => {
+        fleet.forEach(({ vehicle = null, ...vehicleInfo }) => {
+          occurrences.push({
+            carOwner: req.user.id,
+            garage: garage._id,
+            services: lines,
+            bookingDate: date,
+            timeSlot: slot,
+            vehicle,
+            vehicleInfo,
+            notes: notes || '',
+            status: 'pending',
+            depositRequired,
+            series: series._id,
+            occurrenceDate: date
+          });
+        });
+      });
+
+    const bookings = await Booking.create(occurrences, { session, ordered: true });
+
+    // Update garage stats (also serializes concurrent bookings, see createBooking)
+    garage.stats.totalBookings += bookings.length;
+    await garage.save({ session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(201).json({
+      success: true,
+      message: conflicts.length > 0
+        ? `Series created with ${bookings.length} booking(s). ${conflicts.length} conflicting occurrence(s) were skipped.`
+        : `Series created with ${bookings.length} booking(s)`,
+      data: {
+        series,
+        bookings: bookings.map(b => ({
+          _id: b._id,
+          bookingDate: b.bookingDate,
+          timeSlot: b.timeSlot,
+          vehicleInfo: b.vehicleInfo,
+          status: b.status
+        })),
+        conflicts
+      }
+    });
+  } catch (error) {
+    if (session) {
+      try { await session.abortTransaction(); } catch (e) {}
+      try { session.endSession(); } catch (e) {}
+    }
+
+    if (error.hasErrorLabel && error.hasErrorLabel('TransientTransactionError')) {
+      return res.status(409).json({
+        success: false,
+        message: 'This garage\'s schedule was just updated by another booking, please try again'
+      });
+    }
+
+    console.error('Create booking series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating booking series',
+      error: error.message
+    });
+  }
+};
+
+// ==========================================
+// @desc    List booking series (own, or of own garages)
+// @route   GET /api/bookings/series
+// @access  Private
+// ==========================================
+const getSeries = async (req, res) => {
+  try {
+    const { status, garageId } = req.query;
+    const filter = {};
+
+    // Every role is scoped explicitly; anything unrecognised sees nothing
+    const staffGarages = (req.user.memberships || []).map(m => m.garage);
+
+    if (req.user.role === 'car_owner') {
+      filter.$or = [{ carOwner: req.user.id }, { garage: { $in: staffGarages } }];
+    } else if (req.user.role === 'garage_owner') {
+      const userGarages = await Garage.find({ owner: req.user.id }).select('_id');
+      filter.garage = { $in: [...userGarages.map(g => g._id), ...staffGarages] };
+    } else if (req.user.role === 'api_key') {
+      filter.garage = req.user.apiKey.garage;
+    } else if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to list booking series'
+      });
+    }
+
+    if (status) filter.status = status;
+    if (garageId && req.user.role === 'admin') filter.garage = garageId;
+
+    const series = await BookingSeries.find(filter)
+      .populate('garage', 'name')
+      .populate('services', 'name duration price')
+      .sort({ createdAt: -1 });
+
+    // Upcoming occurrence counts per series
+    const counts = await Booking.aggregate([
+      {
+        $match: {
+          series: { $in: series.map(s => s._id) },
+          status: { $in: ['pending', 'approved'] },
+          bookingDate: { $gte: dayRange(new Date()).start },
+          isDeleted: false
+        }
+      },
+      { $group: { _id: '$series', upcoming: { $sum: 1 }, next: { $min: '$bookingDate' } } }
+    ]);
+    const countsById = new Map(counts.map(c => [c._id.toString(), c]));
+
+    const data = series.map(s => {
+      const count = countsById.get(s._id.toString());
+      return {
+        ...s.toJSON(),
+        upcomingOccurrences: count ? count.upcoming : 0,
+        nextOccurrence: count ? count.next : null
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data: { series: data }
+    });
+  } catch (error) {
+    console.error('Get booking series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching booking series',
+      error: error.message
+    });
+  }
+};
+
+// ==========================================
+// @desc    Get a booking series with its occurrences
+// @route   GET /api/bookings/series/:id
+// @access  Private (Series owner, Garage Owner/Staff or Admin)
+// ==========================================
+const getSeriesById = async (req, res) => {
+  try {
+    const series = req.resource;
+
+    const occurrences = await Booking.find({ series: series._id, isDeleted: false })
+      .select('bookingDate timeSlot status vehicleInfo occurrenceDate seriesException price isPaid')
+      .sort('bookingDate timeSlot.start');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        series,
+        occurrences
+      }
+    });
+  } catch (error) {
+    console.error('Get booking series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching booking series',
+      error: error.message
+    });
+  }
+};
+
+// ==========================================
+// @desc    Change the time slot or notes of all upcoming occurrences.
+//          Occurrences rescheduled on their own are left alone.
+// @route   PATCH /api/bookings/series/:id
+// @access  Private (Series owner, Garage Owner/Manager/Receptionist or Admin)
+// ==========================================
+const updateSeries = async (req, res) => {
+  let session;
+
+  try {
+    session = await mongoose.startSession();
+    session.startTransaction();
+
+    const { timeSlot, notes, name, reason } = req.body;
+
+    const series = await BookingSeries.findById(req.resource._id).session(session);
+    if (series.status !== 'active') {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(409).json({
+        success: false,
+        message: 'This series has been cancelled'
+      });
+    }
+
+    const slot = timeSlot ? normalizeTimeSlot(timeSlot) : null;
+    if (timeSlot && !slot) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: 'Time slot needs start and end times in HH:MM format, with end after start'
+      });
+    }
+
+    const garage = await Garage.findById(series.garage).session(session);
+    const policy = garage.bookingPolicy.reschedule;
+    const byCustomer = isSameId(series.carOwner, req.user.id);
+
+    // Customers can't move occurrences inside the garage's notice period
+    const earliest = new Date(Date.now() + (byCustomer ? policy.minNoticeHours : 0) * 60 * 60 * 1000);
+    const occurrences = (await upcomingOccurrences(series._id, session))
+      .filter(booking => !booking.seriesException)
+      .filter(booking => dateAtTime(booking.bookingDate, booking.timeSlot.start) > earliest);
+
+    if (slot) {
+      const slotLength = timeToMinutes(slot.end) - timeToMinutes(slot.start);
+      const needed = Math.max(0, ...occurrences.map(booking => booking.totalDuration));
+
+      if (slotLength < needed) {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(400).json({
+          success: false,
+          message: `Time slot duration (${slotLength}min) is less than the booked services need (${needed}min)`
+        });
+      }
+
+      const dates = [...new Map(occurrences.map(b => [dateKey(b.bookingDate), b.bookingDate])).values()];
+      const conflicts = await findConflicts(garage, dates, slot, series.vehicles.length, session, series._id);
+
+      if (conflicts.length > 0) {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(409).json({
+          success: false,
+          message: `${conflicts.length} occurrence(s) can't move to the new time slot`,
+          conflicts
+        });
+      }
+
+      for (const booking of occurrences) {
+        booking.reschedule(
+          { bookingDate: booking.bookingDate, timeSlot: slot },
+          {
+            ...statusActor(req),
+            reason: reason || 'Series time slot changed',
+            requireReapproval: byCustomer && policy.requireReapproval && booking.status === 'approved'
+          }
+        );
+      }
+      series.timeSlot = slot;
+    }
+
+    if (notes !== undefined) {
+      series.notes = notes;
+      occurrences.forEach(booking => { booking.notes = notes; });
+    }
+    if (name !== undefined) series.name = name;
+
+    for (const booking of occurrences) {
+      await booking.save({ session });
+    }
+    await series.save({ session });
+
+    // Writing the garage makes concurrent booking changes for it conflict (see createBooking)
+    await Garage.updateOne(
+      { _id: garage._id },
+      { $currentDate: { updatedAt: true } },
+      { session, timestamps: false }
+    );
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(200).json({
+      success: true,
+      message: `Series updated. ${occurrences.length} upcoming booking(s) changed.`,
+      data: {
+        series,
+        updatedBookings: occurrences.length
+      }
+    });
+  } catch (error) {
+    if (session) {
+      try { await session.abortTransaction(); } catch (e) {}
+      try { session.endSession(); } catch (e) {}
+    }
+
+    if (error.hasErrorLabel && error.hasErrorLabel('TransientTransactionError')) {
+      return res.status(409).json({
+        success: false,
+        message: 'This garage\'s schedule was just updated by another booking, please try again'
+      });
+    }
+
+    console.error('Update booking series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating booking series',
+      error: error.message
+    });
+  }
+};
+
+// ==========================================
+// @desc    Cancel a series and all its upcoming occurrences
+// @route   POST /api/bookings/series/:id/cancel
+// @access  Private (Series owner, Garage Owner/Manager/Receptionist or Admin)
+// ==========================================
+const cancelSeries = async (req, res) => {
+  let session;
+
+  try {
+    session = await mongoose.startSession();
+    session.startTransaction();
+
+    const series = await BookingSeries.findById(req.resource._id).session(session);
+    if (series.status !== 'active') {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(409).json({
+        success: false,
+        message: 'This series is already cancelled'
+      });
+    }
+
+    const byCustomer = isSameId(series.carOwner, req.user.id);
+    const reason = req.body.reason || (byCustomer ? 'Series cancelled by customer' : 'Series cancelled by garage');
+    const garage = await Garage.findById(series.garage).session(session);
+    const occurrences = await upcomingOccurrences(series._id, session);
+
+    const refunded = await cancelOccurrences(occurrences, garage, req, { reason, byCustomer }, session);
+
+    series.status = 'cancelled';
+    series.cancelledAt = new Date();
+    series.cancelledBy = req.user.id;
+    await series.save({ session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    promoteFreedDays(series.garage, occurrences);
+
+    res.status(200).json({
+      success: true,
+      message: refunded > 0
+        ? `Series cancelled with ${occurrences.length} upcoming booking(s). ${refunded} refunded.`
+        : `Series cancelled with ${occurrences.length} upcoming booking(s)`,
+      data: {
+        series,
+        cancelledBookings: occurrences.length,
+        refunded
+      }
+    });
+  } catch (error) {
+    if (session) {
+      try { await session.abortTransaction(); } catch (e) {}
+      try { session.endSession(); } catch (e) {}
+    }
+    console.error('Cancel booking series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling booking series',
+      error: error.message
+    });
+  }
+};
+
+// ==========================================
+// @desc    Skip one occurrence of a series (cancels its bookings)
+// @route   POST /api/bookings/series/:id/exceptions
+// @access  Private (Series owner, Garage Owner/Manager/Receptionist or Admin)
+// ==========================================
+const skipOccurrence = async (req, res) => {
+  let session;
+
+  try {
+    session = await mongoose.startSession();
+    session.startTransaction();
+
+    const { date, reason } = req.body;
+
+    if (!date || isNaN(new Date(date))) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: 'A valid occurrence date is required'
+      });
+    }
+
+    const series = await BookingSeries.findById(req.resource._id).session(session);
+    const { start, end } = dayRange(date);
+
+    const occurrences = await Booking.find({
+      series: series._id,
+      occurrenceDate: { $gte: start, $lte: end },
+      status: { $in: ['pending', 'approved'] },
+      isDeleted: false
+    }).session(session);
+
+    if (occurrences.length === 0) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({
+        success: false,
+        message: 'No open occurrence of this series on that date'
+      });
+    }
+
+    const byCustomer = isSameId(series.carOwner, req.user.id);
+    const skipReason = reason || 'Occurrence skipped';
+    const garage = await Garage.findById(series.garage).session(session);
+
+    const refunded = await cancelOccurrences(occurrences, garage, req, { reason: skipReason, byCustomer }, session);
+
+    series.exceptions.push({
+      date: start,
+      type: 'skipped',
+      reason: skipReason,
+      createdBy: req.user.id
+    });
+    await series.save({ session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    promoteFreedDays(series.garage, occurrences);
+
+    res.status(200).json({
+      success: true,
+      message: `Occurrence on ${dateKey(start)} skipped (${occurrences.length} booking(s) cancelled)`,
+      data: {
+        series,
+        cancelledBookings: occurrences.map(b => b._id),
+        refunded
+      }
+    });
+  } catch (error) {
+    if (session) {
+      try { await session.abortTransaction(); } catch (e) {}
+      try { session.endSession(); } catch (e) {}
+    }
+    console.error('Skip series occurrence error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error skipping occurrence',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  createSeries,
+  getSeries,
+  getSeriesById,
+  updateSeries,
+  cancelSeries,
+  skipOccurrence
+};
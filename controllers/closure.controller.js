@@ -0,0 +1,410 @@
+// ==========================================
+// controllers/closure.controller.js
+// Garage holiday closures and special opening hours
+// ==========================================
+
+const Garage = require('../models/garage');
+const Booking = require('../models/booking');
+const User = require('../models/User');
+const { sendMail } = require('../config/mail');
+const {
+  ACTIVE_BOOKING_STATUSES,
+  normalizeTime,
+  timeToMinutes,
+  dateKey,
+  dayRange
+} = require('../utils/scheduling');
+const mongoose = require('mongoose');
+
+const CLOSURE_TYPES = ['closed', 'custom_hours'];
+
+// Validate closure fields; returns an error message or null.
+// `closure` holds the merged values (existing closure + updates).
+const validateClosure = (closure) => {
+  if (!closure.date || isNaN(new Date(closure.date))) {
+    return 'A valid closure date is required';
+  }
+
+  if (!CLOSURE_TYPES.includes(closure.type)) {
+    return `Type must be one of: ${CLOSURE_TYPES.join(', ')}`;
+  }
+
+  if (closure.type === 'custom_hours') {
+    const open = normalizeTime(closure.open);
+    const close = normalizeTime(closure.close);
+    if (!open || !close || timeToMinutes(close) <= timeToMinutes(open)) {
+      return 'Custom hours need open and close times in HH:MM format, with close after open';
+    }
+  }
+
+  return null;
+};
+
+// Another closure already covering the same date (and recurrence)
+const findDuplicate = (garage, closure, excludeId = null) => {
+  const key = dateKey(closure.date);
+
+  return garage.closures.find(c =>
+    (!excludeId || c._id.toString() !== excludeId.toString()) &&
+    Boolean(c.recurring) === Boolean(closure.recurring) &&
+    (closure.recurring ? dateKey(c.date).slice(5) === key.slice(5) : dateKey(c.date) === key)
+  );
+};
+
+// Next date (today or later) a closure applies on, or null if it is in the past
+const nextOccurrence = (closure) => {
+  const today = dayRange(new Date()).start;
+  const date = dayRange(closure.date).start;
+
+  if (!closure.recurring) {
+    return date >= today ? date : null;
+  }
+
+  date.setFullYear(today.getFullYear());
+  if (date < today) {
+    date.setFullYear(today.getFullYear() + 1);
+  }
+  return date;
+};
+
+// Every date the closure applies on from its next occurrence up to `until`:
+// one date, or one per year for a recurring closure
+const occurrencesUntil = (closure, until) => {
+  const first = nextOccurrence(closure);
+  if (!first) return [];
+  if (!closure.recurring) return [first];
+
+  const dates = [];
+  for (let year = first.getFullYear(); ; year++) {
+    const date = new Date(first);
+    date.setFullYear(year);
+    if (date > until) break;
+    dates.push(date);
+  }
+  return dates;
+};
+
+// Flag active bookings that the closure now makes impossible, and tell the owner.
+// Recurring closures are checked on every occurrence up to the garage's
+// furthest booking.
+const flagAffectedBookings = async (garage, closure) => {
+  const activeFilter = {
+    garage: garage._id,
+    status: { $in: ACTIVE_BOOKING_STATUSES },
+    isDeleted: false
+  };
+
+  const latest = await Booking.findOne(activeFilter).sort({ bookingDate: -1 }).select('bookingDate');
+  if (!latest) return [];
+
+  const dates = occurrencesUntil(closure, dayRange(latest.bookingDate).end);
+  if (dates.length === 0) return [];
+
+  const bookings = await Booking.find({
+    ...activeFilter,
+    $or: dates.map(date => {
+      const { start, end } = dayRange(date);
+      return { bookingDate: { $gte: start, $lte: end } };
+    })
+  })
+    .sort('bookingDate timeSlot.start')
+    .select('bookingDate timeSlot vehicleInfo status carOwner');
+
+  const open = normalizeTime(closure.open);
+  const close = normalizeTime(closure.close);
+  const affected = closure.type === 'closed'
+    ? bookings
+    : bookings.filter(b => b.timeSlot.start < open || b.timeSlot.end > close);
+
+  if (affected.length === 0) return [];
+
+  const describe = (when) => (closure.type === 'closed'
+    ? `Garage closed on ${when}${closure.reason ? ` (${closure.reason})` : ''}`
+    : `Special hours ${open}-${close} on ${when}${closure.reason ? ` (${closure.reason})` : ''}`);
+  const reason = describe(closure.recurring ? `${dateKey(dates[0]).slice(5)} every year` : dateKey(dates[0]));
+
+  // Each booking's flag names its own date
+  const byDate = new Map();
+  affected.forEach(b => {
+    const key = dateKey(b.bookingDate);
+    byDate.set(key, [...(byDate.get(key) || []), b._id]);
+  });
+
+  for (const [key, ids] of byDate) {
+    await Booking.updateMany(
+      { _id: { $in: ids } },
+      {
+        closureConflict: {
+          closure: closure._id,
+          reason: describe(key),
+          flaggedAt: new Date()
+        }
+      }
+    );
+  }
+
+  try {
+    const owner = await User.findById(garage.owner).select('name email');
+    if (owner) {
+      const lines = affected.map(b =>
+        `- ${dateKey(b.bookingDate)} ${b.timeSlot.start}-${b.timeSlot.end} ${b.vehicleInfo.make} ${b.vehicleInfo.model} (${b.vehicleInfo.licensePlate}), ${b.status}`
+      );
+
+      await sendMail({
+        to: owner.email,
+        subject: `${affected.length} booking(s) affected by a closure at ${garage.name}`,
+        text: `Hi ${owner.name},\n\n${reason}. These bookings need to be rescheduled or cancelled:\n\n${lines.join('\n')}`,
+        html: `<p>Hi ${owner.name},</p><p>${reason}. These bookings need to be rescheduled or cancelled:</p><ul>${lines.map(l => `<li>${l.slice(2)}</li>`).join('')}</ul>`
+      });
+    }
+  } catch (mailError) {
+    console.error('Closure notification email error:', mailError);
+  }
+
+  return affected.map(b => ({
+    _id: b._id,
+    bookingDate: b.bookingDate,
+    timeSlot: b.timeSlot,
+    status: b.status
+  }));
+};
+
+// Clear flags left by a closure that was removed or changed
+const clearClosureFlags = (closureId) => {
+  return Booking.updateMany(
+    { 'closureConflict.closure': closureId },
+    { closureConflict: { closure: null, reason: null, flaggedAt: null } }
+  );
+};
+
+// ==========================================
+// @desc    List a garage's closures and special hours
+// @route   GET /api/garages/:id/closures
+// @access  Public
+// ==========================================
+const getClosures = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { includePast } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid garage ID'
+      });
+    }
+
+    const garage = await Garage.findOne({ _id: id, isDeleted: false }).select('name closures');
+    if (!garage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Garage not found'
+      });
+    }
+
+    let closures = garage.closures.map(closure => ({
+      ...closure.toObject(),
+      nextOccurrence: nextOccurrence(closure)
+    }));
+
+    if (includePast !== 'true') {
+      closures = closures.filter(c => c.nextOccurrence);
+    }
+
+    closures.sort((a, b) => (a.nextOccurrence || a.date) - (b.nextOccurrence || b.date));
+
+    res.status(200).json({
+      success: true,
+      count: closures.length,
+      data: { closures }
+    });
+  } catch (error) {
+    console.error('Get closures error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching closures',
+      error: error.message
+    });
+  }
+};
+
+// ==========================================
+// @desc    Add a closure or special opening hours
+// @route   POST /api/garages/:id/closures
+// @access  Private (Garage Owner, Manager or Admin)
+// ==========================================
+const createClosure = async (req, res) => {
+  try {
+    const garage = req.resource;
+    const { date, type = 'closed', open, close, recurring = false, reason } = req.body;
+
+    if (garage.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Garage not found'
+      });
+    }
+
+    const closure = {
+      date: date ? dayRange(date).start : date,
+      type,
+      open: type === 'custom_hours' ? normalizeTime(open) : undefined,
+      close: type === 'custom_hours' ? normalizeTime(close) : undefined,
+      recurring,
+      reason: reason || '',
+      createdBy: req.user.id
+    };
+
+    const validationError = validateClosure({ ...closure, open, close });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    if (findDuplicate(garage, closure)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A closure already exists for this date'
+      });
+    }
+
+    garage.closures.push(closure);
+    await garage.save();
+
+    const created = garage.closures[garage.closures.length - 1];
+    const affectedBookings = await flagAffectedBookings(garage, created);
+
+    res.status(201).json({
+      success: true,
+      message: affectedBookings.length > 0
+        ? `Closure added. ${affectedBookings.length} existing booking(s) were flagged for the garage owner.`
+        : 'Closure added successfully',
+      data: {
+        closure: created,
+        affectedBookings
+      }
+    });
+  } catch (error) {
+    console.error('Create closure error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding closure',
+      error: error.message
+    });
+  }
+};
+
+// ==========================================
+// @desc    Update a closure or special opening hours
+// @route   PATCH /api/garages/:id/closures/:closureId
+// @access  Private (Garage Owner, Manager or Admin)
+// ==========================================
+const updateClosure = async (req, res) => {
+  try {
+    const garage = req.resource;
+    const { closureId } = req.params;
+
+    const closure = mongoose.Types.ObjectId.isValid(closureId) && garage.closures.id(closureId);
+    if (!closure) {
+      return res.status(404).json({
+        success: false,
+        message: 'Closure not found'
+      });
+    }
+
+    const allowedUpdates = ['date', 'type', 'open', 'close', 'recurring', 'reason'];
+    const merged = { ...closure.toObject() };
+    allowedUpdates.forEach(field => {
+      if (req.body[field] !== undefined) merged[field] = req.body[field];
+    });
+
+    const validationError = validateClosure(merged);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    merged.date = dayRange(merged.date).start;
+    if (findDuplicate(garage, merged, closure._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A closure already exists for this date'
+      });
+    }
+
+    closure.date = merged.date;
+    closure.type = merged.type;
+    closure.open = merged.type === 'custom_hours' ? normalizeTime(merged.open) : undefined;
+    closure.close = merged.type === 'custom_hours' ? normalizeTime(merged.close) : undefined;
+    closure.recurring = merged.recurring;
+    closure.reason = merged.reason || '';
+    await garage.save();
+
+    // Re-evaluate which bookings the changed closure affects
+    await clearClosureFlags(closure._id);
+    const affectedBookings = await flagAffectedBookings(garage, closure);
+
+    res.status(200).json({
+      success: true,
+      message: 'Closure updated successfully',
+      data: {
+        closure,
+        affectedBookings
+      }
+    });
+  } catch (error) {
+    console.error('Update closure error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating closure',
+      error: error.message
+    });
+  }
+};
+
+// ==========================================
+// @desc    Remove a closure
+// @route   DELETE /api/garages/:id/closures/:closureId
+// @access  Private (Garage Owner, Manager or Admin)
+// ==========================================
+const deleteClosure = async (req, res) => {
+  try {
+    const garage = req.resource;
+    const { closureId } = req.params;
+
+    const closure = mongoose.Types.ObjectId.isValid(closureId) && garage.closures.id(closureId);
+    if (!closure) {
+      return res.status(404).json({
+        success: false,
+        message: 'Closure not found'
+      });
+    }
+
+    closure.deleteOne();
+    await garage.save();
+    await clearClosureFlags(closure._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Closure removed successfully'
+    });
+  } catch (error) {
+    console.error('Delete closure error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing closure',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getClosures,
+  createClosure,
+  updateClosure,
+  deleteClosure
+};
@@ -4,6 +4,7 @@ const Booking = require('../models/booking');
 const Review = require('../models/Review');
 const User = require('../models/User');
 const Payment = require('../models/Payment');
+const { getAvailability } = require('../utils/availability');
 const mongoose = require('mongoose');
 const path = require('path');
 const fs = require('fs').promises;
@@ -28,7 +29,7 @@ const deg2rad = (deg) => deg * (Math.PI/180);
 // ==========================================
 // @desc    Create a new garage
 // @route   POST /api/garages
-// @access  Public
+// @access  Private (Garage Owner with paid creation)
 // ==========================================
 const createGarage = async (req, res) => {
   try {
@@ -39,12 +40,14 @@ const createGarage = async (req, res) => {
       address,
       contactInfo,
       businessHours,
+      serviceBays,
       images,
       documents
     } = req.body;
 
     // Create garage
     const garage = await Garage.create({
+      owner: req.user.id,
       name,
       description,
       coordinates: {
@@ -72,6 +75,7 @@ const createGarage = async (req, res) => {
         saturday: businessHours?.saturday || { open: '09:00', close: '15:00', closed: false },
         sunday: businessHours?.sunday || { closed: true }
       },
+      serviceBays: serviceBays || 1,
       images: images || [],
       documents: documents || [],
       status: 'pending',
@@ -285,7 +289,7 @@ const getAllGarages = async (req, res) => {
 // ==========================================
 // @desc    Get deleted garages
 // @route   GET /api/garages/deleted/all
-// @access  Public
+// @access  Private/Admin
 // ==========================================
 const getDeletedGarages = async (req, res) => {
   try {
@@ -370,7 +374,7 @@ const getDeletedGarages = async (req, res) => {
 // ==========================================
 // @desc    Get unverified garages
 // @route   GET /api/garages/unverified/all
-// @access  Public
+// @access  Private/Admin
 // ==========================================
 const getUnverifiedGarages = async (req, res) => {
   try {
@@ -557,7 +561,7 @@ const getGarageById = async (req, res) => {
 // ==========================================
 // @desc    Update garage
 // @route   PATCH /api/garages/:id
-// @access  Public
+// @access  Private (Garage Owner or Admin)
 // ==========================================
 const updateGarage = async (req, res) => {
   try {
@@ -581,7 +585,7 @@ const updateGarage = async (req, res) => {
 
     const allowedUpdates = [
       'name', 'description', 'coordinates', 'address',
-      'contactInfo', 'businessHours', 'images', 'documents'
+      'contactInfo', 'businessHours', 'serviceBays', 'bookingPolicy', 'images', 'documents'
     ];
     
     Object.keys(updates).forEach(key => {
@@ -602,6 +606,19 @@ const updateGarage = async (req, res) => {
       delete updates.businessHours;
     }
 
+    // Merge policy settings field by field, e.g. { reschedule: { maxReschedules: 3 } }
+    if (updates.bookingPolicy) {
+      Object.keys(updates.bookingPolicy).forEach(section => {
+        const values = updates.bookingPolicy[section];
+        if (garage.bookingPolicy[section] && values && typeof values === 'object') {
+          Object.keys(values).forEach(key => {
+            garage.set(`bookingPolicy.${section}.${key}`, values[key]);
+          });
+        }
+      });
+      delete updates.bookingPolicy;
+    }
+
     Object.assign(garage, updates);
     await garage.save();
 
@@ -623,7 +640,7 @@ const updateGarage = async (req, res) => {
 // ==========================================
 // @desc    Verify garage
 // @route   PUT /api/garages/:id/verify
-// @access  Public
+// @access  Private/Admin
 // ==========================================
 const verifyGarage = async (req, res) => {
   try {
@@ -649,6 +666,7 @@ const verifyGarage = async (req, res) => {
     garage.status = status;
     garage.isActive = status === 'active';
     garage.verifiedAt = new Date();
+    garage.verifiedBy = req.user.id;
     garage.verificationNotes = notes;
 
     await garage.save();
@@ -680,7 +698,7 @@ const verifyGarage = async (req, res) => {
 // ==========================================
 // @desc    Toggle garage active status
 // @route   PUT /api/garages/:id/toggle-active
-// @access  Public
+// @access  Private/Admin
 // ==========================================
 const toggleActive = async (req, res) => {
   try {
@@ -722,7 +740,7 @@ const toggleActive = async (req, res) => {
 // ==========================================
 // @desc    Upload garage images/documents
 // @route   POST /api/garages/:id/uploads
-// @access  Public
+// @access  Private (Garage Owner or Admin)
 // ==========================================
 const uploadFiles = async (req, res) => {
   try {
@@ -787,7 +805,7 @@ const uploadFiles = async (req, res) => {
 // ==========================================
 // @desc    Delete file
 // @route   DELETE /api/garages/:id/files/:filename
-// @access  Public
+// @access  Private (Garage Owner or Admin)
 // ==========================================
 const deleteFile = async (req, res) => {
   try {
@@ -848,6 +866,93 @@ const deleteFile = async (req, res) => {
   }
 };
 
+// Longest range the availability calendar returns in one request
+const MAX_AVAILABILITY_DAYS = 31;
+
+// ==========================================
+// @desc    Get bookable slots per day for one or more services
+// @route   GET /api/garages/:id/availability?serviceIds=a,b&from=&to=
+//          (serviceId=a is still accepted for a single service)
+// @access  Public
+// ==========================================
+const getGarageAvailability = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { serviceId, serviceIds, from, to } = req.query;
+    const ids = serviceIds ? String(serviceIds).split(',').map(s => s.trim()).filter(Boolean) : [serviceId].filter(Boolean);
+
+    if (!mongoose.Types.ObjectId.isValid(id) || ids.length === 0 || !ids.every(s => mongoose.Types.ObjectId.isValid(s))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid garage ID and serviceIds are required'
+      });
+    }
+
+    // Defaults to the next 7 days
+    const fromDate = from ? new Date(from) : new Date();
+    const toDate = to ? new Date(to) : new Date(fromDate.getTime() + 6 * 24 * 60 * 60 * 1000);
+
+    if (isNaN(fromDate) || isNaN(toDate) || toDate < fromDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be valid dates, with to on or after from'
+      });
+    }
+
+    const rangeDays = Math.floor((toDate - fromDate) / (24 * 60 * 60 * 1000)) + 1;
+    if (rangeDays > MAX_AVAILABILITY_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `Date range cannot exceed ${MAX_AVAILABILITY_DAYS} days`
+      });
+    }
+
+    const garage = await Garage.findOne({ _id: id, isDeleted: false })
+      .select('name businessHours closures serviceBays status isActive');
+
+    // Only active garages take bookings (see createBooking)
+    if (!garage || garage.status !== 'active' || !garage.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Garage not found or not active'
+      });
+    }
+
+    const services = await Service.findBookable(id, ids);
+
+    if (!services) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found or not available'
+      });
+    }
+
+    const totalDuration = services.reduce((sum, service) => sum + service.duration, 0);
+    const days = await getAvailability(garage, totalDuration, fromDate, toDate);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        garage: {
+          _id: garage._id,
+          name: garage.name,
+          serviceBays: garage.serviceBays
+        },
+        services: services.map(({ _id, name, duration, price }) => ({ _id, name, duration, price })),
+        totalDuration,
+        days
+      }
+    });
+  } catch (error) {
+    console.error('Get garage availability error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching availability',
+      error: error.message
+    });
+  }
+};
+
 // ==========================================
 // @desc    Get garage services
 // @route   GET /api/garages/:id/services
@@ -1109,13 +1214,14 @@ const getGarageReviews = async (req, res) => {
 // ==========================================
 // @desc    Get garage bookings
 // @route   GET /api/garages/:id/bookings
-// @access  Public
+// @access  Private (Garage Owner or Admin)
 // ==========================================
 const getGarageBookings = async (req, res) => {
   try {
     const { id } = req.params;
     const {
       status,
+      flagged,
       startDate,
       endDate,
       page = 1,
@@ -1148,6 +1254,11 @@ const getGarageBookings = async (req, res) => {
       filter.status = status;
     }
 
+    // Bookings that clash with a closure added after they were made
+    if (flagged === 'true') {
+      filter['closureConflict.closure'] = { $ne: null };
+    }
+
     if (startDate || endDate) {
       filter.bookingDate = {};
       if (startDate) {
@@ -1170,7 +1281,7 @@ const getGarageBookings = async (req, res) => {
     sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
 
     const bookings = await Booking.find(filter)
-      .populate('carOwner', 'name email phone avatar')
+      .populate('carOwner', 'name email phone avatar bookingStats')
       .populate('service', 'name price duration category')
       .populate('payment', 'amount status method transactionId')
       .populate({
@@ -1186,6 +1297,14 @@ const getGarageBookings = async (req, res) => {
       .limit(limitNum)
       .lean();
 
+    // Show garages how reliable each customer has been
+    bookings.forEach(booking => {
+      if (booking.carOwner) {
+        booking.carOwner.reliability = User.reliabilityOf(booking.carOwner.bookingStats);
+        delete booking.carOwner.bookingStats;
+      }
+    });
+
     const total = await Booking.countDocuments(filter);
 
     const stats = await Booking.aggregate([
@@ -1206,11 +1325,12 @@ const getGarageBookings = async (req, res) => {
             }
           ],
           byService: [
+            ...Booking.serviceLineStages(),
             {
               $group: {
-                _id: '$service',
+                _id: '$line.service',
                 count: { $sum: 1 },
-                revenue: { $sum: '$price.total' }
+                revenue: { $sum: '$line.price' }
               }
             },
             { $sort: { count: -1 } },
@@ -1312,7 +1432,7 @@ const getGarageBookings = async (req, res) => {
 // ==========================================
 // @desc    Get garage analytics
 // @route   GET /api/garages/:id/analytics
-// @access  Public
+// @access  Private (Garage Owner or Admin)
 // ==========================================
 const getGarageAnalytics = async (req, res) => {
   try {
@@ -1400,13 +1520,14 @@ const getGarageAnalytics = async (req, res) => {
             { $sort: { '_id.year': 1, '_id.month': 1, '_id.day': 1 } }
           ],
           byService: [
+            ...Booking.serviceLineStages(),
             {
               $group: {
-                _id: '$service',
+                _id: '$line.service',
                 count: { $sum: 1 },
                 revenue: { 
                   $sum: { 
-                    $cond: [{ $eq: ['$isPaid', true] }, '$price.total', 0] 
+                    $cond: [{ $eq: ['$isPaid', true] }, '$line.price', 0] 
                   } 
                 }
               }
@@ -1676,7 +1797,7 @@ const getNearbyGarages = async (req, res) => {
 // ==========================================
 // @desc    Soft delete garage
 // @route   DELETE /api/garages/:id
-// @access  Public
+// @access  Private (Garage Owner or Admin)
 // ==========================================
 const deleteGarage = async (req, res) => {
   try {
@@ -1699,6 +1820,7 @@ const deleteGarage = async (req, res) => {
 
     garage.isDeleted = true;
     garage.deletedAt = new Date();
+    garage.deletedBy = req.user.id;
     garage.status = 'suspended';
     garage.isActive = false;
     await garage.save();
@@ -1712,18 +1834,14 @@ const deleteGarage = async (req, res) => {
       }
     );
 
-    await Booking.updateMany(
+    await Booking.transitionMany(
       { 
         garage: id, 
         bookingDate: { $gte: new Date() },
-        status: { $in: ['pending', 'approved'] },
         isDeleted: false
       },
-      {
-        status: 'cancelled',
-        cancellationReason: 'Garage deleted',
-        cancelledAt: new Date()
-      }
+      'cancelled',
+      { changedBy: req.user.id, actorType: 'user', reason: 'Garage deleted' }
     );
 
     res.status(200).json({
@@ -2017,7 +2135,7 @@ const getAllGaragesComplete = async (req, res) => {
 // ==========================================
 // @desc    Restore deleted garage
 // @route   PUT /api/garages/:id/restore
-// @access  Public
+// @access  Private/Admin
 // ==========================================
 const restoreGarage = async (req, res) => {
   try {
@@ -2044,6 +2162,7 @@ const restoreGarage = async (req, res) => {
 
     garage.isDeleted = false;
     garage.deletedAt = undefined;
+    garage.deletedBy = undefined;
     garage.status = 'pending';
     garage.isActive = false;
     garage.isVerified = false;
@@ -2076,6 +2195,7 @@ module.exports = {
   uploadFiles,
   deleteFile,
   getGarageServices,
+  getGarageAvailability,
   getGarageReviews,
   getGarageBookings,
   getGarageAnalytics,
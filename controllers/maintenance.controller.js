@@ -0,0 +1,381 @@
+// ==========================================
+// controllers/maintenance.controller.js
+// Maintenance schedules (defaults and garage-defined), vehicle maintenance
+// status and the reminders sent to car owners
+// ==========================================
+
+const Garage = require('../models/garage');
+const Service = require('../models/Service');
+const MaintenanceReminder = require('../models/MaintenanceReminder');
+const { DEFAULT_SCHEDULES, maintenanceStatus } = require('../utils/maintenance');
+const mongoose = require('mongoose');
+
+const SERVICE_CATEGORIES = ['maintenance', 'repair', 'inspection', 'customization', 'other'];
+const SCHEDULE_FIELDS = ['category', 'service', 'name', 'intervalKm', 'intervalMonths', 'remindBeforeKm', 'remindBeforeDays'];
+
+const isNonNegative = (value) => value == null || (typeof value === 'number' && value >= 0);
+
+// Returns an error message, or null when the schedule is valid
+const validateSchedule = (schedule) => {
+  if (!SERVICE_CATEGORIES.includes(schedule.category)) {
+    return `Category must be one of: ${SERVICE_CATEGORIES.join(', ')}`;
+  }
+  if (!schedule.name || !String(schedule.name).trim()) {
+    return 'Schedule name is required';
+  }
+  if (!['intervalKm', 'intervalMonths', 'remindBeforeKm', 'remindBeforeDays'].every(f => isNonNegative(schedule[f]))) {
+    return 'Intervals and reminder lead times must be non-negative numbers';
+  }
+  if (!(schedule.intervalKm > 0) && !(schedule.intervalMonths > 0)) {
+    return 'Set intervalKm, intervalMonths or both';
+  }
+  return null;
+};
+
+// Another schedule of the garage covering the same service, or the same category
+const findDuplicate = (garage, schedule, excludeId = null) => {
+  return garage.maintenanceSchedules.find(s =>
+    (!excludeId || !s._id.equals(excludeId)) &&
+    (schedule.service
+      ? s.service && s.service.toString() === schedule.service.toString()
+      : !s.service && s.category === schedule.category)
+  );
+};
+
+// A garage service a schedule may target; its category wins over the request's
+const resolveService = async (garage, schedule) => {
+  if (!schedule.service) return { schedule: { ...schedule, service: null } };
+
+  const service = mongoose.Types.ObjectId.isValid(schedule.service) && await Service.findOne({
+    _id: schedule.service,
+    garage: garage._id,
+    isDeleted: false
+  }).select('category');
+
+  if (!service) return { error: 'Service not found in this garage' };
+  return { schedule: { ...schedule, service: service._id, category: service.category } };
+};
+
+// ==========================================
+// @desc    A garage's maintenance schedules, with the defaults they override
+// @route   GET /api/garages/:id/maintenance-schedules
+// @access  Public
+// ==========================================
+const getMaintenanceSchedules = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid garage ID'
+      });
+    }
+
+    const garage = await Garage.findOne({ _id: id, isDeleted: false })
+      .select('name maintenanceSchedules')
+      .populate('maintenanceSchedules.service', 'name category');
+
+    if (!garage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Garage not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        schedules: garage.maintenanceSchedules,
+        defaults: DEFAULT_SCHEDULES
+      }
+    });
+  } catch (error) {
+    console.error('Get maintenance schedules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching maintenance schedules',
+      error: error.message
+    });
+  }
+};
+
+// ==========================================
+// @desc    Add a maintenance schedule for a service category or service
+// @route   POST /api/garages/:id/maintenance-schedules
+// @access  Private (Garage Owner, Manager or Admin)
+// ==========================================
+const createMaintenanceSchedule = async (req, res) => {
+  try {
+    const garage = req.resource;
+
+    if (garage.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Garage not found'
+      });
+    }
+
+    const requested = {};
+    SCHEDULE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) requested[field] = req.body[field];
+    });
+
+    const { schedule, error: serviceError } = await resolveService(garage, requested);
+    const validationError = serviceError || validateSchedule(schedule);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    if (findDuplicate(garage, schedule)) {
+      return res.status(400).json({
+        success: false,
+        message: schedule.service
+          ? 'This service already has a maintenance schedule'
+          : 'This category already has a maintenance schedule'
+      });
+    }
+
+    garage.maintenanceSchedules.push(schedule);
+    await garage.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Maintenance schedule added successfully',
+      data: { schedule: garage.maintenanceSchedules[garage.maintenanceSchedules.length - 1] }
+    });
+  } catch (error) {
+    console.error('Create maintenance schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding maintenance schedule',
+      error: error.message
+    });
+  }
+};
+
+// ==========================================
+// @desc    Update a maintenance schedule
+// @route   PATCH /api/garages/:id/maintenance-schedules/:scheduleId
+// @access  Private (Garage Owner, Manager or Admin)
+// ==========================================
+const updateMaintenanceSchedule = async (req, res) => {
+  try {
+    const garage = req.resource;
+    const { scheduleId } = req.params;
+
+    const existing = mongoose.Types.ObjectId.isValid(scheduleId) && garage.maintenanceSchedules.id(scheduleId);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Maintenance schedule not found'
+      });
+    }
+
+    const merged = { ...existing.toObject() };
+    SCHEDULE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) merged[field] = req.body[field];
+    });
+
+    const { schedule, error: serviceError } = await resolveService(garage, merged);
+    const validationError = serviceError || validateSchedule(schedule);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    if (findDuplicate(garage, schedule, existing._id)) {
+      return res.status(400).json({
+        success: false,
+        message: schedule.service
+          ? 'This service already has a maintenance schedule'
+          : 'This category already has a maintenance schedule'
+      });
+    }
+
+    SCHEDULE_FIELDS.forEach(field => {
+      existing[field] = schedule[field];
+    });
+    await garage.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Maintenance schedule updated successfully',
+      data: { schedule: existing }
+    });
+  } catch (error) {
+    console.error('Update maintenance schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating maintenance schedule',
+      error: error.message
+    });
+  }
+};
+
+// ==========================================
+// @desc    Remove a maintenance schedule (the default applies again)
+// @route   DELETE /api/garages/:id/maintenance-schedules/:scheduleId
+// @access  Private (Garage Owner, Manager or Admin)
+// ==========================================
+const deleteMaintenanceSchedule = async (req, res) => {
+  try {
+    const garage = req.resource;
+    const { scheduleId } = req.params;
+
+    const schedule = mongoose.Types.ObjectId.isValid(scheduleId) && garage.maintenanceSchedules.id(scheduleId);
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Maintenance schedule not found'
+      });
+    }
+
+    schedule.deleteOne();
+    await garage.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Maintenance schedule removed successfully'
+    });
+  } catch (error) {
+    console.error('Delete maintenance schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing maintenance schedule',
+      error: error.message
+    });
+  }
+};
+
+// ==========================================
+// @desc    Maintenance status of a vehicle: last service and next due per schedule
+// @route   GET /api/vehicles/:id/maintenance
+// @access  Private (Owner or Admin)
+// ==========================================
+const getVehicleMaintenance = async (req, res) => {
+  try {
+    const vehicle = req.resource;
+
+    if (vehicle.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vehicle not found'
+      });
+    }
+
+    const items = await maintenanceStatus(vehicle);
+
+    res.status(200).json({
+      success: true,
+      count: items.length,
+      data: {
+        vehicle: {
+          _id: vehicle._id,
+          make: vehicle.make,
+          model: vehicle.model,
+          licensePlate: vehicle.licensePlate,
+          mileage: vehicle.mileage,
+          mileageUpdatedAt: vehicle.mileageUpdatedAt
+        },
+        maintenance: items
+      }
+    });
+  } catch (error) {
+    console.error('Get vehicle maintenance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching vehicle maintenance',
+      error: error.message
+    });
+  }
+};
+
+// ==========================================
+// @desc    My open maintenance reminders
+// @route   GET /api/vehicles/reminders
+// @access  Private
+// ==========================================
+const getMyReminders = async (req, res) => {
+  try {
+    const reminders = await MaintenanceReminder.find({
+      owner: req.user.id,
+      status: { $in: ['due_soon', 'overdue'] },
+      dismissedAt: null
+    })
+      .populate('vehicle', 'make model licensePlate mileage')
+      .populate('garage', 'name address')
+      .populate('service', 'name')
+      .sort({ dueDate: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: reminders.length,
+      data: { reminders }
+    });
+  } catch (error) {
+    console.error('Get reminders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reminders',
+      error: error.message
+    });
+  }
+};
+
+// ==========================================
+// @desc    Dismiss a maintenance reminder (no more emails for this cycle)
+// @route   POST /api/vehicles/reminders/:id/dismiss
+// @access  Private
+// ==========================================
+const dismissReminder = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid reminder ID'
+      });
+    }
+
+    const reminder = await MaintenanceReminder.findOneAndUpdate(
+      { _id: req.params.id, owner: req.user.id },
+      { dismissedAt: new Date() },
+      { new: true }
+    );
+
+    if (!reminder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reminder not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Reminder dismissed',
+      data: { reminder }
+    });
+  } catch (error) {
+    console.error('Dismiss reminder error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error dismissing reminder',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getMaintenanceSchedules,
+  createMaintenanceSchedule,
+  updateMaintenanceSchedule,
+  deleteMaintenanceSchedule,
+  getVehicleMaintenance,
+  getMyReminders,
+  dismissReminder
+};
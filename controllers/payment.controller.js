@@ -6,10 +6,22 @@ const Payment = require('../models/Payment');
 const User = require('../models/User');
 const Garage = require('../models/garage');
 const Booking = require('../models/booking');
+const Service = require('../models/Service');
+const SlotHold = require('../models/SlotHold');
+const Vehicle = require('../models/Vehicle');
+const { normalizeTimeSlot, timeToMinutes } = require('../utils/scheduling');
+const { checkBayCapacity, openingHoursConflict } = require('../utils/availability');
+const { promoteWaitlistLater } = require('../utils/waitlist');
 const axios = require('axios');
 const mongoose = require('mongoose');
 const crypto = require('crypto');
 
+// How long a slot stays reserved while the customer pays (read per call:
+// server.js loads .env after the app modules)
+const checkoutHoldMinutes = () => parseInt(process.env.CHECKOUT_HOLD_MINUTES) || 10;
+
+const MAX_SERVICES_PER_CHECKOUT = 10;
+
 // ================================
 // Initialize Garage Payment
 // ================================
@@ -165,7 +177,7 @@ exports.initBookingPayment = async (req, res) => {
       _id: bookingId,
       carOwner: req.user._id,
       isDeleted: false
-    }).populate('garage').session(session);
+    }).populate('garage').populate('service', 'name price').session(session);
 
     if (!booking) {
       await session.abortTransaction();
@@ -176,8 +188,14 @@ exports.initBookingPayment = async (req, res) => {
       });
     }
 
+    // What's left to pay: the accepted quote's total (or the booking's price
+    // without one), less what earlier payments still hold. An accepted quote
+    // can raise the total after the booking was paid.
+    const paid = exports.amountHeld(await exports.bookingPayments(booking._id, session));
+    const amountDue = booking.amountDue() - paid;
+
     // Check if booking is already paid
-    if (booking.isPaid) {
+    if (amountDue <= 0) {
       await session.abortTransaction();
       session.endSession();
       return res.status(400).json({
@@ -186,8 +204,7 @@ exports.initBookingPayment = async (req, res) => {
       });
     }
 
-    // Validate amount matches estimated price
-    if (amount !== booking.price.estimated) {
+    if (amount !== amountDue) {
       await session.abortTransaction();
       session.endSession();
       return res.status(400).json({
@@ -213,7 +230,7 @@ exports.initBookingPayment = async (req, res) => {
       return_url: returnUrl,
       tx_ref,
       title: `Payment for Booking #${bookingId}`,
-      description: `Payment for ${booking.service.name} at ${booking.garage.name}`,
+      description: `Payment for ${booking.services.length > 0 ? booking.services.map(line => line.name).join(', ') : booking.service.name} at ${booking.garage.name}`,
       'customization[title]': 'Service Payment',
       'customization[description]': `Booking on ${new Date(booking.bookingDate).toLocaleDateString()}`
     };
@@ -279,6 +296,342 @@ exports.initBookingPayment = async (req, res) => {
   }
 };
 
+// ================================
+// Start Booking Checkout
+// Reserves the slot with a short-lived hold and initializes the payment.
+// The booking is only created once the payment succeeds.
+// ================================
+exports.startBookingCheckout = async (req, res) => {
+  let session;
+
+  try {
+    session = await mongoose.startSession();
+    session.startTransaction();
+
+    const { garageId, serviceIds, serviceId, bookingDate, timeSlot, vehicleId, vehicleInfo, notes } = req.body;
+    const ids = Array.isArray(serviceIds) ? serviceIds : [serviceId].filter(Boolean);
+
+    if (!garageId || ids.length === 0 || !bookingDate || !timeSlot || (!vehicleId && !vehicleInfo)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields'
+      });
+    }
+
+    if (ids.length > MAX_SERVICES_PER_CHECKOUT) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: `A booking can include at most ${MAX_SERVICES_PER_CHECKOUT} services`
+      });
+    }
+
+    const garage = await Garage.findOne({
+      _id: garageId,
+      isDeleted: false,
+      status: 'active'
+    }).session(session);
+
+    if (!garage) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({
+        success: false,
+        message: 'Garage not found or not active'
+      });
+    }
+
+    const services = await Service.findBookable(garageId, ids, session);
+    if (!services) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found or not available'
+      });
+    }
+
+    const bookedVehicle = await Vehicle.resolveForBooking(req.user._id, { vehicleId, vehicleInfo }, session);
+    if (!bookedVehicle) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({
+        success: false,
+        message: 'Vehicle not found'
+      });
+    }
+
+    if (bookedVehicle.error) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: bookedVehicle.error
+      });
+    }
+
+    const slot = normalizeTimeSlot(timeSlot);
+    if (!slot) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: 'Time slot needs start and end times in HH:MM format, with end after start'
+      });
+    }
+
+    const lines = services.map(service => ({
+      service: service._id,
+      name: service.name,
+      price: service.price,
+      duration: service.duration
+    }));
+    const totalDuration = lines.reduce((sum, line) => sum + line.duration, 0);
+    const amount = lines.reduce((sum, line) => sum + line.price, 0);
+    const slotLength = timeToMinutes(slot.end) - timeToMinutes(slot.start);
+
+    if (slotLength < totalDuration) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: `Time slot duration (${slotLength}min) is less than the selected services need (${totalDuration}min)`
+      });
+    }
+
+    if (amount <= 0) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: 'These services are free; book them directly without checkout'
+      });
+    }
+
+    const noShowPolicy = garage.bookingPolicy.noShow;
+    const { blocked } = await User.noShowStanding(req.user._id, noShowPolicy, session);
+    if (blocked) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(403).json({
+        success: false,
+        message: `This garage does not accept bookings from customers with ${noShowPolicy.blockAfter} or more missed appointments`
+      });
+    }
+
+    const hoursConflict = openingHoursConflict(garage, bookingDate, slot);
+    if (hoursConflict) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: hoursConflict.reason,
+        businessHours: hoursConflict.businessHours
+      });
+    }
+
+    // One checkout at a time: starting a new one gives up the previous slot
+    await SlotHold.updateMany(
+      { carOwner: req.user._id, source: 'checkout', status: 'active' },
+      { status: 'released' },
+      { session }
+    );
+
+    // As with bookings, the garage write below makes concurrent checkouts
+    // for the same garage conflict, so only one can take the last bay
+    const capacity = await checkBayCapacity(garage, bookingDate, slot, session);
+    if (!capacity.available) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: 'Time slot already booked'
+      });
+    }
+
+    const [hold] = await SlotHold.create([{
+      garage: garage._id,
+      carOwner: req.user._id,
+      bookingDate: new Date(bookingDate),
+      timeSlot: slot,
+      source: 'checkout',
+      draft: {
+        services: lines,
+        ...bookedVehicle,
+        notes: notes || '',
+        amount
+      },
+      expiresAt: new Date(Date.now() + checkoutHoldMinutes() * 60 * 1000)
+    }], { session });
+
+    const tx_ref = `checkout-${hold._id}-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+
+    const chapaData = {
+      amount: amount.toString(),
+      currency: 'ETB',
+      email: req.user.email,
+      first_name: req.user.name.split(' ')[0] || req.user.name,
+      last_name: req.user.name.split(' ').slice(1).join(' ') || '',
+      callback_url: process.env.CHAPA_CALLBACK_URL,
+      return_url: process.env.CHAPA_RETURN_URL,
+      tx_ref,
+      title: `Booking at ${garage.name}`,
+      description: `Payment for ${lines.map(line => line.name).join(', ')} at ${garage.name}`,
+      'customization[title]': 'Service Payment',
+      'customization[description]': `Booking on ${new Date(bookingDate).toLocaleDateString()}`
+    };
+
+    const chapaResponse = await axios.post(
+      'https://api.chapa.co/v1/transaction/initialize',
+      chapaData,
+      {
+        headers: {
+          Authorization: `Bearer ${process.env.CHAPA_SECRET_KEY}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+
+    const [payment] = await Payment.create([{
+      user: req.user._id,
+      paymentType: 'booking',
+      slotHold: hold._id,
+      amount,
+      currency: 'ETB',
+      method: 'card',
+      status: 'pending',
+      transactionId: tx_ref,
+      provider: {
+        name: 'Chapa',
+        reference: tx_ref,
+        checkoutUrl: chapaResponse.data.data.checkout_url,
+        response: chapaResponse.data
+      }
+    }], { session });
+
+    hold.payment = payment._id;
+    await hold.save({ session });
+
+    await Garage.updateOne({ _id: garage._id }, { $currentDate: { updatedAt: true } }, { session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    return res.status(201).json({
+      success: true,
+      message: `Slot reserved for ${checkoutHoldMinutes()} minutes. Complete the payment to confirm your booking.`,
+      data: {
+        holdId: hold._id,
+        expiresAt: hold.expiresAt,
+        paymentId: payment._id,
+        checkoutUrl: chapaResponse.data.data.checkout_url,
+        tx_ref,
+        amount
+      }
+    });
+
+  } catch (err) {
+    if (session) {
+      try { await session.abortTransaction(); } catch (e) {}
+      try { session.endSession(); } catch (e) {}
+    }
+
+    if (err.hasErrorLabel && err.hasErrorLabel('TransientTransactionError')) {
+      return res.status(409).json({
+        success: false,
+        message: 'This time slot was just updated by another booking, please try again'
+      });
+    }
+
+    console.error('Booking Checkout Error:', err.response?.data || err.message);
+
+    return res.status(500).json({
+      success: false,
+      message: err.response?.data?.message || err.message
+    });
+  }
+};
+
+// ================================
+// Turn a paid checkout hold into an approved booking. If the hold ran out
+// before the payment arrived, the slot is booked only if a bay is still
+// free; otherwise the payment is refunded and null is returned.
+// The hold is claimed atomically first, so the webhook and a manual verify
+// arriving together create one booking, not two.
+// ================================
+const convertCheckoutHold = async (payment, session = null) => {
+  // Returns the hold as it was before the claim
+  const hold = await SlotHold.findOneAndUpdate(
+    { _id: payment.slotHold, status: { $ne: 'converted' } },
+    { status: 'converted' },
+    { session }
+  );
+
+  if (!hold) {
+    const converted = await SlotHold.findById(payment.slotHold).session(session);
+    return converted && converted.booking ? Booking.findById(converted.booking).session(session) : null;
+  }
+
+  const garage = await Garage.findOne({ _id: hold.garage, isDeleted: false }).session(session);
+  const slotStillFree = garage && !openingHoursConflict(garage, hold.bookingDate, hold.timeSlot) &&
+    (await checkBayCapacity(garage, hold.bookingDate, hold.timeSlot, session, { excludeHold: hold._id })).available;
+
+  if (!slotStillFree) {
+    await SlotHold.updateOne(
+      { _id: hold._id },
+      { status: hold.isLive() ? 'released' : 'expired' },
+      { session }
+    );
+
+    await exports.processRefund(payment, {
+      reason: 'The reserved time slot was no longer available when the payment completed'
+    }, session);
+    return null;
+  }
+
+  const booking = new Booking({
+    carOwner: hold.carOwner,
+    garage: hold.garage,
+    services: hold.draft.services,
+    bookingDate: hold.bookingDate,
+    timeSlot: { start: hold.timeSlot.start, end: hold.timeSlot.end },
+    vehicle: hold.draft.vehicle,
+    vehicleInfo: hold.draft.vehicleInfo,
+    notes: hold.draft.notes,
+    status: 'pending',
+    isPaid: true,
+    payment: payment._id
+  });
+
+  booking.transitionTo('approved', {
+    actorType: 'system',
+    reason: 'Approved automatically after payment'
+  });
+  await booking.save({ session });
+
+  await SlotHold.updateOne({ _id: hold._id }, { booking: booking._id }, { session });
+
+  payment.booking = booking._id;
+  await payment.save({ session });
+
+  garage.stats.totalBookings += 1;
+  await garage.save({ session });
+
+  return booking;
+};
+
+// Give up the hold of a checkout whose payment failed
+const releaseCheckoutHold = async (payment, session = null) => {
+  return SlotHold.findOneAndUpdate(
+    { _id: payment.slotHold, status: 'active' },
+    { status: 'released' },
+    { session, new: true }
+  );
+};
+
 // ================================
 // Chapa Webhook Handler
 // ================================
@@ -311,6 +664,13 @@ exports.handleChapaWebhook = async (req, res) => {
       return res.status(404).json({ success: false, message: 'Payment not found' });
     }
 
+    // Already handled (by an earlier delivery or a manual verify)
+    if (payment.status === 'completed') {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(200).json({ success: true, message: 'Webhook already processed' });
+    }
+
     // Update payment status
     payment.status = status === 'success' ? 'completed' : 'failed';
     payment.provider.response = payload;
@@ -321,6 +681,8 @@ exports.handleChapaWebhook = async (req, res) => {
 
     await payment.save({ session });
 
+    let releasedHold = null;
+
     // Handle based on payment type
     if (status === 'success') {
       if (payment.paymentType === 'garage_creation') {
@@ -353,21 +715,35 @@ exports.handleChapaWebhook = async (req, res) => {
         }
       } else if (payment.paymentType === 'booking' && payment.booking) {
         // Update booking payment status
-        await Booking.findByIdAndUpdate(
-          payment.booking,
-          { 
-            isPaid: true,
-            payment: payment._id,
-            status: 'approved' // Auto-approve after payment
-          },
-          { session }
-        );
+        const booking = await Booking.findById(payment.booking).session(session);
+        if (booking) {
+          booking.isPaid = true;
+          booking.payment = payment._id;
+
+          // Auto-approve after payment (only pending bookings can be approved)
+          booking.transitionTo('approved', {
+            actorType: 'system',
+            reason: 'Approved automatically after payment'
+          });
+
+          await booking.save({ session });
+        }
+      } else if (payment.paymentType === 'booking' && payment.slotHold) {
+        // Checkout payment: the booking is created from the reserved slot
+        await convertCheckoutHold(payment, session);
       }
+    } else if (payment.slotHold) {
+      releasedHold = await releaseCheckoutHold(payment, session);
     }
 
     await session.commitTransaction();
     session.endSession();
 
+    // The released slot can go to someone on the waitlist
+    if (releasedHold) {
+      promoteWaitlistLater(releasedHold.garage, releasedHold.bookingDate);
+    }
+
     res.status(200).json({ success: true, message: 'Webhook processed' });
 
   } catch (err) {
@@ -379,6 +755,14 @@ exports.handleChapaWebhook = async (req, res) => {
   }
 };
 
+// Payment with what verifyPayment returns about it
+const findPaymentForVerify = (txRef) => {
+  return Payment.findOne({ transactionId: txRef })
+    .populate('user', 'name email')
+    .populate('garageCreation.garage', 'name')
+    .populate('booking');
+};
+
 // ================================
 // Verify Payment (Manual)
 // ================================
@@ -399,10 +783,7 @@ exports.verifyPayment = async (req, res) => {
     const chapaData = verifyRes.data;
 
     // Find payment record
-    const payment = await Payment.findOne({ transactionId: tx_ref })
-      .populate('user', 'name email')
-      .populate('garageCreation.garage', 'name')
-      .populate('booking');
+    let payment = await findPaymentForVerify(tx_ref);
 
     if (!payment) {
       return res.status(404).json({ 
@@ -411,21 +792,50 @@ exports.verifyPayment = async (req, res) => {
       });
     }
 
-    // Update payment status if changed
+    // Update payment status if changed. Completing the payment and its
+    // post-payment actions share one transaction (as in the webhook): if the
+    // booking can't be created the payment stays pending, and the webhook or
+    // a later verify can still process it.
     if (chapaData.data.status === 'success' && payment.status !== 'completed') {
-      payment.status = 'completed';
-      payment.paidAt = new Date();
-      await payment.save();
+      const session = await mongoose.startSession();
+      session.startTransaction();
+
+      try {
+        const completed = await Payment.findOneAndUpdate(
+          { _id: payment._id, status: { $ne: 'completed' } },
+          { status: 'completed', paidAt: new Date() },
+          { session, new: true }
+        );
 
-      // Trigger post-payment actions
-      if (payment.paymentType === 'garage_creation') {
-        await User.findByIdAndUpdate(payment.user, { canCreateGarage: true });
-      } else if (payment.paymentType === 'booking' && payment.booking) {
-        await Booking.findByIdAndUpdate(payment.booking, { isPaid: true });
+        // Trigger post-payment actions (skipped when the webhook got there first)
+        if (completed && completed.paymentType === 'garage_creation') {
+          await User.findByIdAndUpdate(completed.user, { canCreateGarage: true }, { session });
+        } else if (completed && completed.paymentType === 'booking' && completed.booking) {
+          await Booking.findByIdAndUpdate(completed.booking, { isPaid: true }, { session });
+        } else if (completed && completed.paymentType === 'booking' && completed.slotHold) {
+          await convertCheckoutHold(completed, session);
+        }
+
+        await session.commitTransaction();
+        session.endSession();
+      } catch (error) {
+        try { await session.abortTransaction(); } catch (e) {}
+        session.endSession();
+        throw error;
       }
+
+      // Reload to return the booking it created (or the refund it recorded)
+      payment = await findPaymentForVerify(tx_ref);
     } else if (chapaData.data.status === 'failed' && payment.status === 'pending') {
       payment.status = 'failed';
       await payment.save();
+
+      if (payment.slotHold) {
+        const releasedHold = await releaseCheckoutHold(payment);
+        if (releasedHold) {
+          promoteWaitlistLater(releasedHold.garage, releasedHold.bookingDate);
+        }
+      }
     }
 
     return res.status(200).json({ 
@@ -609,6 +1019,63 @@ exports.getPayment = async (req, res) => {
   }
 };
 
+// What a payment still holds after earlier refunds
+const refundableAmount = (payment) => payment.amount - ((payment.refundInfo && payment.refundInfo.amount) || 0);
+
+// ================================
+// Record a refund of all or part of a completed payment (shared with booking
+// cancellation). There is no provider refund call: the payout is made by
+// hand and stays pending until an admin records it (completeRefund).
+// Refunds add up, so refundInfo.amount is the total refunded so far.
+// ================================
+exports.processRefund = async (payment, { amount = refundableAmount(payment), reason, requestedBy }, session) => {
+  const refunded = payment.amount - refundableAmount(payment) + amount;
+
+  payment.status = refunded >= payment.amount ? 'refunded' : 'partially_refunded';
+  payment.refundInfo = {
+    amount: refunded,
+    reason,
+    requestedAt: new Date(),
+    requestedBy,
+    status: 'pending'
+  };
+  await payment.save({ session });
+
+  return payment;
+};
+
+// Payments of a booking that still hold money, newest first
+exports.bookingPayments = (bookingId, session = null) => {
+  return Payment.find({
+    booking: bookingId,
+    paymentType: 'booking',
+    status: { $in: ['completed', 'partially_refunded'] }
+  }).sort({ paidAt: -1 }).session(session);
+};
+
+// Total those payments still hold
+exports.amountHeld = (payments) => payments.reduce((sum, payment) => sum + refundableAmount(payment), 0);
+
+// Refund `amount` across a booking's payments, newest first (so a partial
+// refund returns the latest payments in full). Returns the refunded payment ids.
+exports.refundBookingPayments = async (payments, amount, { reason, requestedBy }, session) => {
+  const refunded = [];
+  let remaining = amount;
+
+  for (const payment of payments) {
+    if (remaining <= 0) break;
+
+    const share = Math.min(remaining, refundableAmount(payment));
+    if (share <= 0) continue;
+
+    await exports.processRefund(payment, { amount: share, reason, requestedBy }, session);
+    refunded.push(payment._id);
+    remaining -= share;
+  }
+
+  return refunded;
+};
+
 // ================================
 // Initiate Refund
 // ================================
@@ -663,29 +1130,19 @@ exports.initiateRefund = async (req, res) => {
       });
     }
 
-    // TODO: Integrate with Chapa refund API
-    // const refundResponse = await axios.post(...);
-
-    // Update payment status
-    payment.status = 'refunded';
-    payment.refundInfo = {
-      reason,
-      requestedAt: new Date(),
-      requestedBy: req.user.id,
-      // refundId: refundResponse.data.refund_id
-    };
-    await payment.save({ session });
+    await exports.processRefund(payment, { reason, requestedBy: req.user.id }, session);
 
     // Handle refund based on payment type
     if (payment.paymentType === 'booking' && payment.booking) {
-      await Booking.findByIdAndUpdate(
-        payment.booking,
-        { 
-          isPaid: false,
-          status: 'cancelled'
-        },
-        { session }
-      );
+      const booking = await Booking.findById(payment.booking).session(session);
+      if (booking) {
+        booking.isPaid = false;
+        booking.transitionTo('cancelled', {
+          changedBy: req.user.id,
+          reason: reason ? `Refunded: ${reason}` : 'Refunded'
+        });
+        await booking.save({ session });
+      }
     } else if (payment.paymentType === 'garage_creation') {
       await User.findByIdAndUpdate(
         payment.user,
@@ -699,7 +1156,7 @@ exports.initiateRefund = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      message: 'Refund initiated successfully',
+      message: 'Refund recorded. It is paid out manually and stays pending until then.',
       data: { payment }
     });
   } catch (error) {
@@ -713,6 +1170,52 @@ exports.initiateRefund = async (req, res) => {
   }
 };
 
+// ================================
+// Record a manual refund payout
+// ================================
+exports.completeRefund = async (req, res) => {
+  try {
+    const { refundId } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid payment ID'
+      });
+    }
+
+    const payment = await Payment.findOneAndUpdate(
+      { _id: req.params.id, 'refundInfo.status': 'pending' },
+      {
+        'refundInfo.status': 'processed',
+        'refundInfo.processedAt': new Date(),
+        'refundInfo.processedBy': req.user.id,
+        'refundInfo.refundId': refundId || null
+      },
+      { new: true }
+    );
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending refund for this payment'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Refund marked as paid out',
+      data: { payment }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error completing refund',
+      error: error.message
+    });
+  }
+};
+
 // ================================
 // Get Payment Statistics
 // ================================
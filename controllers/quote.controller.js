@@ -0,0 +1,344 @@
+// ==========================================
+// controllers/quote.controller.js
+// Garage quotes on a booking (labour and parts lines, tax, validity) and the
+// customer's answer to them
+// ==========================================
+
+const Booking = require('../models/booking');
+const User = require('../models/User');
+const { bookingPayments, amountHeld, refundBookingPayments } = require('./payment.controller');
+const { sendMail } = require('../config/mail');
+const { dateKey } = require('../utils/scheduling');
+const mongoose = require('mongoose');
+
+const LINE_TYPES = ['labour', 'parts', 'other'];
+const MAX_QUOTE_LINES = 50;
+const DEFAULT_VALID_DAYS = 7;
+
+// Quotes can be sent and answered while the work is still ahead or ongoing
+const QUOTABLE_STATUSES = ['pending', 'approved', 'in_progress'];
+
+const isNonNegative = (value) => typeof value === 'number' && !isNaN(value) && value >= 0;
+
+// Returns an error message, or null when the lines are valid
+const validateLines = (lines) => {
+  if (!Array.isArray(lines) || lines.length === 0) {
+    return 'A quote needs at least one line';
+  }
+  if (lines.length > MAX_QUOTE_LINES) {
+    return `A quote can have at most ${MAX_QUOTE_LINES} lines`;
+  }
+  for (const line of lines) {
+    if (!line || !LINE_TYPES.includes(line.type)) {
+      return `Line type must be one of: ${LINE_TYPES.join(', ')}`;
+    }
+    if (!line.description || !String(line.description).trim()) {
+      return 'Every line needs a description';
+    }
+    if (!isNonNegative(line.quantity) || line.quantity === 0 || !isNonNegative(line.unitPrice)) {
+      return 'Quantity must be a positive number and unit price a non-negative number';
+    }
+  }
+  return null;
+};
+
+// Validity end from `validUntil` or `validDays`; null when invalid
+const resolveValidUntil = ({ validUntil, validDays }) => {
+  if (validUntil !== undefined) {
+    const date = new Date(validUntil);
+    return isNaN(date.getTime()) || date <= new Date() ? null : date;
+  }
+
+  const days = validDays !== undefined ? validDays : DEFAULT_VALID_DAYS;
+  if (!Number.isInteger(days) || days < 1 || days > 90) return null;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+// The version a customer answers: it must be the latest and still open.
+// An expired quote is marked as such.
+const findOpenQuote = async (booking, version) => {
+  const quote = booking.quotes.find(q => q.version === Number(version));
+
+  if (!quote) {
+    return { status: 404, message: 'Quote not found' };
+  }
+  if (quote !== booking.latestQuote() || quote.status !== 'sent') {
+    return { status: 409, message: `This quote is ${quote.status === 'sent' ? 'superseded' : quote.status}` };
+  }
+  if (quote.validUntil < new Date()) {
+    quote.status = 'expired';
+    await booking.save();
+    return { status: 410, message: 'This quote has expired; ask the garage for a new one' };
+  }
+
+  return { quote };
+};
+
+const sendQuoteEmail = async (booking, quote) => {
+  try {
+    const customer = await User.findById(booking.carOwner).select('name email');
+    if (!customer) return;
+
+    const lines = quote.lines.map(line =>
+      `- ${line.description} (${line.type}): ${line.quantity} x ${line.unitPrice} = ${line.total} ${quote.currency}`
+    );
+    const totals = `Subtotal ${quote.subtotal}, tax (${quote.taxRate}%) ${quote.taxAmount}, total ${quote.total} ${quote.currency}`;
+
+    await sendMail({
+      to: customer.email,
+      subject: `Quote from ${booking.garage.name} for your booking on ${dateKey(booking.bookingDate)}`,
+      text: `Hi ${customer.name},\n\n${booking.garage.name} sent quote #${quote.version}, valid until ${dateKey(quote.validUntil)}:\n\n${lines.join('\n')}\n\n${totals}\n\nAccept or reject it from your booking.`,
+      html: `<p>Hi ${customer.name},</p><p>${booking.garage.name} sent quote #${quote.version}, valid until ${dateKey(quote.validUntil)}:</p><ul>${lines.map(l => `<li>${l.slice(2)}</li>`).join('')}</ul><p>${totals}</p><p>Accept or reject it from your booking.</p>`
+    });
+  } catch (mailError) {
+    console.error('Quote email error:', mailError);
+  }
+};
+
+// ==========================================
+// @desc    Quote versions of a booking
+// @route   GET /api/bookings/:id/quotes
+// @access  Private (Customer, Garage Owner, Staff or Admin)
+// ==========================================
+const getQuotes = async (req, res) => {
+  try {
+    const booking = req.resource;
+
+    if (booking.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const accepted = booking.acceptedQuote();
+
+    res.status(200).json({
+      success: true,
+      count: booking.quotes.length,
+      data: {
+        quotes: booking.quotes,
+        acceptedVersion: accepted ? accepted.version : null
+      }
+    });
+  } catch (error) {
+    console.error('Get quotes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching quotes',
+      error: error.message
+    });
+  }
+};
+
+// ==========================================
+// @desc    Send a quote (a new version when one exists)
+// @route   POST /api/bookings/:id/quotes
+// @access  Private (Garage Owner, Manager, Mechanic or Admin)
+// ==========================================
+const createQuote = async (req, res) => {
+  try {
+    const booking = req.resource;
+    const { lines, taxRate = 15, notes = '' } = req.body;
+
+    if (booking.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (!QUOTABLE_STATUSES.includes(booking.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot send a quote for a ${booking.status} booking`
+      });
+    }
+
+    const linesError = validateLines(lines);
+    if (linesError) {
+      return res.status(400).json({
+        success: false,
+        message: linesError
+      });
+    }
+
+    if (!isNonNegative(taxRate) || taxRate > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tax rate must be a percentage between 0 and 100'
+      });
+    }
+
+    const validUntil = resolveValidUntil(req.body);
+    if (!validUntil) {
+      return res.status(400).json({
+        success: false,
+        message: 'validUntil must be a future date, or validDays a whole number from 1 to 90'
+      });
+    }
+
+    const priced = Booking.priceQuote(
+      lines.map(line => ({ ...line, description: String(line.description).trim() })),
+      taxRate
+    );
+    const quote = booking.addQuote({
+      ...priced,
+      validUntil,
+      notes: String(notes).trim(),
+      createdBy: req.user.id
+    });
+    await booking.save();
+
+    await sendQuoteEmail(booking, quote);
+
+    res.status(201).json({
+      success: true,
+      message: 'Quote sent to the customer',
+      data: { quote }
+    });
+  } catch (error) {
+    console.error('Create quote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error sending quote',
+      error: error.message
+    });
+  }
+};
+
+// ==========================================
+// @desc    Accept a quote; its total becomes what the booking costs. A lower
+//          total than already paid refunds the difference.
+// @route   POST /api/bookings/:id/quotes/:version/accept
+// @access  Private (Customer)
+// ==========================================
+const acceptQuote = async (req, res) => {
+  let session;
+
+  try {
+    const booking = req.resource;
+
+    if (booking.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (!QUOTABLE_STATUSES.includes(booking.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot accept a quote for a ${booking.status} booking`
+      });
+    }
+
+    const { quote, status, message } = await findOpenQuote(booking, req.params.version);
+    if (!quote) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const previous = booking.acceptedQuote();
+    if (previous) previous.status = 'superseded';
+
+    quote.status = 'accepted';
+    quote.respondedAt = new Date();
+    quote.respondedBy = req.user.id;
+
+    session = await mongoose.startSession();
+    session.startTransaction();
+
+    // A higher total than what was already paid leaves a balance to pay; a
+    // lower one is refunded
+    const payments = await bookingPayments(booking._id, session);
+    const balance = quote.total - amountHeld(payments);
+    let refundAmount = 0;
+
+    if (balance > 0) {
+      booking.isPaid = false;
+    } else if (balance < 0) {
+      refundAmount = -balance;
+      await refundBookingPayments(payments, refundAmount, {
+        reason: `Quote #${quote.version} accepted for less than was paid`,
+        requestedBy: req.user.id
+      }, session);
+    }
+
+    await booking.save({ session });
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(200).json({
+      success: true,
+      message: refundAmount > 0
+        ? `Quote accepted. A refund of ${refundAmount} is pending and will be paid out manually.`
+        : 'Quote accepted',
+      data: {
+        quote,
+        amountDue: Math.max(balance, 0),
+        refundAmount
+      }
+    });
+  } catch (error) {
+    if (session) {
+      await session.abortTransaction();
+      session.endSession();
+    }
+    console.error('Accept quote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error accepting quote',
+      error: error.message
+    });
+  }
+};
+
+// ==========================================
+// @desc    Reject a quote; the garage can send a revised version
+// @route   POST /api/bookings/:id/quotes/:version/reject
+// @access  Private (Customer)
+// ==========================================
+const rejectQuote = async (req, res) => {
+  try {
+    const booking = req.resource;
+    const { reason = '' } = req.body || {};
+
+    if (booking.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const { quote, status, message } = await findOpenQuote(booking, req.params.version);
+    if (!quote) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    quote.status = 'rejected';
+    quote.respondedAt = new Date();
+    quote.respondedBy = req.user.id;
+    quote.rejectionReason = String(reason).trim();
+    await booking.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Quote rejected',
+      data: { quote }
+    });
+  } catch (error) {
+    console.error('Reject quote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error rejecting quote',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getQuotes,
+  createQuote,
+  acceptQuote,
+  rejectQuote
+};
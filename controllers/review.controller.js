@@ -6,6 +6,7 @@ const Review = require('../models/Review');
 const Booking = require('../models/booking');
 const Garage = require('../models/garage');
 const User = require('../models/User');
+const { can } = require('../utils/policy');
 const mongoose = require('mongoose');
 const path = require('path');
 const fs = require('fs').promises;
@@ -246,22 +247,7 @@ const getReview = async (req, res) => {
     }
 
     // Visibility check
-    let isVisible = false;
-
-    if (req.user && req.user.role === 'admin') {
-      isVisible = true;
-    } else if (req.user && review.carOwner && review.carOwner._id.toString() === req.user.id) {
-      isVisible = true;
-    } else if (req.user && req.user.role === 'garage_owner' && review.garage) {
-      const garage = await Garage.findById(review.garage._id);
-      if (garage && garage.owner.toString() === req.user.id) {
-        isVisible = true;
-      }
-    } else if (!req.user || req.user.role === 'car_owner') {
-      if (review.isVerified === true) {
-        isVisible = true;
-      }
-    }
+    const isVisible = review.isVerified === true || can(req.user, 'review:read', review);
 
     if (!isVisible) {
       return res.status(404).json({
@@ -437,10 +423,9 @@ const updateReview = async (req, res) => {
       });
     }
 
-    const isOwner = review.carOwner.toString() === req.user.id.toString();
     const isAdmin = req.user.role === 'admin';
 
-    if (!isOwner && !isAdmin) {
+    if (!can(req.user, 'review:update', review)) {
       await session.abortTransaction();
       session.endSession();
       return res.status(403).json({
@@ -530,10 +515,7 @@ const addResponse = async (req, res) => {
       });
     }
 
-    const isGarageOwner = review.garage.owner.toString() === req.user.id.toString();
-    const isAdmin = req.user.role === 'admin';
-
-    if (!isGarageOwner && !isAdmin) {
+    if (!can(req.user, 'review:respond', review)) {
       await session.abortTransaction();
       session.endSession();
       return res.status(403).json({
@@ -624,10 +606,7 @@ const updateResponse = async (req, res) => {
       });
     }
 
-    const isGarageOwner = review.garage.owner.toString() === req.user.id.toString();
-    const isAdmin = req.user.role === 'admin';
-
-    if (!isGarageOwner && !isAdmin) {
+    if (!can(req.user, 'review:respond', review)) {
       await session.abortTransaction();
       session.endSession();
       return res.status(403).json({
@@ -706,10 +685,7 @@ const deleteResponse = async (req, res) => {
       });
     }
 
-    const isGarageOwner = review.garage.owner.toString() === req.user.id.toString();
-    const isAdmin = req.user.role === 'admin';
-
-    if (!isGarageOwner && !isAdmin) {
+    if (!can(req.user, 'review:respond', review)) {
       await session.abortTransaction();
       session.endSession();
       return res.status(403).json({
@@ -776,10 +752,7 @@ const uploadImages = async (req, res) => {
       });
     }
 
-    const isOwner = review.carOwner.toString() === req.user.id.toString();
-    const isAdmin = req.user.role === 'admin';
-
-    if (!isOwner && !isAdmin) {
+    if (!can(req.user, 'review:manageImages', review)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to upload images to this review'
@@ -830,10 +803,7 @@ const deleteImage = async (req, res) => {
       });
     }
 
-    const isOwner = review.carOwner.toString() === req.user.id.toString();
-    const isAdmin = req.user.role === 'admin';
-
-    if (!isOwner && !isAdmin) {
+    if (!can(req.user, 'review:manageImages', review)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete images from this review'
@@ -1125,10 +1095,7 @@ const softDeleteReview = async (req, res) => {
       });
     }
 
-    const isOwner = review.carOwner.toString() === req.user.id.toString();
-    const isAdmin = req.user.role === 'admin';
-
-    if (!isOwner && !isAdmin) {
+    if (!can(req.user, 'review:delete', review)) {
       await session.abortTransaction();
       session.endSession();
       return res.status(403).json({
@@ -1264,7 +1231,7 @@ const hardDeleteReview = async (req, res) => {
       });
     }
 
-    if (req.user.role !== 'admin') {
+    if (!can(req.user, 'review:hardDelete')) {
       await session.abortTransaction();
       session.endSession();
       return res.status(403).json({
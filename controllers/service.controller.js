@@ -5,10 +5,23 @@
 const Service = require('../models/Service');
 const Garage = require('../models/garage');
 const Booking = require('../models/booking');
+const { can } = require('../utils/policy');
+const { generateTimeSlots } = require('../utils/scheduling');
 const mongoose = require('mongoose');
 const path = require('path');
 const fs = require('fs').promises;
 
+// Aggregation stages for bookings that include a service, one document per
+// booking with that service's line (price snapshot) as `line`
+const serviceLinePipeline = (serviceId, match) => {
+  const id = new mongoose.Types.ObjectId(serviceId);
+  return [
+    { $match: { ...match, ...Booking.withService(id) } },
+    ...Booking.serviceLineStages(),
+    { $match: { 'line.service': id } }
+  ];
+};
+
 // ==========================================
 // @desc    Create a new service
 // @route   POST /api/services
@@ -50,10 +63,7 @@ const createService = async (req, res) => {
     }
 
     // Check authorization
-    const isOwner = garage.owner.toString() === req.user.id.toString();
-    const isAdmin = req.user.role === 'admin';
-
-    if (!isOwner && !isAdmin) {
+    if (!can(req.user, 'garage:manageServices', garage)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to add services to this garage'
@@ -249,28 +259,6 @@ const getAllServices = async (req, res) => {
   }
 };
 
-// ==========================================
-// Helper function to generate time slots
-// ==========================================
-const generateTimeSlots = (open, close, duration) => {
-  const slots = [];
-  const [openHour, openMinute] = open.split(':').map(Number);
-  const [closeHour, closeMinute] = close.split(':').map(Number);
-  
-  let currentTime = openHour * 60 + openMinute;
-  const endTime = closeHour * 60 + closeMinute;
-  
-  while (currentTime + duration <= endTime) {
-    const hours = Math.floor(currentTime / 60);
-    const minutes = currentTime % 60;
-    const timeStr = `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
-    slots.push(timeStr);
-    currentTime += duration;
-  }
-  
-  return slots;
-};
-
 // ==========================================
 // @desc    Get single service by ID
 // @route   GET /api/services/:id
@@ -320,12 +308,7 @@ const getServiceById = async (req, res) => {
     }
 
     // Check visibility
-    let isOwner = false;
-    if (req.user && req.user.id && service.garage && service.garage.owner) {
-      isOwner = service.garage.owner._id.toString() === req.user.id.toString();
-    }
-
-    if (!isOwner && (!req.user || req.user.role !== 'admin')) {
+    if (!can(req.user, 'service:read', service)) {
       if (!service.garage || service.garage.status !== 'active' || !service.garage.isActive) {
         return res.status(404).json({
           success: false,
@@ -351,7 +334,7 @@ const getServiceById = async (req, res) => {
     nextWeek.setDate(nextWeek.getDate() + 7);
 
     const upcomingBookings = await Booking.find({
-      service: service._id,
+      ...Booking.withService(service._id),
       bookingDate: { $gte: today, $lte: nextWeek },
       status: { $nin: ['cancelled', 'rejected'] },
       isDeleted: false
@@ -460,10 +443,7 @@ const updateService = async (req, res) => {
     }
 
     // Check authorization
-    const isOwner = service.garage.owner.toString() === req.user.id.toString();
-    const isAdmin = req.user.role === 'admin';
-
-    if (!isOwner && !isAdmin) {
+    if (!can(req.user, 'service:update', service)) {
       await session.abortTransaction();
       session.endSession();
       return res.status(403).json({
@@ -551,10 +531,7 @@ const toggleAvailability = async (req, res) => {
     }
 
     // Check authorization
-    const isOwner = service.garage.owner.toString() === req.user.id.toString();
-    const isAdmin = req.user.role === 'admin';
-
-    if (!isOwner && !isAdmin) {
+    if (!can(req.user, 'service:toggleAvailability', service)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this service'
@@ -613,10 +590,7 @@ const uploadFiles = async (req, res) => {
     }
 
     // Check authorization
-    const isOwner = service.garage.owner.toString() === req.user.id.toString();
-    const isAdmin = req.user.role === 'admin';
-
-    if (!isOwner && !isAdmin) {
+    if (!can(req.user, 'service:manageFiles', service)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to upload files'
@@ -679,10 +653,7 @@ const deleteFile = async (req, res) => {
     }
 
     // Check authorization
-    const isOwner = service.garage.owner.toString() === req.user.id.toString();
-    const isAdmin = req.user.role === 'admin';
-
-    if (!isOwner && !isAdmin) {
+    if (!can(req.user, 'service:manageFiles', service)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete files'
@@ -758,17 +729,14 @@ const getServiceBookings = async (req, res) => {
     }
 
     // Check authorization
-    const isOwner = service.garage.owner.toString() === req.user.id.toString();
-    const isAdmin = req.user.role === 'admin';
-
-    if (!isOwner && !isAdmin) {
+    if (!can(req.user, 'service:viewBookings', service)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view these bookings'
       });
     }
 
-    const filter = { service: id, isDeleted: false };
+    const filter = { ...Booking.withService(id), isDeleted: false };
 
     if (status) filter.status = status;
     if (startDate || endDate) {
@@ -791,15 +759,17 @@ const getServiceBookings = async (req, res) => {
 
     const total = await Booking.countDocuments(filter);
 
+    // Revenue counts only this service's line of multi-service bookings
     const stats = await Booking.aggregate([
-      { $match: { service: new mongoose.Types.ObjectId(id), isDeleted: false } },
+      ...serviceLinePipeline(id, { isDeleted: false }),
       {
         $group: {
           _id: null,
           totalBookings: { $sum: 1 },
           completedBookings: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
           cancelledBookings: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] } },
-          totalRevenue: { $sum: { $cond: [{ $eq: ['$isPaid', true] }, '$price.total', 0] } }
+          noShowBookings: { $sum: { $cond: [{ $eq: ['$status', 'no_show'] }, 1, 0] } },
+          totalRevenue: { $sum: { $cond: [{ $eq: ['$isPaid', true] }, '$line.price', 0] } }
         }
       }
     ]);
@@ -812,6 +782,7 @@ const getServiceBookings = async (req, res) => {
           totalBookings: 0,
           completedBookings: 0,
           cancelledBookings: 0,
+          noShowBookings: 0,
           totalRevenue: 0
         },
         pagination: {
@@ -858,10 +829,7 @@ const getServiceAnalytics = async (req, res) => {
     }
 
     // Check authorization
-    const isOwner = service.garage.owner.toString() === req.user.id.toString();
-    const isAdmin = req.user.role === 'admin';
-
-    if (!isOwner && !isAdmin) {
+    if (!can(req.user, 'service:viewAnalytics', service)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view analytics'
@@ -880,13 +848,10 @@ const getServiceAnalytics = async (req, res) => {
     }
 
     const analytics = await Booking.aggregate([
-      {
-        $match: {
-          service: new mongoose.Types.ObjectId(id),
-          bookingDate: { $gte: startDate, $lte: endDate },
-          isDeleted: false
-        }
-      },
+      ...serviceLinePipeline(id, {
+        bookingDate: { $gte: startDate, $lte: endDate },
+        isDeleted: false
+      }),
       {
         $facet: {
           revenue: [
@@ -897,7 +862,7 @@ const getServiceAnalytics = async (req, res) => {
                   month: { $month: '$bookingDate' },
                   day: { $dayOfMonth: '$bookingDate' }
                 },
-                total: { $sum: { $cond: [{ $eq: ['$isPaid', true] }, '$price.total', 0] } },
+                total: { $sum: { $cond: [{ $eq: ['$isPaid', true] }, '$line.price', 0] } },
                 count: { $sum: 1 }
               }
             },
@@ -908,7 +873,7 @@ const getServiceAnalytics = async (req, res) => {
               $group: {
                 _id: '$status',
                 count: { $sum: 1 },
-                revenue: { $sum: { $cond: [{ $eq: ['$isPaid', true] }, '$price.total', 0] } }
+                revenue: { $sum: { $cond: [{ $eq: ['$isPaid', true] }, '$line.price', 0] } }
               }
             }
           ],
@@ -929,18 +894,15 @@ const getServiceAnalytics = async (req, res) => {
     previousEndDate.setTime(previousEndDate.getTime() - periodLength);
 
     const previousPeriodStats = await Booking.aggregate([
-      {
-        $match: {
-          service: new mongoose.Types.ObjectId(id),
-          bookingDate: { $gte: previousStartDate, $lte: previousEndDate },
-          isDeleted: false
-        }
-      },
+      ...serviceLinePipeline(id, {
+        bookingDate: { $gte: previousStartDate, $lte: previousEndDate },
+        isDeleted: false
+      }),
       {
         $group: {
           _id: null,
           totalBookings: { $sum: 1 },
-          totalRevenue: { $sum: { $cond: [{ $eq: ['$isPaid', true] }, '$price.total', 0] } }
+          totalRevenue: { $sum: { $cond: [{ $eq: ['$isPaid', true] }, '$line.price', 0] } }
         }
       }
     ]);
@@ -1021,10 +983,7 @@ const bulkCreateServices = async (req, res) => {
     }
 
     // Check authorization
-    const isOwner = garage.owner.toString() === req.user.id.toString();
-    const isAdmin = req.user.role === 'admin';
-
-    if (!isOwner && !isAdmin) {
+    if (!can(req.user, 'garage:manageServices', garage)) {
       await session.abortTransaction();
       session.endSession();
       return res.status(403).json({
@@ -1117,10 +1076,7 @@ const deleteService = async (req, res) => {
     }
 
     // Check authorization
-    const isOwner = service.garage.owner.toString() === req.user.id.toString();
-    const isAdmin = req.user.role === 'admin';
-
-    if (!isOwner && !isAdmin) {
+    if (!can(req.user, 'service:delete', service)) {
       await session.abortTransaction();
       session.endSession();
       return res.status(403).json({
@@ -1131,7 +1087,7 @@ const deleteService = async (req, res) => {
 
     // Check for upcoming bookings
     const upcomingBookings = await Booking.findOne({
-      service: id,
+      ...Booking.withService(id),
       bookingDate: { $gte: new Date() },
       status: { $in: ['pending', 'approved'] },
       isDeleted: false
@@ -1285,10 +1241,7 @@ const hardDeleteService = async (req, res) => {
     }
 
     // Check authorization - both garage owner and admin can hard delete
-    const isOwner = service.garage.owner.toString() === req.user.id.toString();
-    const isAdmin = req.user.role === 'admin';
-
-    if (!isOwner && !isAdmin) {
+    if (!can(req.user, 'service:hardDelete', service)) {
       await session.abortTransaction();
       session.endSession();
       return res.status(403).json({
@@ -1299,7 +1252,7 @@ const hardDeleteService = async (req, res) => {
 
     // Check for upcoming bookings before hard delete
     const upcomingBookings = await Booking.findOne({
-      service: id,
+      ...Booking.withService(id),
       bookingDate: { $gte: new Date() },
       status: { $in: ['pending', 'approved'] },
       isDeleted: false
@@ -0,0 +1,356 @@
+// ==========================================
+// controllers/staff.controller.js
+// Garage staff memberships (manager, receptionist, mechanic)
+// ==========================================
+
+const GarageMember = require('../models/GarageMember');
+const Garage = require('../models/garage');
+const User = require('../models/User');
+const { sendMail } = require('../config/mail');
+const { isSameId } = require('../utils/policy');
+const mongoose = require('mongoose');
+
+const STAFF_ROLES = GarageMember.STAFF_ROLES;
+
+// Send the invitation email with a one-time acceptance link
+const sendInvitationEmail = async (member, garage, inviteToken) => {
+  const acceptUrl = `${process.env.CLIENT_URL || 'http://localhost:3000'}/staff-invitations?token=${inviteToken}`;
+
+  return sendMail({
+    to: member.email,
+    subject: `You have been invited to join ${garage.name}`,
+    text: `Hello,\n\nYou have been invited to join ${garage.name} as ${member.role}.\n\nOpen the link below and sign in with this email address to accept:\n\n${acceptUrl}\n\nThis invitation expires on ${member.inviteExpiresAt.toUTCString()}.`,
+    html: `<p>Hello,</p><p>You have been invited to join <strong>${garage.name}</strong> as ${member.role}.</p><p>Open the link below and sign in with this email address to accept:</p><p><a href="${acceptUrl}">Accept invitation</a></p><p>This invitation expires on ${member.inviteExpiresAt.toUTCString()}.</p>`
+  });
+};
+
+// ==========================================
+// @desc    Invite a staff member to a garage by email
+// @route   POST /api/garages/:id/staff
+// @access  Private (Garage Owner or Admin)
+// ==========================================
+const inviteStaff = async (req, res) => {
+  try {
+    const garage = req.resource;
+    const { email, role } = req.body;
+
+    if (!email || !role) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email and role are required'
+      });
+    }
+
+    if (!STAFF_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${STAFF_ROLES.join(', ')}`
+      });
+    }
+
+    if (garage.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Garage not found'
+      });
+    }
+
+    const normalizedEmail = email.trim().toLowerCase();
+
+    const invitee = await User.findOne({ email: normalizedEmail }).select('_id');
+    if (invitee && isSameId(invitee._id, garage.owner)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The garage owner cannot be invited as staff'
+      });
+    }
+
+    let member = await GarageMember.findOne({
+      garage: garage._id,
+      email: normalizedEmail,
+      status: { $in: ['pending', 'active'] }
+    });
+
+    if (member && member.status === 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'This person is already a staff member of this garage'
+      });
+    }
+
+    // Re-inviting a pending email refreshes the role and the link
+    const isResend = Boolean(member);
+    if (!member) {
+      member = new GarageMember({
+        garage: garage._id,
+        email: normalizedEmail,
+        invitedBy: req.user.id
+      });
+    }
+
+    member.role = role;
+    member.invitedBy = req.user.id;
+    const inviteToken = member.createInviteToken();
+    await member.save();
+
+    try {
+      await sendInvitationEmail(member, garage, inviteToken);
+    } catch (mailError) {
+      console.error('Staff invitation email error:', mailError);
+    }
+
+    res.status(isResend ? 200 : 201).json({
+      success: true,
+      message: isResend ? 'Invitation re-sent successfully' : 'Invitation sent successfully',
+      data: { member }
+    });
+  } catch (error) {
+    console.error('Invite staff error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error inviting staff member',
+      error: error.message
+    });
+  }
+};
+
+// ==========================================
+// @desc    List staff members and pending invitations of a garage
+// @route   GET /api/garages/:id/staff
+// @access  Private (Garage Owner, Manager or Admin)
+// ==========================================
+const getGarageStaff = async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const filter = { garage: req.resource._id };
+    if (status) {
+      filter.status = status;
+    } else {
+      filter.status = { $in: ['pending', 'active'] };
+    }
+
+    const members = await GarageMember.find(filter)
+      .populate('user', 'name email phone avatar')
+      .populate('invitedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: members.length,
+      data: { members }
+    });
+  } catch (error) {
+    console.error('Get garage staff error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching garage staff',
+      error: error.message
+    });
+  }
+};
+
+// ==========================================
+// @desc    Change a staff member's role
+// @route   PATCH /api/garages/:id/staff/:memberId
+// @access  Private (Garage Owner or Admin)
+// ==========================================
+const updateStaffRole = async (req, res) => {
+  try {
+    const { memberId } = req.params;
+    const { role } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(memberId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid member ID'
+      });
+    }
+
+    if (!STAFF_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${STAFF_ROLES.join(', ')}`
+      });
+    }
+
+    const member = await GarageMember.findOne({
+      _id: memberId,
+      garage: req.resource._id,
+      status: { $in: ['pending', 'active'] }
+    });
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff member not found'
+      });
+    }
+
+    member.role = role;
+    await member.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Staff role updated successfully',
+      data: { member }
+    });
+  } catch (error) {
+    console.error('Update staff role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating staff role',
+      error: error.message
+    });
+  }
+};
+
+// ==========================================
+// @desc    Revoke a staff membership or pending invitation
+// @route   DELETE /api/garages/:id/staff/:memberId
+// @access  Private (Garage Owner or Admin)
+// ==========================================
+const revokeStaff = async (req, res) => {
+  try {
+    const { memberId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(memberId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid member ID'
+      });
+    }
+
+    const member = await GarageMember.findOne({
+      _id: memberId,
+      garage: req.resource._id,
+      status: { $in: ['pending', 'active'] }
+    });
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff member not found'
+      });
+    }
+
+    member.status = 'revoked';
+    member.revokedAt = new Date();
+    member.revokedBy = req.user.id;
+    member.inviteTokenHash = null;
+    member.inviteExpiresAt = null;
+    await member.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Staff access revoked successfully',
+      data: { member }
+    });
+  } catch (error) {
+    console.error('Revoke staff error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking staff access',
+      error: error.message
+    });
+  }
+};
+
+// ==========================================
+// @desc    Accept a staff invitation
+// @route   POST /api/garages/staff/invitations/:token/accept
+// @access  Private (the invited email address)
+// ==========================================
+const acceptInvitation = async (req, res) => {
+  try {
+    const member = await GarageMember.findOne({
+      inviteTokenHash: GarageMember.hashToken(req.params.token),
+      status: 'pending',
+      inviteExpiresAt: { $gt: new Date() }
+    });
+
+    if (!member) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    if (member.email !== req.user.email.toLowerCase()) {
+      return res.status(403).json({
+        success: false,
+        message: 'This invitation was sent to a different email address'
+      });
+    }
+
+    const garage = await Garage.findById(member.garage).select('name isDeleted');
+    if (!garage || garage.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Garage not found'
+      });
+    }
+
+    member.status = 'active';
+    member.user = req.user.id;
+    member.acceptedAt = new Date();
+    member.inviteTokenHash = null;
+    member.inviteExpiresAt = null;
+    await member.save();
+
+    res.status(200).json({
+      success: true,
+      message: `You are now a ${member.role} at ${garage.name}`,
+      data: { member }
+    });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error accepting invitation',
+      error: error.message
+    });
+  }
+};
+
+// ==========================================
+// @desc    Get my garage memberships and pending invitations
+// @route   GET /api/garages/staff/me
+// @access  Private
+// ==========================================
+const getMyMemberships = async (req, res) => {
+  try {
+    const [memberships, invitations] = await Promise.all([
+      GarageMember.find({ user: req.user.id, status: 'active' })
+        .populate('garage', 'name address contactInfo'),
+      GarageMember.find({
+        email: req.user.email.toLowerCase(),
+        status: 'pending',
+        inviteExpiresAt: { $gt: new Date() }
+      })
+        .populate('garage', 'name address')
+        .populate('invitedBy', 'name email')
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: { memberships, invitations }
+    });
+  } catch (error) {
+    console.error('Get my memberships error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching memberships',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  inviteStaff,
+  getGarageStaff,
+  updateStaffRole,
+  revokeStaff,
+  acceptInvitation,
+  getMyMemberships
+};
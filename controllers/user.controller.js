@@ -4,6 +4,9 @@ const Review = require('../models/Review');
 const Payment = require('../models/Payment');
 const Garage = require('../models/garage');
 const Service = require('../models/Service');
+const LoginAttempt = require('../models/LoginAttempt');
+const { can, isSameId } = require('../utils/policy');
+const { applyCancellation } = require('./booking.controller');
 const mongoose = require('mongoose');
 
 // ==========================================
@@ -11,6 +14,61 @@ const mongoose = require('mongoose');
 // ==========================================
 const isValidObjectId = id => mongoose.Types.ObjectId.isValid(id);
 
+// Soft delete a user and cascade to their garages, bookings and reviews.
+// Shared by the admin route and self-service account deactivation.
+const softDeleteUserCascade = async (user, deletedBy, session) => {
+  const id = user._id;
+
+  user.isDeleted = true;
+  user.deletedAt = new Date();
+  user.deletedBy = deletedBy;
+  await user.save({ session });
+
+  // Soft delete garages if garage owner
+  if (user.role === 'garage_owner') {
+    await Garage.updateMany(
+      { owner: id, isDeleted: false },
+      {
+        isDeleted: true,
+        deletedAt: new Date(),
+        deletedBy
+      },
+      { session }
+    );
+  }
+
+  // Cancel open bookings through the garage's cancellation policy so paid
+  // ones are refunded (in full when an admin deletes the account), then soft
+  // delete bookings and reviews
+  const reason = 'Account deleted';
+  const byCustomer = isSameId(deletedBy, id);
+  const actor = { user: { id: deletedBy } }; // applyCancellation only reads req.user.id
+  const openBookings = await Booking.find({ carOwner: id, isDeleted: false, status: { $in: ['pending', 'approved'] } })
+    .populate('garage', 'bookingPolicy')
+    .session(session);
+
+  for (const booking of openBookings) {
+    if (!booking.transitionTo('cancelled', { changedBy: deletedBy, actorType: 'user', reason })) continue;
+
+    if (booking.garage) {
+      await applyCancellation(booking, booking.garage, actor, { reason, byCustomer }, session);
+    }
+    await booking.save({ session });
+  }
+
+  await Booking.updateMany(
+    { carOwner: id, isDeleted: false },
+    { isDeleted: true },
+    { session }
+  );
+
+  await Review.updateMany(
+    { carOwner: id, isDeleted: false },
+    { isDeleted: true },
+    { session }
+  );
+};
+
 // ==========================================
 // @desc    Get all users (with filters)
 // @route   GET /api/users
@@ -103,7 +161,7 @@ const getUserById = async (req, res) => {
       });
     }
 
-    if (req.user.role !== 'admin' && req.user.id !== id) {
+    if (!can(req.user, 'user:read', { _id: id })) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view this user'
@@ -166,7 +224,7 @@ const updateUser = async (req, res) => {
       });
     }
 
-    if (req.user.role !== 'admin' && req.user.id !== id) {
+    if (!can(req.user, 'user:update', { _id: id })) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this user'
@@ -302,7 +360,7 @@ const softDeleteUser = async (req, res) => {
       });
     }
 
-    if (req.user.role !== 'admin' && req.user.id !== id) {
+    if (!can(req.user, 'user:delete', { _id: id })) {
       await session.abortTransaction();
       session.endSession();
       return res.status(403).json({
@@ -330,40 +388,7 @@ const softDeleteUser = async (req, res) => {
       });
     }
 
-    // Soft delete user
-    user.isDeleted = true;
-    user.deletedAt = new Date();
-    user.deletedBy = req.user.id;
-    await user.save({ session });
-
-    // Soft delete garages if garage owner
-    if (user.role === 'garage_owner') {
-      await Garage.updateMany(
-        { owner: id, isDeleted: false },
-        {
-          isDeleted: true,
-          deletedAt: new Date(),
-          deletedBy: req.user.id
-        },
-        { session }
-      );
-    }
-
-    // Soft delete bookings and reviews
-    await Booking.updateMany(
-      { carOwner: id, isDeleted: false },
-      {
-        isDeleted: true,
-        status: 'cancelled'
-      },
-      { session }
-    );
-
-    await Review.updateMany(
-      { carOwner: id, isDeleted: false },
-      { isDeleted: true },
-      { session }
-    );
+    await softDeleteUserCascade(user, req.user.id, session);
 
     await session.commitTransaction();
     session.endSession();
@@ -407,7 +432,7 @@ const hardDeleteUser = async (req, res) => {
     }
 
     // Only admins can hard delete
-    if (req.user.role !== 'admin') {
+    if (!can(req.user, 'user:hardDelete')) {
       await session.abortTransaction();
       session.endSession();
       return res.status(403).json({
@@ -428,7 +453,7 @@ const hardDeleteUser = async (req, res) => {
     }
 
     // Prevent deleting own account
-    if (req.user.id === id) {
+    if (isSameId(req.user.id, id)) {
       await session.abortTransaction();
       session.endSession();
       return res.status(400).json({
@@ -504,7 +529,7 @@ const restoreUser = async (req, res) => {
     }
 
     // Only admins can restore
-    if (req.user.role !== 'admin') {
+    if (!can(req.user, 'user:restore')) {
       await session.abortTransaction();
       session.endSession();
       return res.status(403).json({
@@ -590,7 +615,7 @@ const getDeletedUsers = async (req, res) => {
       sortOrder = 'desc'
     } = req.query;
 
-    if (req.user.role !== 'admin') {
+    if (!can(req.user, 'user:viewDeleted')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view deleted users'
@@ -792,6 +817,103 @@ const getUserStats = async (req, res) => {
   }
 };
 
+// ==========================================
+// @desc    Get login lockout state for a user
+// @route   GET /api/users/:id/lockout
+// @access  Private/Admin
+// ==========================================
+const getUserLockout = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    const user = await User.findById(id).select('email');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const attempt = await LoginAttempt.findOne({ key: LoginAttempt.emailKey(user.email) });
+    const isLocked = Boolean(attempt && attempt.lockedUntil && attempt.lockedUntil > new Date());
+
+    res.status(200).json({
+      success: true,
+      data: {
+        id: user._id,
+        email: user.email,
+        isLocked,
+        lockedUntil: isLocked ? attempt.lockedUntil : null,
+        failedCount: attempt?.failedCount || 0,
+        lockCount: attempt?.lockCount || 0,
+        lastFailedAt: attempt?.lastFailedAt || null
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching user lockout:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching user lockout',
+      error: error.message
+    });
+  }
+};
+
+// ==========================================
+// @desc    Clear login lockout for a user (and optionally an IP)
+// @route   DELETE /api/users/:id/lockout
+// @access  Private/Admin
+// ==========================================
+const clearUserLockout = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { ip } = req.query;
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    const user = await User.findById(id).select('email');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const keys = [LoginAttempt.emailKey(user.email)];
+    if (ip) keys.push(LoginAttempt.ipKey(ip));
+
+    const result = await LoginAttempt.clear(keys);
+
+    res.status(200).json({
+      success: true,
+      message: 'Login lockout cleared',
+      data: {
+        id: user._id,
+        cleared: result.deletedCount
+      }
+    });
+  } catch (error) {
+    console.error('Error clearing user lockout:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error clearing user lockout',
+      error: error.message
+    });
+  }
+};
+
 // ==========================================
 // Module Exports
 // ==========================================
@@ -806,5 +928,8 @@ module.exports = {
   getDeletedUsers,
   grantGarageCreation,
   revokeGarageCreation,
-  getUserStats
+  getUserStats,
+  getUserLockout,
+  clearUserLockout,
+  softDeleteUserCascade
 };
\ No newline at end of file
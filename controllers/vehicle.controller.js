@@ -0,0 +1,378 @@
+// ==========================================
+// controllers/vehicle.controller.js
+// Car owners' vehicle registry and per-vehicle service history
+// ==========================================
+
+const Vehicle = require('../models/Vehicle');
+const Booking = require('../models/booking');
+const { catalogList, normalizeVehicleDetails } = require('../utils/vehicleCatalog');
+const { decodeVin } = require('../utils/vin');
+const { PLATE_CODES, PLATE_REGIONS } = require('../utils/plates');
+const mongoose = require('mongoose');
+
+// Fields a car owner can set on their vehicle
+const EDITABLE_FIELDS = ['make', 'model', 'year', 'licensePlate', 'vin', 'mileage', 'fuelType', 'color'];
+
+// Fields checked against the catalog, VIN and plate rules (utils/vehicleCatalog.js)
+const IDENTITY_FIELDS = ['make', 'model', 'year', 'licensePlate', 'vin'];
+
+const pickEditable = (body) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+// Validation and duplicate-plate errors are the client's to fix
+const clientError = (error) => {
+  if (error.code === 11000) {
+    return 'You already have a vehicle with this license plate';
+  }
+  if (error instanceof mongoose.Error.ValidationError) {
+    return Object.values(error.errors).map(e => e.message).join(', ');
+  }
+  return null;
+};
+
+// ==========================================
+// @desc    Register a vehicle
+// @route   POST /api/vehicles
+// @access  Private (Car Owner)
+// ==========================================
+const createVehicle = async (req, res) => {
+  try {
+    const fields = pickEditable(req.body);
+
+    const { vehicle: details, error } = normalizeVehicleDetails(fields);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const vehicle = await Vehicle.create({
+      ...fields,
+      ...details,
+      owner: req.user.id,
+      mileageUpdatedAt: fields.mileage !== undefined ? new Date() : null
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Vehicle registered successfully',
+      data: { vehicle }
+    });
+  } catch (error) {
+    const message = clientError(error);
+    if (message) {
+      return res.status(400).json({ success: false, message });
+    }
+
+    console.error('Create vehicle error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error registering vehicle',
+      error: error.message
+    });
+  }
+};
+
+// ==========================================
+// @desc    Supported makes and models, and the license plate format
+// @route   GET /api/vehicles/catalog
+// @access  Private
+// ==========================================
+const getVehicleCatalog = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      makes: catalogList(),
+      plates: {
+        format: '<code>-<region>-<serial>, e.g. 2-AA-B12345',
+        codes: PLATE_CODES,
+        regions: [...new Set(Object.values(PLATE_REGIONS))]
+      }
+    }
+  });
+};
+
+// ==========================================
+// @desc    Decode a VIN offline (make, country, model year)
+// @route   GET /api/vehicles/vin/:vin
+// @access  Private
+// ==========================================
+const decodeVehicleVin = async (req, res) => {
+  const decoded = decodeVin(req.params.vin);
+
+  if (decoded.error) {
+    return res.status(400).json({
+      success: false,
+      message: decoded.error
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { vin: decoded }
+  });
+};
+
+// ==========================================
+// @desc    Get my vehicles
+// @route   GET /api/vehicles
+// @access  Private
+// ==========================================
+const getMyVehicles = async (req, res) => {
+  try {
+    const vehicles = await Vehicle.find({ owner: req.user.id, isDeleted: false })
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: vehicles.length,
+      data: { vehicles }
+    });
+  } catch (error) {
+    console.error('Get vehicles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching vehicles',
+      error: error.message
+    });
+  }
+};
+
+// ==========================================
+// @desc    Get a vehicle
+// @route   GET /api/vehicles/:id
+// @access  Private (Owner or Admin)
+// ==========================================
+const getVehicleById = async (req, res) => {
+  try {
+    const vehicle = req.resource;
+
+    if (vehicle.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vehicle not found'
+      });
+    }
+
+    const lastService = await Booking.findOne({ vehicle: vehicle._id, status: 'completed', isDeleted: false })
+      .sort({ bookingDate: -1 })
+      .select('bookingDate garage mileage')
+      .populate('garage', 'name');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        vehicle,
+        lastService
+      }
+    });
+  } catch (error) {
+    console.error('Get vehicle error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching vehicle',
+      error: error.message
+    });
+  }
+};
+
+// ==========================================
+// @desc    Update a vehicle
+// @route   PUT /api/vehicles/:id
+// @access  Private (Owner or Admin)
+// ==========================================
+const updateVehicle = async (req, res) => {
+  try {
+    const vehicle = req.resource;
+
+    if (vehicle.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vehicle not found'
+      });
+    }
+
+    const fields = pickEditable(req.body);
+
+    // Re-check the identity fields together, so e.g. a new VIN must match the make
+    if (IDENTITY_FIELDS.some(field => fields[field] !== undefined)) {
+      const current = {
+        make: vehicle.make,
+        model: vehicle.model,
+        year: vehicle.year,
+        licensePlate: vehicle.licensePlate,
+        vin: vehicle.vin
+      };
+      const { vehicle: details, error } = normalizeVehicleDetails({ ...current, ...fields });
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+      Object.assign(fields, details);
+    }
+
+    Object.assign(vehicle, fields);
+    if (vehicle.isModified('mileage')) {
+      vehicle.mileageUpdatedAt = new Date();
+    }
+    await vehicle.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Vehicle updated successfully',
+      data: { vehicle }
+    });
+  } catch (error) {
+    const message = clientError(error);
+    if (message) {
+      return res.status(400).json({ success: false, message });
+    }
+
+    console.error('Update vehicle error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating vehicle',
+      error: error.message
+    });
+  }
+};
+
+// ==========================================
+// @desc    Remove a vehicle (soft delete; past bookings keep their snapshot)
+// @route   DELETE /api/vehicles/:id
+// @access  Private (Owner or Admin)
+// ==========================================
+const deleteVehicle = async (req, res) => {
+  try {
+    const vehicle = req.resource;
+
+    if (vehicle.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vehicle not found'
+      });
+    }
+
+    vehicle.isDeleted = true;
+    await vehicle.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Vehicle removed successfully'
+    });
+  } catch (error) {
+    console.error('Delete vehicle error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing vehicle',
+      error: error.message
+    });
+  }
+};
+
+// ==========================================
+// @desc    Service history of a vehicle: completed bookings, services and garage notes
+// @route   GET /api/vehicles/:id/history
+// @access  Private (Owner or Admin)
+// ==========================================
+const getVehicleHistory = async (req, res) => {
+  try {
+    const vehicle = req.resource;
+    const { page = 1, limit = 20 } = req.query;
+
+    if (vehicle.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vehicle not found'
+      });
+    }
+
+    const filter = { vehicle: vehicle._id, status: 'completed', isDeleted: false };
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [bookings, total, summary] = await Promise.all([
+      Booking.find(filter)
+        .sort({ bookingDate: -1 })
+        .skip(skip)
+        .limit(limitNum)
+        .select('bookingDate timeSlot garage service services price mileage garageNotes vehicleInfo')
+        .populate('garage', 'name address contactInfo')
+        .populate('service', 'name'),
+      Booking.countDocuments(filter),
+      Booking.aggregate([
+        { $match: filter },
+        {
+          $group: {
+            _id: null,
+            visits: { $sum: 1 },
+            totalSpent: { $sum: '$price.total' },
+            firstServiceAt: { $min: '$bookingDate' },
+            lastServiceAt: { $max: '$bookingDate' },
+            highestMileage: { $max: '$mileage' }
+          }
+        }
+      ])
+    ]);
+
+    const history = bookings.map(booking => ({
+      booking: booking._id,
+      date: booking.bookingDate,
+      timeSlot: booking.timeSlot,
+      garage: booking.garage,
+      // Bookings from before service lines only know their one service
+      services: booking.services.length > 0
+        ? booking.services.map(line => ({ service: line.service, name: line.name, price: line.price }))
+        : [{ service: booking.service && booking.service._id, name: booking.service && booking.service.name }],
+      total: booking.price.total,
+      mileage: booking.mileage,
+      garageNotes: booking.garageNotes
+    }));
+
+    const stats = summary[0] || { visits: 0, totalSpent: 0, firstServiceAt: null, lastServiceAt: null, highestMileage: null };
+    delete stats._id;
+
+    res.status(200).json({
+      success: true,
+      count: history.length,
+      data: {
+        vehicle,
+        summary: stats,
+        history,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get vehicle history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching vehicle history',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getVehicleCatalog,
+  decodeVehicleVin,
+  createVehicle,
+  getMyVehicles,
+  getVehicleById,
+  updateVehicle,
+  deleteVehicle,
+  getVehicleHistory
+};
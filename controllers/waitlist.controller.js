@@ -0,0 +1,431 @@
+// ==========================================
+// controllers/waitlist.controller.js
+// Waitlist for fully booked garages: join, leave, and claim offered slots
+// ==========================================
+
+const WaitlistEntry = require('../models/WaitlistEntry');
+const SlotHold = require('../models/SlotHold');
+const Garage = require('../models/garage');
+const Booking = require('../models/booking');
+const Service = require('../models/Service');
+const User = require('../models/User');
+const Vehicle = require('../models/Vehicle');
+const { normalizeTime, timeToMinutes, dayRange } = require('../utils/scheduling');
+const { checkBayCapacity } = require('../utils/availability');
+const { promoteWaitlistLater } = require('../utils/waitlist');
+const mongoose = require('mongoose');
+
+// Active entries a customer can have at once
+const MAX_ACTIVE_ENTRIES = 5;
+
+// Find one of the current user's entries
+const findOwnEntry = (req, session = null) => {
+  return WaitlistEntry.findOne({
+    _id: req.params.id,
+    carOwner: req.user.id
+  }).session(session);
+};
+
+// ==========================================
+// @desc    Join the waitlist for a garage, services and day
+// @route   POST /api/waitlist
+// @access  Private (Car Owner)
+// ==========================================
+const joinWaitlist = async (req, res) => {
+  try {
+    const { garageId, serviceIds, serviceId, date, window = {}, vehicleId, vehicleInfo, notes } = req.body;
+    const ids = Array.isArray(serviceIds) ? serviceIds : [serviceId].filter(Boolean);
+
+    if (!garageId || ids.length === 0 || !date || (!vehicleId && !vehicleInfo)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields'
+      });
+    }
+
+    const day = dayRange(date);
+    if (isNaN(day.start) || day.end < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid date today or later is required'
+      });
+    }
+
+    const windowStart = window.start ? normalizeTime(window.start) : null;
+    const windowEnd = window.end ? normalizeTime(window.end) : null;
+    if ((window.start && !windowStart) || (window.end && !windowEnd) ||
+        (windowStart && windowEnd && timeToMinutes(windowEnd) <= timeToMinutes(windowStart))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Window times must be HH:MM, with end after start'
+      });
+    }
+
+    const garage = await Garage.findOne({ _id: garageId, isDeleted: false, status: 'active' }).select('bookingPolicy');
+    if (!garage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Garage not found or not active'
+      });
+    }
+
+    const noShowPolicy = garage.bookingPolicy.noShow;
+    const { blocked } = await User.noShowStanding(req.user.id, noShowPolicy);
+    if (blocked) {
+      return res.status(403).json({
+        success: false,
+        message: `This garage does not accept bookings from customers with ${noShowPolicy.blockAfter} or more missed appointments`
+      });
+    }
+
+    const services = await Service.findBookable(garageId, ids);
+    if (!services) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found or not available'
+      });
+    }
+
+    const waitingVehicle = await Vehicle.resolveForBooking(req.user.id, { vehicleId, vehicleInfo });
+    if (!waitingVehicle) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vehicle not found'
+      });
+    }
+
+    if (waitingVehicle.error) {
+      return res.status(400).json({
+        success: false,
+        message: waitingVehicle.error
+      });
+    }
+
+    const activeEntries = await WaitlistEntry.find({
+      carOwner: req.user.id,
+      status: { $in: ['waiting', 'offered'] }
+    }).select('garage date');
+
+    if (activeEntries.some(e => e.garage.equals(garage._id) && e.date.getTime() === day.start.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are already on the waitlist for this garage and day'
+      });
+    }
+
+    if (activeEntries.length >= MAX_ACTIVE_ENTRIES) {
+      return res.status(400).json({
+        success: false,
+        message: `You can be on at most ${MAX_ACTIVE_ENTRIES} waitlists at a time`
+      });
+    }
+
+    const entry = await WaitlistEntry.create({
+      carOwner: req.user.id,
+      garage: garage._id,
+      services: services.map(service => service._id),
+      date: day.start,
+      window: { start: windowStart, end: windowEnd },
+      ...waitingVehicle,
+      notes: notes || ''
+    });
+
+    const position = await WaitlistEntry.countDocuments({
+      garage: garage._id,
+      date: day.start,
+      status: 'waiting',
+      createdAt: { $lte: entry.createdAt }
+    });
+
+    // A slot may already be free (e.g. the customer checked a while ago)
+    promoteWaitlistLater(garage._id, day.start);
+
+    res.status(201).json({
+      success: true,
+      message: 'Added to the waitlist. We will hold the next free slot for you.',
+      data: {
+        entry,
+        position
+      }
+    });
+  } catch (error) {
+    console.error('Join waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error joining waitlist',
+      error: error.message
+    });
+  }
+};
+
+// ==========================================
+// @desc    Get my waitlist entries
+// @route   GET /api/waitlist
+// @access  Private (Car Owner)
+// ==========================================
+const getMyWaitlist = async (req, res) => {
+  try {
+    const filter = { carOwner: req.user.id };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    } else {
+      filter.status = { $in: ['waiting', 'offered'] };
+    }
+
+    const entries = await WaitlistEntry.find(filter)
+      .populate('garage', 'name address')
+      .populate('services', 'name duration price')
+      .populate('hold', 'bookingDate timeSlot expiresAt status')
+      .sort({ date: 1, createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      data: { entries }
+    });
+  } catch (error) {
+    console.error('Get waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching waitlist',
+      error: error.message
+    });
+  }
+};
+
+// ==========================================
+// @desc    Get a garage's waitlist
+// @route   GET /api/garages/:id/waitlist
+// @access  Private (Garage Owner, Staff or Admin)
+// ==========================================
+const getGarageWaitlist = async (req, res) => {
+  try {
+    const filter = {
+      garage: req.resource._id,
+      status: { $in: ['waiting', 'offered'] }
+    };
+
+    if (req.query.date) {
+      const { start, end } = dayRange(req.query.date);
+      filter.date = { $gte: start, $lte: end };
+    }
+
+    const entries = await WaitlistEntry.find(filter)
+      .populate('carOwner', 'name email phone')
+      .populate('services', 'name duration')
+      .populate('hold', 'bookingDate timeSlot expiresAt status')
+      .sort({ date: 1, createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      data: { entries }
+    });
+  } catch (error) {
+    console.error('Get garage waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching waitlist',
+      error: error.message
+    });
+  }
+};
+
+// ==========================================
+// @desc    Leave the waitlist (also declines a pending offer)
+// @route   DELETE /api/waitlist/:id
+// @access  Private (Car Owner)
+// ==========================================
+const leaveWaitlist = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid waitlist entry ID'
+      });
+    }
+
+    const entry = await findOwnEntry(req);
+    if (!entry || !['waiting', 'offered'].includes(entry.status)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Waitlist entry not found'
+      });
+    }
+
+    const hadOffer = entry.status === 'offered';
+    entry.status = 'cancelled';
+    await entry.save();
+
+    // Pass a declined slot on to the next customer
+    if (hadOffer && entry.hold) {
+      await SlotHold.updateOne({ _id: entry.hold, status: 'active' }, { status: 'released' });
+      promoteWaitlistLater(entry.garage, entry.date);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Removed from the waitlist'
+    });
+  } catch (error) {
+    console.error('Leave waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error leaving waitlist',
+      error: error.message
+    });
+  }
+};
+
+// ==========================================
+// @desc    Claim an offered slot, turning the hold into a booking
+// @route   POST /api/waitlist/:id/claim
+// @access  Private (Car Owner)
+// ==========================================
+const claimOffer = async (req, res) => {
+  let session;
+
+  try {
+    session = await mongoose.startSession();
+    session.startTransaction();
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid waitlist entry ID'
+      });
+    }
+
+    const entry = await findOwnEntry(req, session);
+    if (!entry || entry.status !== 'offered') {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({
+        success: false,
+        message: 'No open offer for this waitlist entry'
+      });
+    }
+
+    const hold = await SlotHold.findById(entry.hold).session(session);
+    if (!hold || !hold.isLive()) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(410).json({
+        success: false,
+        message: 'This offer has expired'
+      });
+    }
+
+    const garage = await Garage.findOne({ _id: entry.garage, isDeleted: false, status: 'active' }).session(session);
+    const services = garage && await Service.findBookable(garage._id, entry.services, session);
+    if (!garage || !services) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(409).json({
+        success: false,
+        message: 'The garage or one of the services is no longer available'
+      });
+    }
+
+    // The hold reserved this bay; make sure nothing else was squeezed in
+    const capacity = await checkBayCapacity(garage, hold.bookingDate, hold.timeSlot, session, { excludeHold: hold._id });
+    if (!capacity.available) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(409).json({
+        success: false,
+        message: 'This slot is no longer available'
+      });
+    }
+
+    const { depositRequired } = await User.noShowStanding(req.user.id, garage.bookingPolicy.noShow, session);
+
+    // The customer may pick a different car when claiming
+    const bookedVehicle = req.body.vehicleId || req.body.vehicleInfo
+      ? await Vehicle.resolveForBooking(req.user.id, req.body, session)
+      : { vehicle: entry.vehicle, vehicleInfo: entry.vehicleInfo };
+    if (!bookedVehicle) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({
+        success: false,
+        message: 'Vehicle not found'
+      });
+    }
+
+    if (bookedVehicle.error) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: bookedVehicle.error
+      });
+    }
+
+    const [booking] = await Booking.create([{
+      carOwner: req.user.id,
+      garage: garage._id,
+      services: services.map(service => ({
+        service: service._id,
+        name: service.name,
+        price: service.price,
+        duration: service.duration
+      })),
+      bookingDate: hold.bookingDate,
+      timeSlot: { start: hold.timeSlot.start, end: hold.timeSlot.end },
+      ...bookedVehicle,
+      notes: req.body.notes || entry.notes,
+      status: 'pending',
+      depositRequired
+    }], { session });
+
+    hold.status = 'converted';
+    hold.booking = booking._id;
+    await hold.save({ session });
+
+    entry.status = 'booked';
+    entry.booking = booking._id;
+    await entry.save({ session });
+
+    garage.stats.totalBookings += 1;
+    await garage.save({ session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(201).json({
+      success: true,
+      message: 'Slot claimed. Your booking is waiting for the garage to approve it.',
+      data: { booking }
+    });
+  } catch (error) {
+    if (session) {
+      try { await session.abortTransaction(); } catch (e) {}
+      try { session.endSession(); } catch (e) {}
+    }
+
+    if (error.hasErrorLabel && error.hasErrorLabel('TransientTransactionError')) {
+      return res.status(409).json({
+        success: false,
+        message: 'This time slot was just updated by another booking, please try again'
+      });
+    }
+
+    console.error('Claim waitlist offer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error claiming slot',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  joinWaitlist,
+  getMyWaitlist,
+  getGarageWaitlist,
+  leaveWaitlist,
+  claimOffer
+};
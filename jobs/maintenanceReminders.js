@@ -0,0 +1,60 @@
+// ==========================================
+// jobs/maintenanceReminders.js
+// Background job: once a day, reminds car owners of maintenance coming due
+// on their vehicles (see utils/maintenance.js)
+// ==========================================
+
+const { runMaintenanceReminders } = require('../utils/maintenance');
+
+let timer = null;
+let running = false;
+
+const runReminders = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    const result = await runMaintenanceReminders();
+    console.log('Maintenance reminders:', result);
+  } catch (error) {
+    console.error('Maintenance reminder error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+// Milliseconds until the next MAINTENANCE_REMINDER_HOUR (server time, default 8:00)
+const msUntilNextRun = (now = new Date()) => {
+  const hour = parseInt(process.env.MAINTENANCE_REMINDER_HOUR);
+  const next = new Date(now);
+  next.setHours(hour >= 0 && hour < 24 ? hour : 8, 0, 0, 0);
+  if (next <= now) next.setDate(next.getDate() + 1);
+  return next - now;
+};
+
+// Runs at the same hour every day, however long the server has been up
+const scheduleNext = () => {
+  timer = setTimeout(async () => {
+    await runReminders();
+    // Stopped while running
+    if (timer) scheduleNext();
+  }, msUntilNextRun());
+  // Don't keep the process alive just for the reminders
+  timer.unref();
+};
+
+const startMaintenanceReminders = () => {
+  if (timer) return;
+  scheduleNext();
+};
+
+const stopMaintenanceReminders = () => {
+  clearTimeout(timer);
+  timer = null;
+};
+
+module.exports = {
+  startMaintenanceReminders,
+  stopMaintenanceReminders,
+  runReminders
+};
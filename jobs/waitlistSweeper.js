@@ -0,0 +1,48 @@
+// ==========================================
+// jobs/waitlistSweeper.js
+// Background job: expires unclaimed waitlist holds and abandoned checkout
+// reservations, and offers freed slots to the next customers in line
+// (see utils/waitlist.js)
+// ==========================================
+
+const { sweepWaitlist } = require('../utils/waitlist');
+
+let timer = null;
+let running = false;
+
+const runSweep = async () => {
+  // Skip a tick rather than overlap a slow sweep
+  if (running) return;
+  running = true;
+
+  try {
+    const result = await sweepWaitlist();
+    if (result.expiredHolds || result.expiredEntries || result.offers) {
+      console.log('Waitlist sweep:', result);
+    }
+  } catch (error) {
+    console.error('Waitlist sweep error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+const startWaitlistSweeper = () => {
+  if (timer) return;
+
+  const intervalSeconds = parseInt(process.env.WAITLIST_SWEEP_INTERVAL_SECONDS) || 60;
+  timer = setInterval(runSweep, intervalSeconds * 1000);
+  // Don't keep the process alive just for the sweeper
+  timer.unref();
+};
+
+const stopWaitlistSweeper = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  startWaitlistSweeper,
+  stopWaitlistSweeper,
+  runSweep
+};
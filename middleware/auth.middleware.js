@@ -3,20 +3,105 @@
 // ==========================================
 
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const LoginAttempt = require('../models/LoginAttempt');
+const GarageMember = require('../models/GarageMember');
+const ApiKey = require('../models/ApiKey');
+const Garage = require('../models/garage');
+const { can } = require('../utils/policy');
+
+// Routes a garage API key may call, and the scope each one needs. Path
+// segments must be ObjectIds so static routes (e.g. /api/bookings/series)
+// never match. Everything else rejects API keys; resource checks still go
+// through the policy table.
+const OBJECT_ID = '[0-9a-fA-F]{24}';
+const API_KEY_ROUTES = [
+  { method: 'GET', path: new RegExp(`^/api/garages/${OBJECT_ID}/bookings/?$`), scope: 'bookings:read' },
+  { method: 'GET', path: new RegExp(`^/api/services/${OBJECT_ID}/bookings/?$`), scope: 'bookings:read' },
+  { method: 'GET', path: new RegExp(`^/api/bookings/${OBJECT_ID}/?$`), scope: 'bookings:read' },
+  { method: 'GET', path: new RegExp(`^/api/bookings/${OBJECT_ID}/timeline/?$`), scope: 'bookings:read' },
+  { method: 'PUT', path: new RegExp(`^/api/bookings/${OBJECT_ID}/status/?$`), scope: 'bookings:write' }
+];
+
+// @desc    Authenticate a garage integration by its X-API-Key header
+const protectWithApiKey = async (req, res, next, rawKey) => {
+  const requestPath = req.originalUrl.split('?')[0];
+  const route = API_KEY_ROUTES.find(r => r.method === req.method && r.path.test(requestPath));
+
+  if (!route) {
+    return res.status(403).json({
+      success: false,
+      message: 'API keys cannot access this route'
+    });
+  }
+
+  const apiKey = await ApiKey.findUsable(rawKey);
+  if (!apiKey) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid, revoked or expired API key'
+    });
+  }
+
+  if (!apiKey.scopes.includes(route.scope)) {
+    return res.status(403).json({
+      success: false,
+      message: `API key is missing the ${route.scope} scope`
+    });
+  }
+
+  const garage = await Garage.findById(apiKey.garage).select('isDeleted');
+  if (!garage || garage.isDeleted) {
+    return res.status(401).json({
+      success: false,
+      message: 'The garage for this API key no longer exists'
+    });
+  }
+
+  // Usage tracking should never fail the request
+  ApiKey.updateOne(
+    { _id: apiKey._id },
+    { lastUsedAt: new Date(), lastUsedIp: req.ip }
+  ).catch(error => console.error('API key usage tracking error:', error));
+
+  // Acts on behalf of the user who created the key (used for audit fields);
+  // the policy table limits it to its scopes on its own garage
+  req.user = {
+    _id: apiKey.createdBy,
+    id: apiKey.createdBy,
+    name: `API key: ${apiKey.name}`,
+    email: null,
+    role: 'api_key',
+    apiKey: {
+      id: apiKey._id,
+      garage: apiKey.garage,
+      scopes: apiKey.scopes
+    },
+    memberships: []
+  };
+
+  next();
+};
 
 const protect = async (req, res, next) => {
   try {
     let token;
 
+    // Server-to-server integrations authenticate with a garage API key
+    const apiKeyHeader = req.headers['x-api-key'];
+    const hasBearer = req.headers.authorization && req.headers.authorization.startsWith('Bearer');
+    if (apiKeyHeader && !hasBearer) {
+      return await protectWithApiKey(req, res, next, apiKeyHeader);
+    }
+
     // Check Authorization header
     if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
       token = req.headers.authorization.split(' ')[1];
-      console.log('Token received:', token.substring(0, 20) + '...'); // Debug log
     }
 
     if (!token) {
-      console.log('No token provided');
       return res.status(401).json({
         success: false,
         message: 'Not authorized, no token'
@@ -26,13 +111,20 @@ const protect = async (req, res, next) => {
     try {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-      console.log('Decoded token:', decoded); // Debug log
+
+      // Reject tokens whose session was logged out or revoked
+      const sessionActive = await RefreshToken.isFamilyActive(decoded.sid);
+      if (!sessionActive) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been revoked, please log in again'
+        });
+      }
 
       // Get user from token
       const user = await User.findById(decoded.id).select('-password');
 
       if (!user) {
-        console.log('User not found for id:', decoded.id);
         return res.status(401).json({
           success: false,
           message: 'User not found'
@@ -45,13 +137,14 @@ const protect = async (req, res, next) => {
         id: user._id,          // Keep both for compatibility
         name: user.name,
         email: user.email,
-        role: user.role
+        role: user.role,
+        sessionId: decoded.sid,
+        // Active garage staff memberships, used by the policy table
+        memberships: await GarageMember.findActiveForUser(user._id)
       };
 
-      console.log('User set in req.user:', req.user); // Debug log
       next();
     } catch (error) {
-      console.log('Token verification failed:', error.message);
       return res.status(401).json({
         success: false,
         message: 'Not authorized, token failed'
@@ -119,112 +212,120 @@ const canCreateGarage = async (req, res, next) => {
   }
 };
 
-// @desc    Check resource ownership or admin role
-const checkOwnership = (model) => {
+// @desc    Authorize an action from the policy table (utils/policy.js)
+// @param   {string} action - e.g. 'booking:updateStatus'
+// @param   {Object} [options] - { model, populate } to load req.params.id as the resource
+const permit = (action, options = {}) => {
   return async (req, res, next) => {
     try {
-      const resourceId = req.params.id;
-      const userId = req.user.id;
-      const userRole = req.user.role;
-
-      // Admins can access any resource
-      if (userRole === 'admin') {
-        return next();
-      }
-
-      // Find the resource
-      const resource = await model.findById(resourceId);
-
-      if (!resource) {
-        return res.status(404).json({
+      if (!req.user) {
+        return res.status(401).json({
           success: false,
-          message: 'Resource not found'
+          message: 'Not authorized'
         });
       }
 
-      // Check ownership based on model type
-      let isOwner = false;
-
-      switch (model.modelName) {
-        case 'User':
-          isOwner = resource._id.toString() === userId;
-          break;
-        case 'Garage':
-          isOwner = resource.owner.toString() === userId;
-          break;
-        case 'Booking':
-          isOwner = resource.carOwner.toString() === userId;
-          break;
-        case 'Review':
-          isOwner = resource.carOwner.toString() === userId;
-          break;
-        case 'Service':
-          // Need to check garage ownership
-          const garage = await mongoose.model('Garage').findById(resource.garage);
-          isOwner = garage && garage.owner.toString() === userId;
-          break;
-        default:
-          isOwner = false;
+      let resource = null;
+
+      if (options.model) {
+        const resourceId = req.params.id;
+
+        if (!mongoose.Types.ObjectId.isValid(resourceId)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid resource ID'
+          });
+        }
+
+        const query = options.model.findById(resourceId);
+        if (options.populate) query.populate(options.populate);
+        resource = await query;
+
+        if (!resource) {
+          return res.status(404).json({
+            success: false,
+            message: 'Resource not found'
+          });
+        }
       }
 
-      if (!isOwner) {
+      if (!can(req.user, action, resource)) {
         return res.status(403).json({
           success: false,
-          message: 'You do not have permission to access this resource'
+          message: 'You do not have permission to perform this action'
         });
       }
 
+      if (resource) req.resource = resource;
       next();
     } catch (error) {
       res.status(500).json({
         success: false,
-        message: 'Error checking resource ownership',
+        message: 'Error checking permissions',
         error: error.message
       });
     }
   };
 };
 
-// @desc    Rate limiting for auth attempts (simple implementation)
-const authRateLimiter = (req, res, next) => {
-  // This is a simple in-memory rate limiter
-  // In production, use a proper rate limiting library like express-rate-limit
-  const attempts = new Map();
-  const ip = req.ip;
-  const now = Date.now();
-  const windowMs = 15 * 60 * 1000; // 15 minutes
-  const maxAttempts = 5;
-
-  if (!attempts.has(ip)) {
-    attempts.set(ip, { count: 1, firstAttempt: now });
-    return next();
-  }
+// Ownership action and population needed for each model
+const OWNERSHIP_POLICIES = {
+  User: { action: 'user:manage' },
+  garage: { action: 'garage:manage' },
+  Booking: { action: 'booking:manage' },
+  Review: { action: 'review:manage' },
+  Service: { action: 'service:manage', populate: { path: 'garage', select: 'owner' } }
+};
 
-  const data = attempts.get(ip);
-  
-  if (now - data.firstAttempt > windowMs) {
-    // Reset after window expires
-    attempts.set(ip, { count: 1, firstAttempt: now });
-    return next();
+// @desc    Check resource ownership or admin role
+// @param   {Model} model - Mongoose model of the resource in req.params.id
+const checkOwnership = (model) => {
+  const policy = OWNERSHIP_POLICIES[model.modelName];
+
+  if (!policy) {
+    throw new Error(`No ownership policy defined for model ${model.modelName}`);
   }
 
-  if (data.count >= maxAttempts) {
-    return res.status(429).json({
+  return permit(policy.action, { model, populate: policy.populate });
+};
+
+// @desc    Block login attempts from locked IPs or accounts (persisted in MongoDB)
+const authRateLimiter = async (req, res, next) => {
+  try {
+    const keys = [LoginAttempt.ipKey(req.ip)];
+    if (req.body && req.body.email) {
+      keys.push(LoginAttempt.emailKey(req.body.email));
+    }
+
+    const lock = await LoginAttempt.findActiveLock(keys);
+
+    if (lock) {
+      const retryAfter = Math.ceil((lock.lockedUntil - Date.now()) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: 'Too many failed login attempts, please try again later',
+        retryAfter
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Auth rate limiter error:', error);
+    res.status(500).json({
       success: false,
-      message: 'Too many login attempts, please try again later'
+      message: 'Error checking login attempts',
+      error: error.message
     });
   }
-
-  data.count++;
-  next();
 };
 
-// @desc    Check if user is verified (if you add email verification)
+// @desc    Check if user has verified their email
 const isVerified = async (req, res, next) => {
   try {
     const user = await User.findById(req.user.id);
 
-    if (!user.isEmailVerified) {
+    if (!user || !user.isEmailVerified) {
       return res.status(403).json({
         success: false,
         message: 'Please verify your email first'
@@ -241,6 +342,50 @@ const isVerified = async (req, res, next) => {
   }
 };
 
+// @desc    Authenticate with a 2FA setup challenge token (from login when 2FA
+//          is mandatory but not yet enrolled), or fall back to protect
+const protectOrTwoFactorChallenge = async (req, res, next) => {
+  const challengeToken = req.body && req.body.challengeToken;
+
+  if (!challengeToken) {
+    return protect(req, res, next);
+  }
+
+  try {
+    const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET || 'your-secret-key');
+
+    if (decoded.purpose !== '2fa_setup') {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid challenge token'
+      });
+    }
+
+    const user = await User.findById(decoded.id).select('-password');
+    if (!user || user.isDeleted) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    req.user = {
+      _id: user._id,
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role
+    };
+    req.twoFactorChallenge = true;
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: 'Challenge token is invalid or has expired'
+    });
+  }
+};
+
 // @desc    Optional authentication - doesn't require token but adds user if present
 const optionalAuth = async (req, res, next) => {
   try {
@@ -252,8 +397,11 @@ const optionalAuth = async (req, res, next) => {
 
     if (token) {
       try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const user = await User.findById(decoded.id).select('-password');
+        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+        const sessionActive = await RefreshToken.isFamilyActive(decoded.sid);
+        const user = sessionActive
+          ? await User.findById(decoded.id).select('-password')
+          : null;
         
         if (user && !user.isDeleted) {
           req.user = {
@@ -261,7 +409,9 @@ const optionalAuth = async (req, res, next) => {
             name: user.name,
             email: user.email,
             role: user.role,
-            canCreateGarage: user.canCreateGarage
+            canCreateGarage: user.canCreateGarage,
+            sessionId: decoded.sid,
+            memberships: await GarageMember.findActiveForUser(user._id)
           };
         }
       } catch (error) {
@@ -283,5 +433,7 @@ module.exports = {
   checkOwnership,
   authRateLimiter,
   isVerified,
-  optionalAuth
+  optionalAuth,
+  protectOrTwoFactorChallenge,
+  permit
 };
\ No newline at end of file
@@ -1,6 +1,6 @@
 const multer = require('multer');
 const { CloudinaryStorage } = require('multer-storage-cloudinary');
-const cloudinary = require('../config/cloudinary');
+const { cloudinary } = require('../config/cloudinary');
 
 // Configure Cloudinary storage
 const storage = new CloudinaryStorage({
@@ -10,7 +10,7 @@ const storage = new CloudinaryStorage({
       // Dynamic folder based on upload type
       if (req.baseUrl.includes('garages')) return 'garages';
       if (req.baseUrl.includes('services')) return 'services';
-      if (req.baseUrl.includes('users')) return 'users';
+      if (req.baseUrl.includes('users') || req.baseUrl.includes('auth')) return 'users';
       if (req.baseUrl.includes('bookings')) return 'bookings';
       if (req.baseUrl.includes('reviews')) return 'reviews';
       return 'misc';
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const KEY_PREFIX = 'gsk_';
+const API_KEY_SCOPES = ['bookings:read', 'bookings:write'];
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    garage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'garage',
+      required: [true, 'Garage reference is required']
+    },
+    name: {
+      type: String,
+      required: [true, 'Key name is required'],
+      trim: true,
+      maxlength: [100, 'Key name cannot exceed 100 characters']
+    },
+    // First characters of the raw key, shown so owners can tell keys apart
+    prefix: {
+      type: String,
+      required: true
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    scopes: {
+      type: [{ type: String, enum: API_KEY_SCOPES }],
+      validate: {
+        validator: (scopes) => scopes.length > 0,
+        message: 'At least one scope is required'
+      }
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null
+    },
+    lastUsedIp: {
+      type: String,
+      default: null
+    },
+    expiresAt: {
+      type: Date,
+      default: null
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    // Key issued when this one was rotated
+    replacedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApiKey',
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes
+apiKeySchema.index({ garage: 1, revokedAt: 1 });
+
+// Never expose the key hash
+apiKeySchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.keyHash;
+    return ret;
+  }
+});
+
+// ===============================
+// 🔑 Hash a raw key for lookup
+// ===============================
+apiKeySchema.statics.hashKey = function(rawKey) {
+  return crypto.createHash('sha256').update(rawKey).digest('hex');
+};
+
+// ===============================
+// 🆕 Generate a raw key with its hash and display prefix
+// ===============================
+apiKeySchema.statics.generateKey = function() {
+  const rawKey = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+
+  return {
+    rawKey,
+    keyHash: this.hashKey(rawKey),
+    prefix: rawKey.slice(0, KEY_PREFIX.length + 8)
+  };
+};
+
+// ===============================
+// ✅ Find a usable key from a raw key
+// ===============================
+apiKeySchema.statics.findUsable = function(rawKey) {
+  if (!rawKey || !rawKey.startsWith(KEY_PREFIX)) return null;
+
+  return this.findOne({
+    keyHash: this.hashKey(rawKey),
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  });
+};
+
+apiKeySchema.statics.SCOPES = API_KEY_SCOPES;
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
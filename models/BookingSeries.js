@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const { normalizeTime } = require('../utils/scheduling');
+const { FREQUENCIES, toRRule } = require('../utils/recurrence');
+
+// Vehicle booked on every occurrence (fleet series have several)
+const seriesVehicleSchema = new mongoose.Schema(
+  {
+    // Registered vehicle, when the series was booked from the registry
+    vehicle: { type: mongoose.Schema.Types.ObjectId, ref: 'Vehicle', default: null },
+    make: { type: String, required: true },
+    model: { type: String, required: true },
+    year: { type: Number },
+    licensePlate: { type: String, required: true }
+  },
+  { _id: false }
+);
+
+// An occurrence that differs from the rule: skipped on request, not created
+// because of a conflict, or moved on its own
+const seriesExceptionSchema = new mongoose.Schema(
+  {
+    date: { type: Date, required: true },
+    type: {
+      type: String,
+      enum: ['skipped', 'conflict', 'rescheduled'],
+      required: true
+    },
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+      default: null
+    },
+    reason: { type: String, default: '' },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    createdAt: { type: Date, default: Date.now }
+  },
+  { _id: false }
+);
+
+const bookingSeriesSchema = new mongoose.Schema(
+  {
+    carOwner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    garage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'garage',
+      required: true
+    },
+    name: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    services: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Service'
+    }],
+    vehicles: {
+      type: [seriesVehicleSchema],
+      validate: {
+        validator: vehicles => vehicles.length > 0,
+        message: 'A series needs at least one vehicle'
+      }
+    },
+    startDate: {
+      type: Date,
+      required: true
+    },
+    // "HH:MM" strings, as on bookings
+    timeSlot: {
+      start: { type: String, required: true, set: v => normalizeTime(v) || v },
+      end: { type: String, required: true, set: v => normalizeTime(v) || v }
+    },
+    recurrence: {
+      frequency: { type: String, enum: FREQUENCIES, required: true },
+      interval: { type: Number, default: 1, min: 1 },
+      count: { type: Number, default: null },
+      until: { type: Date, default: null }
+    },
+    exceptions: {
+      type: [seriesExceptionSchema],
+      default: []
+    },
+    notes: {
+      type: String,
+      default: ''
+    },
+    status: {
+      type: String,
+      enum: ['active', 'cancelled'],
+      default: 'active'
+    },
+    cancelledAt: { type: Date, default: null },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+bookingSeriesSchema.index({ carOwner: 1, status: 1 });
+bookingSeriesSchema.index({ garage: 1, status: 1 });
+
+// The recurrence as an RRULE string, e.g. "FREQ=WEEKLY;INTERVAL=2;COUNT=6"
+bookingSeriesSchema.virtual('rrule').get(function() {
+  return this.recurrence && this.recurrence.frequency ? toRRule(this.recurrence) : null;
+});
+
+module.exports = mongoose.model('BookingSeries', bookingSeriesSchema);
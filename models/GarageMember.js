@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const STAFF_ROLES = ['manager', 'receptionist', 'mechanic'];
+
+const garageMemberSchema = new mongoose.Schema(
+  {
+    garage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'garage',
+      required: [true, 'Garage reference is required']
+    },
+    // Invitations are addressed by email; `user` is set once accepted
+    email: {
+      type: String,
+      required: [true, 'Email is required'],
+      lowercase: true,
+      trim: true,
+      match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email']
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    role: {
+      type: String,
+      enum: STAFF_ROLES,
+      required: [true, 'Staff role is required']
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'active', 'revoked'],
+      default: 'pending'
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    inviteTokenHash: {
+      type: String,
+      default: null
+    },
+    inviteExpiresAt: {
+      type: Date,
+      default: null
+    },
+    acceptedAt: {
+      type: Date,
+      default: null
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes
+garageMemberSchema.index({ garage: 1, email: 1, status: 1 });
+garageMemberSchema.index({ user: 1, status: 1 });
+garageMemberSchema.index({ inviteTokenHash: 1 });
+
+// Never expose the invitation token hash
+garageMemberSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.inviteTokenHash;
+    return ret;
+  }
+});
+
+// ===============================
+// 🔑 Hash a raw invitation token for lookup
+// ===============================
+garageMemberSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// ===============================
+// ✉️ Create an invitation token (returns the raw token)
+// ===============================
+garageMemberSchema.methods.createInviteToken = function() {
+  const inviteToken = crypto.randomBytes(32).toString('hex');
+  const days = parseInt(process.env.GARAGE_INVITE_EXPIRES_DAYS) || 7;
+
+  this.inviteTokenHash = this.constructor.hashToken(inviteToken);
+  this.inviteExpiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+  return inviteToken;
+};
+
+// ===============================
+// 👥 Active memberships of a user, as { garage, role } pairs
+// ===============================
+garageMemberSchema.statics.findActiveForUser = function(userId) {
+  return this.find({ user: userId, status: 'active' })
+    .select('garage role -_id')
+    .lean();
+};
+
+garageMemberSchema.statics.STAFF_ROLES = STAFF_ROLES;
+
+module.exports = mongoose.model('GarageMember', garageMemberSchema);
@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+
+const RETENTION_MS = 24 * 60 * 60 * 1000;
+
+// Limits are read per call: server.js loads .env after the app modules
+const windowMs = () => (parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15) * 60 * 1000;
+const baseLockMs = () => (parseInt(process.env.LOGIN_LOCK_BASE_MINUTES) || 5) * 60 * 1000;
+const maxLockMs = () => (parseInt(process.env.LOGIN_LOCK_MAX_MINUTES) || 24 * 60) * 60 * 1000;
+
+// Failed attempts allowed per key type before a lock kicks in.
+// IPs get more room because several users can share one address.
+const maxAttempts = (type) => ({
+  email: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+  ip: parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_IP) || 20,
+  // Wrong 2FA codes for one login challenge; the user has to sign in again
+  challenge: parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_CHALLENGE) || 3
+})[type];
+
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    // e.g. "email:jane@example.com", "ip:10.0.0.1" or "challenge:<jti>"
+    key: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    type: {
+      type: String,
+      enum: ['email', 'ip', 'challenge'],
+      required: true
+    },
+    failedCount: {
+      type: Number,
+      default: 0
+    },
+    firstFailedAt: {
+      type: Date,
+      default: Date.now
+    },
+    lastFailedAt: {
+      type: Date,
+      default: null
+    },
+    // How many times this key has been locked; drives the backoff
+    lockCount: {
+      type: Number,
+      default: 0
+    },
+    lockedUntil: {
+      type: Date,
+      default: null
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+loginAttemptSchema.index({ lockedUntil: 1 });
+
+// ===============================
+// 🔑 Build lookup keys
+// ===============================
+loginAttemptSchema.statics.emailKey = function(email) {
+  return `email:${String(email).trim().toLowerCase()}`;
+};
+
+loginAttemptSchema.statics.ipKey = function(ip) {
+  return `ip:${ip}`;
+};
+
+loginAttemptSchema.statics.challengeKey = function(jti) {
+  return `challenge:${jti}`;
+};
+
+// ===============================
+// 🔒 Find an active lock for any of the given keys
+// ===============================
+loginAttemptSchema.statics.findActiveLock = function(keys) {
+  return this.findOne({
+    key: { $in: keys },
+    lockedUntil: { $gt: new Date() }
+  }).sort({ lockedUntil: -1 });
+};
+
+// ===============================
+// ❌ Record a failed attempt, locking with exponential backoff
+// ===============================
+// Every step is a single atomic update, so concurrent failures (from any
+// instance) all count and only one of them applies the lock.
+loginAttemptSchema.statics.recordFailure = async function(key, type, retried = false) {
+  const now = new Date();
+
+  try {
+    // Start a fresh window once the previous one has passed
+    await this.updateOne(
+      { key, firstFailedAt: { $lt: new Date(now.getTime() - windowMs()) } },
+      { $set: { failedCount: 0, firstFailedAt: now } }
+    );
+
+    const attempt = await this.findOneAndUpdate(
+      { key },
+      {
+        $inc: { failedCount: 1 },
+        $set: { lastFailedAt: now },
+        $setOnInsert: { type, firstFailedAt: now },
+        $max: { expiresAt: new Date(now.getTime() + RETENTION_MS) }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    if (attempt.failedCount < maxAttempts(type)) {
+      return attempt;
+    }
+
+    const lockMs = Math.min(baseLockMs() * 2 ** attempt.lockCount, maxLockMs());
+    const lockedUntil = new Date(now.getTime() + lockMs);
+
+    // Only the request still seeing the full count locks; the others get
+    // the lock it applied
+    const locked = await this.findOneAndUpdate(
+      { _id: attempt._id, failedCount: { $gte: maxAttempts(type) } },
+      {
+        $inc: { lockCount: 1 },
+        $set: { lockedUntil, failedCount: 0, firstFailedAt: now },
+        $max: { expiresAt: new Date(lockedUntil.getTime() + RETENTION_MS) }
+      },
+      { new: true }
+    );
+
+    return locked || this.findById(attempt._id);
+  } catch (error) {
+    // Another request created the same key first - try once more
+    if (error.code === 11000 && !retried) {
+      return this.recordFailure(key, type, true);
+    }
+    throw error;
+  }
+};
+
+// ===============================
+// ✅ Clear attempts (successful login or admin unlock)
+// ===============================
+loginAttemptSchema.statics.clear = function(keys) {
+  return this.deleteMany({ key: { $in: [].concat(keys) } });
+};
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
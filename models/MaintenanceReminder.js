@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// A maintenance item coming due on a vehicle (see utils/maintenance.js).
+// There is one reminder per schedule per service cycle: a new completed
+// booking for the same schedule starts the next one.
+const maintenanceReminderSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    vehicle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Vehicle',
+      required: true
+    },
+    // Garage schedule id, or "default:<category>"
+    scheduleKey: {
+      type: String,
+      required: true
+    },
+    name: {
+      type: String,
+      required: true
+    },
+    category: String,
+    // Where and what to book again
+    garage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'garage'
+    },
+    service: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Service'
+    },
+    // Completed booking the interval is counted from
+    lastBooking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+      required: true
+    },
+    dueDate: { type: Date, default: null },
+    dueMileage: { type: Number, default: null },
+    status: {
+      type: String,
+      enum: ['due_soon', 'overdue', 'resolved'],
+      default: 'due_soon'
+    },
+    bookingLink: String,
+    // Last status the owner was emailed about
+    notifiedStatus: { type: String, default: null },
+    notifiedAt: { type: Date, default: null },
+    dismissedAt: { type: Date, default: null }
+  },
+  { timestamps: true }
+);
+
+maintenanceReminderSchema.index({ vehicle: 1, scheduleKey: 1, lastBooking: 1 }, { unique: true });
+maintenanceReminderSchema.index({ owner: 1, status: 1 });
+
+module.exports = mongoose.model('MaintenanceReminder', maintenanceReminderSchema);
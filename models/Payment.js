@@ -28,6 +28,12 @@ const paymentSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Booking'
     },
+    // Checkout reservation this payment books when it succeeds (models/SlotHold.js)
+    slotHold: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SlotHold',
+      default: null
+    },
     amount: {
       type: Number,
       required: [true, 'Payment amount is required'],
@@ -44,9 +50,20 @@ const paymentSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['pending', 'completed', 'failed', 'refunded'],
+      enum: ['pending', 'completed', 'failed', 'refunded', 'partially_refunded'],
       default: 'pending'
     },
+    refundInfo: {
+      amount: { type: Number, min: 0 },
+      reason: { type: String },
+      requestedAt: { type: Date },
+      requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      // Refunds are paid out manually: pending until an admin records the payout
+      status: { type: String, enum: ['pending', 'processed'] },
+      processedAt: { type: Date },
+      processedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      refundId: { type: String }
+    },
     transactionId: {
       type: String,
       unique: true,
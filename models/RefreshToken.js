@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User reference is required']
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    // Every token issued from the same login shares a family id.
+    // Revoking the family ends the session on that device.
+    family: {
+      type: String,
+      required: true
+    },
+    device: {
+      deviceId: { type: String, default: null },
+      userAgent: { type: String, default: null },
+      ip: { type: String, default: null }
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    },
+    revokedReason: {
+      type: String,
+      default: null
+    },
+    replacedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RefreshToken',
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ===============================
+// 🔑 Hash a raw token for lookup
+// ===============================
+refreshTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// ===============================
+// ✅ Check a session family is still usable
+// ===============================
+refreshTokenSchema.statics.isFamilyActive = async function(family) {
+  if (!family) return false;
+
+  const active = await this.exists({
+    family,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+
+  return Boolean(active);
+};
+
+// ===============================
+// 🚫 Revoke every token in a family
+// ===============================
+refreshTokenSchema.statics.revokeFamily = function(family, reason = 'logout') {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// ===============================
+// 🚫 Revoke every session of a user (optionally keeping one)
+// ===============================
+refreshTokenSchema.statics.revokeAllForUser = function(userId, reason = 'logout_all', exceptFamily = null) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptFamily) filter.family = { $ne: exceptFamily };
+
+  return this.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -18,7 +18,8 @@ const serviceSchema = new mongoose.Schema(
     },
     duration: { 
       type: Number, 
-      default: 60
+      default: 60,
+      min: [1, 'Duration must be at least 1 minute']
     },
     category: { 
       type: String, 
@@ -59,6 +60,25 @@ serviceSchema.index({ garage: 1, isDeleted: 1 });
 serviceSchema.index({ category: 1 });
 serviceSchema.index({ price: 1 });
 
+// Bookable services of a garage, in the order of `serviceIds`.
+// Resolves to null when any of them is missing, deleted or unavailable.
+serviceSchema.statics.findBookable = async function(garageId, serviceIds, session = null) {
+  const ids = [...new Set(serviceIds.map(String))];
+  if (ids.length === 0 || !ids.every(id => mongoose.Types.ObjectId.isValid(id))) return null;
+
+  const services = await this.find({
+    _id: { $in: ids },
+    garage: garageId,
+    isDeleted: false,
+    isAvailable: true
+  }).session(session);
+
+  if (services.length !== ids.length) return null;
+
+  const byId = new Map(services.map(service => [service._id.toString(), service]));
+  return ids.map(id => byId.get(id));
+};
+
 // Virtual for bookings
 serviceSchema.virtual('bookings', {
   ref: 'Booking',
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const { normalizeTime } = require('../utils/scheduling');
+
+// Booking details captured at checkout, used when the hold becomes a booking
+const checkoutDraftSchema = new mongoose.Schema(
+  {
+    services: [{
+      _id: false,
+      service: { type: mongoose.Schema.Types.ObjectId, ref: 'Service', required: true },
+      name: { type: String, required: true },
+      price: { type: Number, required: true },
+      duration: { type: Number, required: true }
+    }],
+    vehicle: { type: mongoose.Schema.Types.ObjectId, ref: 'Vehicle', default: null },
+    vehicleInfo: {
+      make: { type: String, required: true },
+      model: { type: String, required: true },
+      year: { type: Number },
+      licensePlate: { type: String, required: true }
+    },
+    notes: { type: String, default: '' },
+    amount: { type: Number, required: true }
+  },
+  { _id: false }
+);
+
+// A bay reserved for one customer for a short time. Live holds count
+// against garage capacity like bookings do.
+const slotHoldSchema = new mongoose.Schema(
+  {
+    garage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'garage',
+      required: true
+    },
+    carOwner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    bookingDate: {
+      type: Date,
+      required: true
+    },
+    // "HH:MM" strings, as on bookings
+    timeSlot: {
+      start: { type: String, required: true, set: v => normalizeTime(v) || v },
+      end: { type: String, required: true, set: v => normalizeTime(v) || v }
+    },
+    // 'waitlist': offered to a waitlisted customer (models/WaitlistEntry.js)
+    // 'checkout': reserved while the customer pays (converted by the payment webhook)
+    source: {
+      type: String,
+      enum: ['waitlist', 'checkout'],
+      required: true
+    },
+    waitlistEntry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WaitlistEntry',
+      default: null
+    },
+    draft: {
+      type: checkoutDraftSchema,
+      default: undefined
+    },
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+      default: null
+    },
+    status: {
+      type: String,
+      enum: ['active', 'converted', 'released', 'expired'],
+      default: 'active'
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    // Booking the hold was turned into
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+      default: null
+    }
+  },
+  { timestamps: true }
+);
+
+slotHoldSchema.index({ garage: 1, bookingDate: 1, status: 1 });
+slotHoldSchema.index({ status: 1, expiresAt: 1 });
+
+// Filter for holds that still reserve their bay
+slotHoldSchema.statics.liveFilter = function() {
+  return { status: 'active', expiresAt: { $gt: new Date() } };
+};
+
+slotHoldSchema.methods.isLive = function() {
+  return this.status === 'active' && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('SlotHold', slotHoldSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -46,9 +47,50 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Outcomes of the user's bookings as a car owner, for reliability scoring
+  bookingStats: {
+    completed: { type: Number, default: 0 },
+    noShows: { type: Number, default: 0 },
+    lastNoShowAt: { type: Date, default: null }
+  },
   isDeleted: {
     type: Boolean,
     default: false
+  },
+  isEmailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerificationToken: {
+    type: String,
+    default: null
+  },
+  emailVerificationExpires: {
+    type: Date,
+    default: null
+  },
+  passwordResetToken: {
+    type: String,
+    default: null
+  },
+  passwordResetExpires: {
+    type: Date,
+    default: null
+  },
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, default: null },
+    // Secret generated during setup, moved to `secret` once confirmed
+    pendingSecret: { type: String, default: null },
+    // sha256 hashes of unused one-time recovery codes
+    recoveryCodes: { type: [String], default: [] },
+    // Last accepted TOTP time step, blocks replaying the same code
+    lastUsedStep: { type: Number, default: null },
+    enabledAt: { type: Date, default: null }
   }
 }, {
   timestamps: true
@@ -63,6 +105,10 @@ userSchema.pre('save', async function() {
 
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
+
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date();
+  }
 });
 
 // ===============================
@@ -72,12 +118,91 @@ userSchema.methods.comparePassword = function(candidatePassword) {
   return bcrypt.compareSync(candidatePassword, this.password);
 };
 
+// ===============================
+// 🔁 Create password reset token (stores only the hash)
+// ===============================
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+  const minutes = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+
+  this.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.passwordResetExpires = new Date(Date.now() + minutes * 60 * 1000);
+
+  return resetToken;
+};
+
+// ===============================
+// ✉️ Create email verification token (stores only the hash)
+// ===============================
+userSchema.methods.createEmailVerificationToken = function() {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+  const hours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 24;
+
+  this.emailVerificationToken = crypto.createHash('sha256').update(verificationToken).digest('hex');
+  this.emailVerificationExpires = new Date(Date.now() + hours * 60 * 60 * 1000);
+
+  return verificationToken;
+};
+
+// ===============================
+// 🛡️ Is 2FA mandatory for this user's role?
+// ===============================
+userSchema.methods.isTwoFactorRequired = function() {
+  const roles = (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+    .split(',')
+    .map(r => r.trim())
+    .filter(Boolean);
+  return roles.includes(this.role);
+};
+
+// ===============================
+// ⭐ Reliability score (0-100) from booking outcomes
+// ===============================
+userSchema.statics.reliabilityOf = function(bookingStats = {}) {
+  const completed = bookingStats.completed || 0;
+  const noShows = bookingStats.noShows || 0;
+  const total = completed + noShows;
+
+  if (total === 0) {
+    return { score: null, rating: 'new', completed, noShows };
+  }
+
+  const score = Math.round((completed / total) * 100);
+  const rating = score >= 90 ? 'reliable' : score >= 70 ? 'fair' : 'unreliable';
+
+  return { score, rating, completed, noShows };
+};
+
+// Where a customer stands with a garage's no-show rules
+// (garage.bookingPolicy.noShow): blocked from booking, or must pay first
+userSchema.statics.noShowStanding = async function(userId, noShowPolicy, session = null) {
+  const user = await this.findById(userId).select('bookingStats').session(session);
+  const noShows = (user && user.bookingStats.noShows) || 0;
+
+  return {
+    noShows,
+    blocked: noShowPolicy.blockAfter > 0 && noShows >= noShowPolicy.blockAfter,
+    depositRequired: noShowPolicy.depositAfter > 0 && noShows >= noShowPolicy.depositAfter
+  };
+};
+
 // ===============================
 // 🚫 Remove sensitive fields when converting to JSON
 // ===============================
 userSchema.set('toJSON', {
   transform: (doc, ret) => {
     delete ret.password;
+    delete ret.emailVerificationToken;
+    delete ret.emailVerificationExpires;
+    delete ret.passwordResetToken;
+    delete ret.passwordResetExpires;
+    if (ret.twoFactor) {
+      ret.twoFactor = {
+        enabled: ret.twoFactor.enabled,
+        enabledAt: ret.twoFactor.enabledAt,
+        recoveryCodesRemaining: (ret.twoFactor.recoveryCodes || []).length
+      };
+    }
     delete ret.__v;
     return ret;
   }
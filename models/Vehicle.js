@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const { normalizePlate, PLATE_FORMAT_MESSAGE } = require('../utils/plates');
+const { normalizeVehicleDetails } = require('../utils/vehicleCatalog');
+
+const FUEL_TYPES = ['petrol', 'diesel', 'hybrid', 'electric', 'lpg', 'other'];
+
+// A car in its owner's registry. Bookings reference it and keep a snapshot
+// of its details in `vehicleInfo`, so history survives later edits.
+const vehicleSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Vehicle owner is required']
+    },
+    make: {
+      type: String,
+      required: [true, 'Make is required'],
+      trim: true
+    },
+    model: {
+      type: String,
+      required: [true, 'Model is required'],
+      trim: true
+    },
+    year: {
+      type: Number,
+      min: [1900, 'Year must be 1900 or later'],
+      validate: {
+        validator: year => year <= new Date().getFullYear() + 1,
+        message: 'Year cannot be in the future'
+      }
+    },
+    // Ethiopian plate as "2-AA-B12345" (utils/plates.js), so lookups match however it was typed
+    licensePlate: {
+      type: String,
+      required: [true, 'License plate is required'],
+      set: v => normalizePlate(v) || v,
+      validate: {
+        validator: v => Boolean(normalizePlate(v)),
+        message: PLATE_FORMAT_MESSAGE
+      }
+    },
+    vin: {
+      type: String,
+      default: null,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-HJ-NPR-Z0-9]{17}$/, 'VIN must be 17 letters and digits (no I, O or Q)']
+    },
+    // Odometer reading in km; only ever moves forward
+    mileage: {
+      type: Number,
+      default: 0,
+      min: [0, 'Mileage cannot be negative']
+    },
+    mileageUpdatedAt: {
+      type: Date,
+      default: null
+    },
+    fuelType: {
+      type: String,
+      enum: FUEL_TYPES,
+      default: 'petrol'
+    },
+    color: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    isDeleted: { type: Boolean, default: false }
+  },
+  { timestamps: true }
+);
+
+// A plate can only be registered once per owner (deleted vehicles excluded)
+vehicleSchema.index(
+  { owner: 1, licensePlate: 1 },
+  { unique: true, partialFilterExpression: { isDeleted: false } }
+);
+vehicleSchema.index({ owner: 1, isDeleted: 1 });
+
+vehicleSchema.statics.FUEL_TYPES = FUEL_TYPES;
+
+// Details copied onto a booking's `vehicleInfo`
+vehicleSchema.methods.bookingInfo = function() {
+  return {
+    make: this.make,
+    model: this.model,
+    year: this.year,
+    licensePlate: this.licensePlate
+  };
+};
+
+// Record a new odometer reading; lower readings are ignored
+vehicleSchema.methods.recordMileage = function(km) {
+  if (typeof km !== 'number' || isNaN(km) || km <= this.mileage) return false;
+  this.mileage = km;
+  this.mileageUpdatedAt = new Date();
+  return true;
+};
+
+// The vehicle a booking request refers to. With `vehicleId` the owner's
+// registered vehicle is used (null when it isn't theirs); otherwise the
+// free-text `vehicleInfo` is normalized against the vehicle catalog
+// ({ error } when it doesn't pass).
+vehicleSchema.statics.resolveForBooking = async function(ownerId, { vehicleId, vehicleInfo }, session = null) {
+  if (!vehicleId) {
+    const { vehicle, error } = normalizeVehicleDetails(vehicleInfo);
+    if (error) return { error };
+
+    return {
+      vehicle: null,
+      vehicleInfo: {
+        make: vehicle.make,
+        model: vehicle.model,
+        year: vehicle.year,
+        licensePlate: vehicle.licensePlate
+      }
+    };
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(vehicleId)) return null;
+
+  const vehicle = await this.findOne({ _id: vehicleId, owner: ownerId, isDeleted: false }).session(session);
+  if (!vehicle) return null;
+
+  return { vehicle: vehicle._id, vehicleInfo: vehicle.bookingInfo() };
+};
+
+module.exports = mongoose.model('Vehicle', vehicleSchema);
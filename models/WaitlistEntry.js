@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const { normalizeTime } = require('../utils/scheduling');
+
+const WAITLIST_STATUSES = ['waiting', 'offered', 'booked', 'expired', 'cancelled'];
+
+// A car owner queueing for a fully booked garage on a date, optionally
+// within a time window. Entries are served first come, first served.
+const waitlistEntrySchema = new mongoose.Schema(
+  {
+    carOwner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    garage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'garage',
+      required: true
+    },
+    services: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Service' }],
+      validate: {
+        validator: services => services.length > 0,
+        message: 'A waitlist entry needs at least one service'
+      }
+    },
+    // Start of the wanted day
+    date: {
+      type: Date,
+      required: true
+    },
+    // Acceptable start/end times; the whole opening day when not set
+    window: {
+      start: { type: String, default: null, set: v => normalizeTime(v) || v },
+      end: { type: String, default: null, set: v => normalizeTime(v) || v }
+    },
+    // Registered vehicle (models/Vehicle.js), if picked from the registry
+    vehicle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Vehicle',
+      default: null
+    },
+    vehicleInfo: {
+      make: { type: String, required: true },
+      model: { type: String, required: true },
+      year: { type: Number },
+      licensePlate: { type: String, required: true }
+    },
+    notes: {
+      type: String,
+      default: ''
+    },
+    status: {
+      type: String,
+      enum: WAITLIST_STATUSES,
+      default: 'waiting'
+    },
+    // Current offer (see models/SlotHold.js)
+    hold: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SlotHold',
+      default: null
+    },
+    offeredAt: { type: Date, default: null },
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+      default: null
+    }
+  },
+  { timestamps: true }
+);
+
+waitlistEntrySchema.index({ garage: 1, date: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ carOwner: 1, status: 1 });
+
+waitlistEntrySchema.statics.STATUSES = WAITLIST_STATUSES;
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
@@ -1,4 +1,153 @@
 const mongoose = require('mongoose');
+const { normalizeTime } = require('../utils/scheduling');
+
+const BOOKING_STATUSES = ['pending', 'approved', 'in_progress', 'completed', 'cancelled', 'rejected', 'no_show'];
+
+// Allowed status changes. Customers may also withdraw a pending request.
+const STATUS_TRANSITIONS = {
+  pending: ['approved', 'rejected', 'cancelled'],
+  approved: ['in_progress', 'cancelled', 'no_show'],
+  in_progress: ['completed'],
+  completed: [],
+  cancelled: [],
+  rejected: [],
+  no_show: []
+};
+
+// Date and time of a booking, kept on reschedule history entries
+const slotSnapshotSchema = new mongoose.Schema(
+  {
+    bookingDate: Date,
+    start: String,
+    end: String
+  },
+  { _id: false }
+);
+
+// One service on a booking, with the name, price and duration it had when booked
+const serviceLineSchema = new mongoose.Schema(
+  {
+    service: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Service',
+      required: true
+    },
+    name: { type: String, required: true },
+    price: { type: Number, required: true, min: 0 },
+    duration: { type: Number, required: true, min: 1 }
+  },
+  { _id: false }
+);
+
+// One labour or parts line on a quote
+const quoteLineSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['labour', 'parts', 'other'],
+      required: true
+    },
+    description: { type: String, required: true, trim: true },
+    quantity: { type: Number, required: true, min: 0 },
+    unitPrice: { type: Number, required: true, min: 0 },
+    total: { type: Number, required: true, min: 0 }
+  },
+  { _id: false }
+);
+
+// Garage estimate for the work, sent after inspecting the car. Each revision
+// is a new version; the customer accepts or rejects the latest one.
+const quoteSchema = new mongoose.Schema(
+  {
+    version: { type: Number, required: true },
+    lines: {
+      type: [quoteLineSchema],
+      validate: {
+        validator: lines => lines.length > 0,
+        message: 'A quote needs at least one line'
+      }
+    },
+    subtotal: { type: Number, required: true, min: 0 },
+    // Percent, e.g. 15 for VAT
+    taxRate: { type: Number, default: 15, min: 0, max: 100 },
+    taxAmount: { type: Number, required: true, min: 0 },
+    total: { type: Number, required: true, min: 0 },
+    currency: { type: String, default: 'ETB' },
+    validUntil: { type: Date, required: true },
+    notes: { type: String, default: '' },
+    status: {
+      type: String,
+      enum: ['sent', 'accepted', 'rejected', 'superseded', 'expired'],
+      default: 'sent'
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    respondedAt: { type: Date, default: null },
+    respondedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    rejectionReason: { type: String, default: '' }
+  },
+  { timestamps: true }
+);
+
+// One entry per status change or reschedule: who, when, why
+const statusHistorySchema = new mongoose.Schema(
+  {
+    event: {
+      type: String,
+      enum: ['status_change', 'reschedule'],
+      default: 'status_change'
+    },
+    from: {
+      type: String,
+      enum: BOOKING_STATUSES,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: BOOKING_STATUSES,
+      required: true
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    actorType: {
+      type: String,
+      enum: ['user', 'api_key', 'system'],
+      default: 'user'
+    },
+    apiKey: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApiKey',
+      default: null
+    },
+    reason: {
+      type: String,
+      default: ''
+    },
+    previousSlot: {
+      type: slotSnapshotSchema,
+      default: undefined
+    },
+    newSlot: {
+      type: slotSnapshotSchema,
+      default: undefined
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  { _id: false }
+);
 
 const bookingSchema = new mongoose.Schema(
   {
@@ -12,24 +161,61 @@ const bookingSchema = new mongoose.Schema(
       ref: 'garage',
       required: [true, 'Garage reference is required']
     },
+    // First service line, kept for filters and older bookings
     service: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Service',
       required: [true, 'Service reference is required']
     },
+    services: {
+      type: [serviceLineSchema],
+      validate: {
+        // Bookings made before service lines existed have none
+        validator: function(lines) {
+          return !this.isNew || lines.length > 0;
+        },
+        message: 'A booking needs at least one service'
+      }
+    },
+    // Sum of the service lines (minutes)
+    totalDuration: {
+      type: Number,
+      default: 0
+    },
+    price: {
+      total: { type: Number, default: 0 },
+      currency: { type: String, default: 'ETB' }
+    },
     bookingDate: {
       type: Date,
       required: [true, 'Booking date is required']
     },
+    // "HH:MM" strings, zero-padded so range queries compare correctly
     timeSlot: {
-      start: { type: String, required: true },
-      end: { type: String, required: true }
+      start: { type: String, required: true, set: v => normalizeTime(v) || v },
+      end: { type: String, required: true, set: v => normalizeTime(v) || v }
     },
     status: {
       type: String,
-      enum: ['pending', 'approved', 'in_progress', 'completed', 'cancelled', 'rejected'],
+      enum: BOOKING_STATUSES,
       default: 'pending'
     },
+    statusHistory: {
+      type: [statusHistorySchema],
+      default: []
+    },
+    // Moves the customer asked for, counted against the garage's maxReschedules
+    rescheduleCount: {
+      type: Number,
+      default: 0
+    },
+    // Registered vehicle (models/Vehicle.js); null for free-text bookings
+    vehicle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Vehicle',
+      default: null
+    },
+    // Snapshot of the vehicle when booked
     vehicleInfo: {
       make: { type: String, required: true },
       model: { type: String, required: true },
@@ -40,10 +226,81 @@ const bookingSchema = new mongoose.Schema(
       type: String,
       default: ''
     },
+    // Work notes from the garage, shown in the vehicle's service history
+    garageNotes: {
+      type: String,
+      default: ''
+    },
+    // Odometer reading (km) recorded by the garage
+    mileage: {
+      type: Number,
+      default: null,
+      min: 0
+    },
     attachments: {
       type: [String],
       default: []
     },
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+      default: null
+    },
+    isPaid: {
+      type: Boolean,
+      default: false
+    },
+    // Customer must pay before the garage can approve (garage no-show rules)
+    depositRequired: {
+      type: Boolean,
+      default: false
+    },
+    // Cancellation policy applied when the booking was cancelled
+    cancellation: {
+      cancelledAt: Date,
+      cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      byCustomer: Boolean,
+      reason: String,
+      hoursBeforeStart: Number,
+      policy: {
+        freeCancellationHours: Number,
+        lateCancellationFeePercent: Number,
+        noRefundHours: Number
+      },
+      paidAmount: Number,
+      feePercent: Number,
+      feeAmount: Number,
+      refundAmount: Number,
+      refundPayment: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' },
+      // Every payment refunded (a quote balance is paid separately)
+      refundPayments: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Payment' }]
+    },
+    // Set when the garage adds a closure on a date this booking already had
+    closureConflict: {
+      closure: { type: mongoose.Schema.Types.ObjectId, default: null },
+      reason: { type: String, default: null },
+      flaggedAt: { type: Date, default: null }
+    },
+    // Quote versions, oldest first
+    quotes: {
+      type: [quoteSchema],
+      default: []
+    },
+    // Recurring series this booking is an occurrence of (models/BookingSeries.js)
+    series: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BookingSeries',
+      default: null
+    },
+    occurrenceDate: {
+      type: Date,
+      default: null
+    },
+    // Moved on its own, so series-level changes leave it alone
+    seriesException: {
+      type: Boolean,
+      default: false
+    },
     isDeleted: { type: Boolean, default: false }
   },
   {
@@ -57,8 +314,12 @@ const bookingSchema = new mongoose.Schema(
 bookingSchema.index({ carOwner: 1, isDeleted: 1 });
 bookingSchema.index({ garage: 1, isDeleted: 1 });
 bookingSchema.index({ service: 1 });
+bookingSchema.index({ 'services.service': 1 });
 bookingSchema.index({ bookingDate: 1 });
+bookingSchema.index({ garage: 1, bookingDate: 1, status: 1 });
 bookingSchema.index({ status: 1 });
+bookingSchema.index({ series: 1, bookingDate: 1 });
+bookingSchema.index({ vehicle: 1, bookingDate: -1 });
 
 // Virtual for review
 bookingSchema.virtual('review', {
@@ -68,6 +329,209 @@ bookingSchema.virtual('review', {
   justOne: true
 });
 
+// ===============================
+// 🧾 Service lines
+// ===============================
+// Filter for bookings that include a service on any line
+bookingSchema.statics.withService = function(serviceId) {
+  return { $or: [{ service: serviceId }, { 'services.service': serviceId }] };
+};
+
+// Aggregation stages that turn each booking into one document per service
+// line, as `line: { service, price }`. Bookings from before service lines
+// count as a single line for their service.
+bookingSchema.statics.serviceLineStages = function() {
+  return [
+    {
+      $addFields: {
+        line: {
+          $cond: [
+            { $gt: [{ $size: { $ifNull: ['$services', []] } }, 0] },
+            '$services',
+            [{ service: '$service', price: { $ifNull: ['$price.total', 0] } }]
+          ]
+        }
+      }
+    },
+    { $unwind: '$line' }
+  ];
+};
+
+// Keep the primary service, duration and price in sync with the lines
+bookingSchema.pre('validate', function() {
+  if (!this.isModified('services') || this.services.length === 0) return;
+
+  this.service = this.services[0].service;
+  this.totalDuration = this.services.reduce((sum, line) => sum + line.duration, 0);
+  this.price.total = this.services.reduce((sum, line) => sum + line.price, 0);
+});
+
+// ===============================
+// 🧮 Quotes
+// ===============================
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Totals of a quote from its lines and tax rate
+bookingSchema.statics.priceQuote = function(lines, taxRate) {
+  const priced = lines.map(line => ({
+    type: line.type,
+    description: line.description,
+    quantity: line.quantity,
+    unitPrice: line.unitPrice,
+    total: roundMoney(line.quantity * line.unitPrice)
+  }));
+  const subtotal = roundMoney(priced.reduce((sum, line) => sum + line.total, 0));
+  const taxAmount = roundMoney(subtotal * taxRate / 100);
+
+  return { lines: priced, subtotal, taxRate, taxAmount, total: roundMoney(subtotal + taxAmount) };
+};
+
+bookingSchema.methods.latestQuote = function() {
+  return this.quotes.length > 0 ? this.quotes[this.quotes.length - 1] : null;
+};
+
+// The quote the customer agreed to (a newer accepted version replaces it)
+bookingSchema.methods.acceptedQuote = function() {
+  return this.quotes.find(quote => quote.status === 'accepted') || null;
+};
+
+// Send a new quote version; an earlier one still awaiting an answer is superseded
+bookingSchema.methods.addQuote = function(quote) {
+  this.quotes.forEach(existing => {
+    if (existing.status === 'sent') existing.status = 'superseded';
+  });
+  this.quotes.push({ ...quote, version: this.quotes.length + 1, status: 'sent' });
+  return this.latestQuote();
+};
+
+// What the customer owes in total: the accepted quote, else the price of the
+// service lines (or the service price for bookings made before lines)
+bookingSchema.methods.amountDue = function() {
+  const accepted = this.acceptedQuote();
+  if (accepted) return accepted.total;
+  if (this.services.length > 0) return this.price.total;
+  return this.service && this.service.price !== undefined ? this.service.price : 0;
+};
+
+// ===============================
+// 🔀 Status state machine
+// ===============================
+bookingSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Change status and record the change. Returns false (and changes nothing)
+// when the transition is not allowed.
+bookingSchema.methods.transitionTo = function(status, { changedBy = null, actorType = 'user', apiKey = null, reason = '' } = {}) {
+  if (!this.canTransitionTo(status)) return false;
+
+  this.statusHistory.push({
+    from: this.status,
+    status,
+    changedBy,
+    actorType,
+    apiKey,
+    reason,
+    changedAt: new Date()
+  });
+  this.status = status;
+
+  return true;
+};
+
+// Bulk version of transitionTo: moves every matching booking that is allowed
+// to reach `status` and appends the history entry to each one
+bookingSchema.statics.transitionMany = function(filter, status, { changedBy = null, actorType = 'system', reason = '' } = {}, options = {}) {
+  const fromStatuses = Object.keys(STATUS_TRANSITIONS)
+    .filter(from => STATUS_TRANSITIONS[from].includes(status));
+
+  const entry = {
+    from: '$status',
+    status: { $literal: status },
+    changedBy: { $literal: changedBy },
+    actorType: { $literal: actorType },
+    apiKey: null,
+    reason: { $literal: reason },
+    changedAt: '$$NOW'
+  };
+
+  return this.updateMany(
+    { ...filter, status: { $in: fromStatuses } },
+    [{
+      $set: {
+        statusHistory: { $concatArrays: [{ $ifNull: ['$statusHistory', []] }, [entry]] },
+        status: { $literal: status }
+      }
+    }],
+    { ...options, updatePipeline: true }
+  );
+};
+
+// Move the booking to a new date/slot and record both in the history.
+// With `requireReapproval`, an approved booking goes back to pending. Only
+// moves `byCustomer` use up the customer's reschedule allowance.
+bookingSchema.methods.reschedule = function({ bookingDate, timeSlot }, { changedBy = null, actorType = 'user', apiKey = null, reason = '', requireReapproval = false, byCustomer = false } = {}) {
+  const from = this.status;
+  const status = requireReapproval && from === 'approved' ? 'pending' : from;
+
+  this.statusHistory.push({
+    event: 'reschedule',
+    from,
+    status,
+    changedBy,
+    actorType,
+    apiKey,
+    reason,
+    previousSlot: {
+      bookingDate: this.bookingDate,
+      start: this.timeSlot.start,
+      end: this.timeSlot.end
+    },
+    newSlot: {
+      bookingDate,
+      start: timeSlot.start,
+      end: timeSlot.end
+    },
+    changedAt: new Date()
+  });
+
+  this.bookingDate = bookingDate;
+  this.timeSlot = timeSlot;
+  if (byCustomer) this.rescheduleCount += 1;
+  this.closureConflict = { closure: null, reason: null, flaggedAt: null };
+
+  if (status !== from) {
+    this.status = status;
+    this.$locals.reapproval = true;
+  }
+};
+
+// Remember the stored status so saves can't skip the state machine
+bookingSchema.post('init', function() {
+  this.$locals.persistedStatus = this.status;
+});
+
+bookingSchema.pre('validate', function() {
+  const from = this.$locals.persistedStatus;
+
+  if (!this.isNew && from && this.isModified('status') && from !== this.status) {
+    // A reschedule needing re-approval is the only way back to pending
+    const isReapproval = this.$locals.reapproval && from === 'approved' && this.status === 'pending';
+
+    if (!isReapproval && !(STATUS_TRANSITIONS[from] || []).includes(this.status)) {
+      this.invalidate('status', `Cannot transition booking from ${from} to ${this.status}`);
+    }
+  }
+});
+
+bookingSchema.post('save', function() {
+  this.$locals.persistedStatus = this.status;
+  this.$locals.reapproval = false;
+});
+
+bookingSchema.statics.STATUSES = BOOKING_STATUSES;
+bookingSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
 // Safe model export: reuse if already compiled
 const Booking = mongoose.models.Booking || mongoose.model('Booking', bookingSchema);
 
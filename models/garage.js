@@ -26,6 +26,70 @@ function daySchema(defaultClosed = false) {
   };
 }
 
+// Dated exception to businessHours (holiday closure or special hours)
+const closureSchema = new mongoose.Schema(
+  {
+    date: {
+      type: Date,
+      required: [true, 'Closure date is required']
+    },
+    type: {
+      type: String,
+      enum: ['closed', 'custom_hours'],
+      default: 'closed'
+    },
+    // Only used for custom_hours
+    open: String,
+    close: String,
+    // Repeats every year on the same month and day (e.g. Meskel)
+    recurring: {
+      type: Boolean,
+      default: false,
+      set: v => convertToBoolean(v)
+    },
+    reason: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  { timestamps: true }
+);
+
+// Garage's own maintenance interval for a service category, or for one of
+// its services (overrides the defaults in utils/maintenance.js)
+const maintenanceScheduleSchema = new mongoose.Schema(
+  {
+    category: {
+      type: String,
+      enum: ['maintenance', 'repair', 'inspection', 'customization', 'other'],
+      required: [true, 'Service category is required']
+    },
+    // Only this service, instead of the whole category
+    service: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Service',
+      default: null
+    },
+    name: {
+      type: String,
+      trim: true,
+      required: [true, 'Schedule name is required']
+    },
+    // Due after whichever comes first; null turns a limit off
+    intervalKm: { type: Number, default: null, min: 0 },
+    intervalMonths: { type: Number, default: null, min: 0 },
+    // How early to remind the owner
+    remindBeforeKm: { type: Number, default: 500, min: 0 },
+    remindBeforeDays: { type: Number, default: 14, min: 0 }
+  },
+  { timestamps: true }
+);
+
 // Garage Schema
 const garageSchema = new mongoose.Schema(
   {
@@ -78,6 +142,45 @@ const garageSchema = new mongoose.Schema(
       saturday: daySchema(),
       sunday: daySchema(true),
     },
+    closures: {
+      type: [closureSchema],
+      default: []
+    },
+    maintenanceSchedules: {
+      type: [maintenanceScheduleSchema],
+      default: []
+    },
+    // Rules customers must follow when changing their bookings
+    bookingPolicy: {
+      // Fee charged when a customer cancels: free before freeCancellationHours,
+      // lateCancellationFeePercent after that, and no refund inside noRefundHours
+      cancellation: {
+        freeCancellationHours: { type: Number, default: 24, min: 0 },
+        lateCancellationFeePercent: { type: Number, default: 20, min: 0, max: 100 },
+        noRefundHours: { type: Number, default: 2, min: 0 }
+      },
+      // Rules for customers with missed appointments (0 turns a rule off)
+      noShow: {
+        depositAfter: { type: Number, default: 0, min: 0 },
+        blockAfter: { type: Number, default: 0, min: 0 }
+      },
+      reschedule: {
+        minNoticeHours: { type: Number, default: 24, min: 0 },
+        maxReschedules: { type: Number, default: 2, min: 0 },
+        requireReapproval: {
+          type: Boolean,
+          default: true,
+          set: v => convertToBoolean(v)
+        }
+      }
+    },
+    // Number of cars the garage can work on at the same time
+    serviceBays: {
+      type: Number,
+      default: 1,
+      min: [1, 'A garage needs at least one service bay'],
+      max: [100, 'Service bays cannot exceed 100']
+    },
     owner: { 
       type: mongoose.Schema.Types.ObjectId, 
       ref: 'User', 
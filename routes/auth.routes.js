@@ -1,13 +1,35 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/auth.controller');
-const { protect } = require('../middleware/auth.middleware'); // Add this
+const {
+  protect,
+  authorize,
+  authRateLimiter,
+  protectOrTwoFactorChallenge
+} = require('../middleware/auth.middleware');
+const { uploadSingle, handleUploadError } = require('../middleware/upload.middleware');
 
 router.post('/register', authController.register);
-router.post('/login', authController.login);
+router.post('/login', authRateLimiter, authController.login);
+router.post('/login/2fa', authRateLimiter, authController.verifyTwoFactorLogin);
+router.post('/refresh', authController.refresh);
+router.post('/forgot-password', authController.forgotPassword);
+router.post('/reset-password', authController.resetPassword);
+router.get('/verify-email/:token', authController.verifyEmail);
 
 
 router.post('/logout', protect, authController.logout);
 router.get('/me', protect, authController.getMe);
+router.patch('/me', protect, authController.updateMe);
+router.delete('/me', protect, authController.deactivateMe);
+router.put('/me/password', protect, authController.changePassword);
+router.put('/me/avatar', protect, uploadSingle('avatar'), authController.updateAvatar, handleUploadError);
+router.post('/resend-verification', protect, authController.resendVerification);
+
+// Two-factor authentication (setup/enable also accept a login challenge token)
+router.post('/2fa/setup', protectOrTwoFactorChallenge, authorize('admin', 'garage_owner'), authController.setupTwoFactor);
+router.post('/2fa/enable', protectOrTwoFactorChallenge, authorize('admin', 'garage_owner'), authController.enableTwoFactor);
+router.post('/2fa/disable', protect, authController.disableTwoFactor);
+router.post('/2fa/recovery-codes', protect, authController.regenerateRecoveryCodes);
 
 module.exports = router;
\ No newline at end of file
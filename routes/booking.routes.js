@@ -1,6 +1,10 @@
 const express = require('express');
 const bookingController = require('../controllers/booking.controller');
-const { protect, authorize } = require('../middleware/auth.middleware');
+const seriesController = require('../controllers/bookingSeries.controller');
+const quoteController = require('../controllers/quote.controller');
+const Booking = require('../models/booking');
+const BookingSeries = require('../models/BookingSeries');
+const { protect, authorize, isVerified, permit } = require('../middleware/auth.middleware');
 
 const router = express.Router();
 
@@ -26,7 +30,19 @@ router.get('/stats/analytics', authorize('admin', 'garage_owner'), bookingContro
 router.get('/', bookingController.getAllBookings);
 
 // Create booking (car owner only)
-router.post('/', authorize('car_owner'), bookingController.createBooking);
+router.post('/', authorize('car_owner'), isVerified, bookingController.createBooking);
+
+// ==========================================
+// RECURRING / FLEET BOOKING SERIES
+// ==========================================
+const seriesGarage = { path: 'garage', select: 'name owner' };
+
+router.get('/series', seriesController.getSeries);
+router.post('/series', authorize('car_owner'), isVerified, seriesController.createSeries);
+router.get('/series/:id', permit('series:read', { model: BookingSeries, populate: seriesGarage }), seriesController.getSeriesById);
+router.patch('/series/:id', permit('series:manage', { model: BookingSeries, populate: seriesGarage }), seriesController.updateSeries);
+router.post('/series/:id/cancel', permit('series:manage', { model: BookingSeries, populate: seriesGarage }), seriesController.cancelSeries);
+router.post('/series/:id/exceptions', permit('series:manage', { model: BookingSeries, populate: seriesGarage }), seriesController.skipOccurrence);
 
 // ==========================================
 // PARAMETERIZED ROUTES
@@ -35,8 +51,11 @@ router.post('/', authorize('car_owner'), bookingController.createBooking);
 // Get single booking
 router.get('/:id', bookingController.getBookingById);
 
-// Update booking status
-router.put('/:id/status', authorize('garage_owner', 'admin'), bookingController.updateBookingStatus);
+// Update booking status (garage owner, garage staff or admin - checked in controller)
+router.put('/:id/status', bookingController.updateBookingStatus);
+
+// Reschedule booking (car owner, garage owner/staff or admin - checked in controller)
+router.put('/:id/reschedule', bookingController.rescheduleBooking);
 
 // Cancel booking
 router.put('/:id/cancel', authorize('car_owner'), bookingController.cancelBooking);
@@ -50,6 +69,14 @@ router.post('/:id/attachments', bookingController.uploadAttachments);
 // Delete attachment
 router.delete('/:id/attachments/:filename', bookingController.deleteAttachment);
 
+// Quotes (garage sends versions, customer accepts or rejects the latest)
+const bookingGarage = { path: 'garage', select: 'name owner' };
+
+router.get('/:id/quotes', permit('booking:read', { model: Booking, populate: bookingGarage }), quoteController.getQuotes);
+router.post('/:id/quotes', permit('booking:quote', { model: Booking, populate: bookingGarage }), quoteController.createQuote);
+router.post('/:id/quotes/:version/accept', permit('booking:respondQuote', { model: Booking, populate: bookingGarage }), quoteController.acceptQuote);
+router.post('/:id/quotes/:version/reject', permit('booking:respondQuote', { model: Booking, populate: bookingGarage }), quoteController.rejectQuote);
+
 // Soft delete booking
 router.delete('/:id', bookingController.deleteBooking);
 
@@ -1,5 +1,18 @@
 const express = require('express');
 const garageController = require('../controllers/garage.controller');
+const staffController = require('../controllers/staff.controller');
+const apiKeyController = require('../controllers/apiKey.controller');
+const closureController = require('../controllers/closure.controller');
+const waitlistController = require('../controllers/waitlist.controller');
+const maintenanceController = require('../controllers/maintenance.controller');
+const Garage = require('../models/garage');
+const {
+  protect,
+  authorize,
+  canCreateGarage,
+  isVerified,
+  permit
+} = require('../middleware/auth.middleware');
 
 const router = express.Router();
 
@@ -14,57 +27,141 @@ router.get('/all/complete', garageController.getAllGaragesComplete);
 // Get nearby garages
 router.get('/nearby', garageController.getNearbyGarages);
 
+// =========================
+// STAFF INVITATION ROUTES
+// =========================
+
+// My memberships and pending invitations
+router.get('/staff/me', protect, staffController.getMyMemberships);
+
+// Accept a staff invitation
+router.post('/staff/invitations/:token/accept', protect, staffController.acceptInvitation);
+
+// =========================
+// ADMIN ONLY ROUTES
+// =========================
+
+// Get deleted garages
+router.get('/deleted/all', protect, permit('garage:viewDeleted'), garageController.getDeletedGarages);
+
+// Get unverified garages
+router.get('/unverified/all', protect, permit('garage:viewUnverified'), garageController.getUnverifiedGarages);
+
+// Restore deleted garage
+router.put('/:id/restore', protect, permit('garage:restore', { model: Garage }), garageController.restoreGarage);
+
+// Verify garage
+router.put('/:id/verify', protect, permit('garage:verify', { model: Garage }), garageController.verifyGarage);
+
+// Toggle garage active status
+router.put('/:id/toggle-active', protect, permit('garage:toggleActive', { model: Garage }), garageController.toggleActive);
+
+// =========================
+// PUBLIC PARAMETERIZED ROUTES
+// =========================
+
 // Get single garage
 router.get('/:id', garageController.getGarageById);
 
 // Get garage services
 router.get('/:id/services', garageController.getGarageServices);
 
+// Get bookable slots per day for a service
+router.get('/:id/availability', garageController.getGarageAvailability);
+
+// Get holiday closures and special hours
+router.get('/:id/closures', closureController.getClosures);
+
+// Get maintenance schedules (garage rules and defaults)
+router.get('/:id/maintenance-schedules', maintenanceController.getMaintenanceSchedules);
+
 // Get garage reviews
 router.get('/:id/reviews', garageController.getGarageReviews);
 
 // =========================
-// ROUTES PREVIOUSLY PROTECTED
+// GARAGE OWNER ROUTES (Owner, permitted staff or Admin)
 // =========================
 
-// Create garage
-router.post('/', garageController.createGarage);
+// Create garage (paid garage owners only)
+router.post('/', protect, authorize('garage_owner'), isVerified, canCreateGarage, garageController.createGarage);
 
 // Update garage
-router.patch('/:id', garageController.updateGarage);
+router.patch('/:id', protect, permit('garage:update', { model: Garage }), garageController.updateGarage);
 
 // Soft delete garage
-router.delete('/:id', garageController.deleteGarage);
+router.delete('/:id', protect, permit('garage:delete', { model: Garage }), garageController.deleteGarage);
 
 // Get garage bookings
-router.get('/:id/bookings', garageController.getGarageBookings);
+router.get('/:id/bookings', protect, permit('garage:viewBookings', { model: Garage }), garageController.getGarageBookings);
+
+// Get garage waitlist
+router.get('/:id/waitlist', protect, permit('garage:viewBookings', { model: Garage }), waitlistController.getGarageWaitlist);
 
 // Get garage analytics
-router.get('/:id/analytics', garageController.getGarageAnalytics);
+router.get('/:id/analytics', protect, permit('garage:viewAnalytics', { model: Garage }), garageController.getGarageAnalytics);
 
 // Upload files (images/documents)
-router.post('/:id/uploads', garageController.uploadFiles);
+router.post('/:id/uploads', protect, permit('garage:manageFiles', { model: Garage }), garageController.uploadFiles);
 
 // Delete file
-router.delete('/:id/files/:filename', garageController.deleteFile);
+router.delete('/:id/files/:filename', protect, permit('garage:manageFiles', { model: Garage }), garageController.deleteFile);
 
 // =========================
-// ROUTES PREVIOUSLY ADMIN ONLY
+// GARAGE CLOSURE ROUTES (Owner, Manager or Admin)
 // =========================
 
-// Get deleted garages
-router.get('/deleted/all', garageController.getDeletedGarages);
+// Add a closure or special hours
+router.post('/:id/closures', protect, permit('garage:manageClosures', { model: Garage }), closureController.createClosure);
 
-// Get unverified garages
-router.get('/unverified/all', garageController.getUnverifiedGarages);
+// Update a closure
+router.patch('/:id/closures/:closureId', protect, permit('garage:manageClosures', { model: Garage }), closureController.updateClosure);
 
-// Restore deleted garage
-router.put('/:id/restore', garageController.restoreGarage);
+// Remove a closure
+router.delete('/:id/closures/:closureId', protect, permit('garage:manageClosures', { model: Garage }), closureController.deleteClosure);
 
-// Verify garage
-router.put('/:id/verify', garageController.verifyGarage);
+// =========================
+// MAINTENANCE SCHEDULE ROUTES (Owner, Manager or Admin)
+// =========================
 
-// Toggle garage active status
-router.put('/:id/toggle-active', garageController.toggleActive);
+// Add a maintenance schedule
+router.post('/:id/maintenance-schedules', protect, permit('garage:manageServices', { model: Garage }), maintenanceController.createMaintenanceSchedule);
+
+// Update a maintenance schedule
+router.patch('/:id/maintenance-schedules/:scheduleId', protect, permit('garage:manageServices', { model: Garage }), maintenanceController.updateMaintenanceSchedule);
+
+// Remove a maintenance schedule
+router.delete('/:id/maintenance-schedules/:scheduleId', protect, permit('garage:manageServices', { model: Garage }), maintenanceController.deleteMaintenanceSchedule);
+
+// =========================
+// GARAGE STAFF ROUTES
+// =========================
+
+// List staff and pending invitations
+router.get('/:id/staff', protect, permit('garage:viewStaff', { model: Garage }), staffController.getGarageStaff);
+
+// Invite staff by email
+router.post('/:id/staff', protect, permit('garage:manageStaff', { model: Garage }), staffController.inviteStaff);
+
+// Change a staff member's role
+router.patch('/:id/staff/:memberId', protect, permit('garage:manageStaff', { model: Garage }), staffController.updateStaffRole);
+
+// Revoke staff access or a pending invitation
+router.delete('/:id/staff/:memberId', protect, permit('garage:manageStaff', { model: Garage }), staffController.revokeStaff);
+
+// =========================
+// GARAGE API KEY ROUTES (Owner or Admin)
+// =========================
+
+// List API keys
+router.get('/:id/api-keys', protect, permit('garage:manageApiKeys', { model: Garage }), apiKeyController.getApiKeys);
+
+// Create API key
+router.post('/:id/api-keys', protect, permit('garage:manageApiKeys', { model: Garage }), apiKeyController.createApiKey);
+
+// Rotate API key
+router.post('/:id/api-keys/:keyId/rotate', protect, permit('garage:manageApiKeys', { model: Garage }), apiKeyController.rotateApiKey);
+
+// Revoke API key
+router.delete('/:id/api-keys/:keyId', protect, permit('garage:manageApiKeys', { model: Garage }), apiKeyController.revokeApiKey);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
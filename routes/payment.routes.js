@@ -1,6 +1,6 @@
 const express = require('express');
 const paymentController = require('../controllers/payment.controller');
-const { protect, authorize } = require('../middleware/auth.middleware');
+const { protect, authorize, isVerified } = require('../middleware/auth.middleware');
 
 const router = express.Router();
 
@@ -28,6 +28,7 @@ router.post('/garage/init', authorize('garage_owner'), paymentController.initGar
 // ==========================================
 // CAR OWNER PAYMENTS
 // ==========================================
+router.post('/booking/checkout', authorize('car_owner'), isVerified, paymentController.startBookingCheckout);
 router.post('/booking/init', authorize('car_owner'), paymentController.initBookingPayment);
 router.get('/booking/verify/:tx_ref', authorize('car_owner'), paymentController.verifyPayment);
 
@@ -44,6 +45,7 @@ router.get('/', authorize('admin'), paymentController.getAllPayments);
 router.get('/stats', authorize('admin'), paymentController.getPaymentStats);
 router.get('/:id', authorize('admin'), paymentController.getPayment);
 router.post('/:id/refund', authorize('admin'), paymentController.initiateRefund);
+router.post('/:id/refund/complete', authorize('admin'), paymentController.completeRefund);
 router.get('/garage/verify/:tx_ref', authorize('admin'), paymentController.verifyPayment);
 
 module.exports = router;
\ No newline at end of file
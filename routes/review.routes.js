@@ -36,17 +36,17 @@ router.put('/:id', authorize('car_owner'), reviewController.updateReview);
 router.delete('/:id', authorize('car_owner', 'admin'), reviewController.softDeleteReview);
 
 // ==========================================
-// REVIEW RESPONSES (Garage Owner)
+// REVIEW RESPONSES (Garage Owner, Manager or Admin - checked in controller)
 // ==========================================
 
 // Add response to review
-router.post('/:id/response', authorize('garage_owner', 'admin'), reviewController.addResponse);
+router.post('/:id/response', reviewController.addResponse);
 
 // Update response
-router.put('/:id/response', authorize('garage_owner', 'admin'), reviewController.updateResponse);
+router.put('/:id/response', reviewController.updateResponse);
 
 // Delete response
-router.delete('/:id/response', authorize('garage_owner', 'admin'), reviewController.deleteResponse);
+router.delete('/:id/response', reviewController.deleteResponse);
 
 // ==========================================
 // IMAGE MANAGEMENT (Car Owner)
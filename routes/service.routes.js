@@ -14,17 +14,17 @@ router.use(protect);
 // Get all services
 router.get('/', serviceController.getAllServices);
 
+// Garage owners, managers (garage staff) and admins are checked in the controller
+
 // Create service
 router.post(
   '/',
-  authorize('garage_owner', 'admin'),
   serviceController.createService
 );
 
 // Bulk create services
 router.post(
   '/bulk',
-  authorize('garage_owner', 'admin'),
   serviceController.bulkCreateServices
 );
 
@@ -37,14 +37,12 @@ router.get('/:id', serviceController.getServiceById);
 // Update service
 router.patch(
   '/:id',
-  authorize('garage_owner', 'admin'),
   serviceController.updateService
 );
 
 // Toggle availability
 router.put(
   '/:id/toggle-availability',
-  authorize('garage_owner', 'admin'),
   serviceController.toggleAvailability
 );
 
@@ -76,14 +74,12 @@ router.put(
 // Get service bookings
 router.get(
   '/:id/bookings',
-  authorize('garage_owner', 'admin'),
   serviceController.getServiceBookings
 );
 
 // Get service analytics
 router.get(
   '/:id/analytics',
-  authorize('garage_owner', 'admin'),
   serviceController.getServiceAnalytics
 );
 
@@ -49,4 +49,9 @@ router
   .route('/:id/revoke-garage-creation')
   .put(userController.revokeGarageCreation);
 
+router
+  .route('/:id/lockout')
+  .get(userController.getUserLockout)
+  .delete(userController.clearUserLockout);
+
 module.exports = router;
\ No newline at end of file
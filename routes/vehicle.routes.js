@@ -0,0 +1,41 @@
+const express = require('express');
+const vehicleController = require('../controllers/vehicle.controller');
+const maintenanceController = require('../controllers/maintenance.controller');
+const Vehicle = require('../models/Vehicle');
+const { protect, authorize, permit } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// ==========================================
+// PROTECT ALL ROUTES
+// ==========================================
+router.use(protect);
+
+// Make/model catalog and offline VIN decoding
+router.get('/catalog', vehicleController.getVehicleCatalog);
+router.get('/vin/:vin', vehicleController.decodeVehicleVin);
+
+// Maintenance reminders
+router.get('/reminders', maintenanceController.getMyReminders);
+router.post('/reminders/:id/dismiss', maintenanceController.dismissReminder);
+
+// Get my vehicles
+router.get('/', vehicleController.getMyVehicles);
+
+// Register a vehicle (car owner only)
+router.post('/', authorize('car_owner'), vehicleController.createVehicle);
+
+// ==========================================
+// PARAMETERIZED ROUTES
+// ==========================================
+router.get('/:id', permit('vehicle:read', { model: Vehicle }), vehicleController.getVehicleById);
+router.put('/:id', permit('vehicle:manage', { model: Vehicle }), vehicleController.updateVehicle);
+router.delete('/:id', permit('vehicle:manage', { model: Vehicle }), vehicleController.deleteVehicle);
+
+// Completed bookings, services and garage notes for the vehicle
+router.get('/:id/history', permit('vehicle:read', { model: Vehicle }), vehicleController.getVehicleHistory);
+
+// Last service and next due date/mileage per maintenance schedule
+router.get('/:id/maintenance', permit('vehicle:read', { model: Vehicle }), maintenanceController.getVehicleMaintenance);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const waitlistController = require('../controllers/waitlist.controller');
+const { protect, authorize, isVerified } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// ==========================================
+// ALL WAITLIST ROUTES ARE FOR LOGGED-IN CAR OWNERS
+// ==========================================
+router.use(protect, authorize('car_owner'));
+
+// Get my waitlist entries
+router.get('/', waitlistController.getMyWaitlist);
+
+// Join a waitlist
+router.post('/', isVerified, waitlistController.joinWaitlist);
+
+// Claim an offered slot
+router.post('/:id/claim', waitlistController.claimOffer);
+
+// Leave a waitlist (declines any pending offer)
+router.delete('/:id', waitlistController.leaveWaitlist);
+
+module.exports = router;
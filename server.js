@@ -2,6 +2,8 @@
 const mongoose = require('mongoose');
 const dotenv = require('dotenv');
 const app = require('./app');
+const { startWaitlistSweeper } = require('./jobs/waitlistSweeper');
+const { startMaintenanceReminders } = require('./jobs/maintenanceReminders');
 
 dotenv.config();
 
@@ -10,7 +12,11 @@ const MONGO_URI = process.env.MONGO_URI;
 
 // Connect to MongoDB
 mongoose.connect(MONGO_URI)
-  .then(() => console.log("MongoDB connected successfully"))
+  .then(() => {
+    console.log("MongoDB connected successfully");
+    startWaitlistSweeper();
+    startMaintenanceReminders();
+  })
   .catch(err => console.error("MongoDB connection error:", err));
 
 // Start Express server
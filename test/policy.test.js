@@ -0,0 +1,120 @@
+// ==========================================
+// test/policy.test.js
+// Rule table checks for utils/policy.js (run with `npm test`)
+// ==========================================
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { can } = require('../utils/policy');
+
+const OWNER_ID = 'aaaaaaaaaaaaaaaaaaaaaaaa';
+const CUSTOMER_ID = 'bbbbbbbbbbbbbbbbbbbbbbbb';
+const STAFF_ID = 'cccccccccccccccccccccccc';
+const STRANGER_ID = 'dddddddddddddddddddddddd';
+const GARAGE_ID = '111111111111111111111111';
+const OTHER_GARAGE_ID = '222222222222222222222222';
+
+const garage = { _id: GARAGE_ID, owner: OWNER_ID };
+const booking = { _id: 'eeeeeeeeeeeeeeeeeeeeeeee', carOwner: CUSTOMER_ID, garage };
+
+const userWith = (id, role, memberships = []) => ({ id, role, memberships });
+const staffAs = (staffRole, garageId = GARAGE_ID) =>
+  userWith(STAFF_ID, 'car_owner', [{ garage: garageId, role: staffRole }]);
+const apiKeyFor = (garageId, scopes) => ({
+  id: OWNER_ID,
+  role: 'api_key',
+  apiKey: { id: 'ffffffffffffffffffffffff', garage: garageId, scopes },
+  memberships: []
+});
+
+describe('admins', () => {
+  test('are allowed by role without a resource', () => {
+    assert.equal(can(userWith(STRANGER_ID, 'admin'), 'user:hardDelete'), true);
+    assert.equal(can(userWith(STRANGER_ID, 'admin'), 'garage:update', garage), true);
+  });
+});
+
+describe('owners and customers', () => {
+  test('the garage owner manages their garage', () => {
+    assert.equal(can(userWith(OWNER_ID, 'garage_owner'), 'garage:update', garage), true);
+    assert.equal(can(userWith(OWNER_ID, 'garage_owner'), 'booking:updateStatus', booking), true);
+  });
+
+  test('the customer reads and cancels their booking but cannot change its status', () => {
+    const customer = userWith(CUSTOMER_ID, 'car_owner');
+    assert.equal(can(customer, 'booking:read', booking), true);
+    assert.equal(can(customer, 'booking:cancel', booking), true);
+    assert.equal(can(customer, 'booking:updateStatus', booking), false);
+  });
+
+  test('only the customer answers a quote', () => {
+    assert.equal(can(userWith(CUSTOMER_ID, 'car_owner'), 'booking:respondQuote', booking), true);
+    assert.equal(can(userWith(OWNER_ID, 'garage_owner'), 'booking:respondQuote', booking), false);
+  });
+
+  test('a user only manages their own account', () => {
+    const self = userWith(CUSTOMER_ID, 'car_owner');
+    assert.equal(can(self, 'user:update', { _id: CUSTOMER_ID }), true);
+    assert.equal(can(self, 'user:update', { _id: STRANGER_ID }), false);
+  });
+});
+
+describe('garage staff', () => {
+  test('get the actions listed for their staff role', () => {
+    assert.equal(can(staffAs('manager'), 'garage:update', garage), true);
+    assert.equal(can(staffAs('receptionist'), 'booking:reschedule', booking), true);
+    assert.equal(can(staffAs('mechanic'), 'booking:quote', booking), true);
+  });
+
+  test('are refused actions outside their staff role', () => {
+    assert.equal(can(staffAs('receptionist'), 'garage:update', garage), false);
+    assert.equal(can(staffAs('mechanic'), 'booking:reschedule', booking), false);
+    assert.equal(can(staffAs('manager'), 'booking:delete', booking), false);
+  });
+
+  test('have no rights at other garages', () => {
+    assert.equal(can(staffAs('manager', OTHER_GARAGE_ID), 'garage:update', garage), false);
+    assert.equal(can(staffAs('manager', OTHER_GARAGE_ID), 'booking:read', booking), false);
+  });
+});
+
+describe('API keys', () => {
+  test('are allowed scoped actions on their own garage', () => {
+    assert.equal(can(apiKeyFor(GARAGE_ID, ['bookings:read']), 'booking:read', booking), true);
+    assert.equal(can(apiKeyFor(GARAGE_ID, ['bookings:write']), 'booking:updateStatus', booking), true);
+    assert.equal(can(apiKeyFor(GARAGE_ID, ['bookings:read']), 'garage:viewBookings', garage), true);
+  });
+
+  test('are refused without the scope', () => {
+    assert.equal(can(apiKeyFor(GARAGE_ID, ['bookings:read']), 'booking:updateStatus', booking), false);
+  });
+
+  test('are refused on other garages', () => {
+    assert.equal(can(apiKeyFor(OTHER_GARAGE_ID, ['bookings:read']), 'booking:read', booking), false);
+  });
+
+  test('are refused actions without an API key scope, whoever created them', () => {
+    assert.equal(can(apiKeyFor(GARAGE_ID, ['bookings:read', 'bookings:write']), 'garage:update', garage), false);
+    assert.equal(can(apiKeyFor(GARAGE_ID, ['bookings:read']), 'booking:read'), false);
+  });
+});
+
+describe('denial by default', () => {
+  test('refuses a missing user', () => {
+    assert.equal(can(null, 'booking:read', booking), false);
+  });
+
+  test('refuses unrelated users', () => {
+    const stranger = userWith(STRANGER_ID, 'car_owner');
+    assert.equal(can(stranger, 'booking:read', booking), false);
+    assert.equal(can(userWith(STRANGER_ID, 'garage_owner'), 'garage:update', garage), false);
+  });
+
+  test('refuses relation-based actions without a resource', () => {
+    assert.equal(can(userWith(OWNER_ID, 'garage_owner'), 'garage:update'), false);
+  });
+
+  test('throws on unknown actions', () => {
+    assert.throws(() => can(userWith(STRANGER_ID, 'admin'), 'garage:launchRocket', garage), /Unknown policy action/);
+  });
+});
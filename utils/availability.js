@@ -0,0 +1,201 @@
+// ==========================================
+// utils/availability.js
+// Bookable slots of a garage for a service over a range of days
+// ==========================================
+
+const Booking = require('../models/booking');
+const SlotHold = require('../models/SlotHold');
+const {
+  ACTIVE_BOOKING_STATUSES,
+  normalizeTime,
+  timeToMinutes,
+  minutesToTime,
+  generateTimeSlots,
+  dayNameOf,
+  dateKey,
+  dayRange,
+  peakConcurrency
+} = require('./scheduling');
+
+// Everything taking a bay at a garage between two days: active bookings and
+// live slot holds, as { bookingDate, timeSlot }. With `slot`, only what
+// overlaps it. `bookingFilter` narrows the bookings (e.g. to skip the one
+// being moved) and `excludeHold` skips a hold being converted.
+const occupiedSlots = async (garageId, from, to, { slot = null, session = null, bookingFilter = {}, excludeHold = null } = {}) => {
+  const filter = {
+    garage: garageId,
+    bookingDate: { $gte: dayRange(from).start, $lte: dayRange(to).end }
+  };
+  if (slot) {
+    filter['timeSlot.start'] = { $lt: slot.end };
+    filter['timeSlot.end'] = { $gt: slot.start };
+  }
+
+  const bookings = await Booking.find({
+    ...filter,
+    ...bookingFilter,
+    status: { $in: ACTIVE_BOOKING_STATUSES },
+    isDeleted: false
+  })
+    .select('bookingDate timeSlot')
+    .session(session)
+    .lean();
+
+  const holdFilter = { ...filter, ...SlotHold.liveFilter() };
+  if (excludeHold) holdFilter._id = { $ne: excludeHold };
+
+  const holds = await SlotHold.find(holdFilter)
+    .select('bookingDate timeSlot')
+    .session(session)
+    .lean();
+
+  return [...bookings, ...holds];
+};
+
+// Count bookings and slot holds overlapping `slot` against the garage's
+// service bays. Pass the session to count inside a transaction,
+// `excludeBooking` to ignore the booking being moved and `excludeHold` to
+// ignore the hold being turned into a booking.
+const checkBayCapacity = async (garage, date, slot, session = null, { excludeBooking = null, excludeHold = null } = {}) => {
+  const overlapping = await occupiedSlots(garage._id, date, date, {
+    slot,
+    session,
+    bookingFilter: excludeBooking ? { _id: { $ne: excludeBooking } } : {},
+    excludeHold
+  });
+
+  const bays = garage.serviceBays || 1;
+  const busyBays = peakConcurrency(overlapping.map(b => b.timeSlot), slot.start, slot.end);
+
+  return {
+    available: busyBays < bays,
+    bays,
+    freeBays: Math.max(bays - busyBays, 0)
+  };
+};
+
+// Closure (holiday or special hours) that applies on a date, if any.
+// A one-off closure on the exact date wins over a recurring one.
+const closureOn = (garage, date) => {
+  const closures = garage.closures || [];
+  const key = dateKey(date);
+  const monthDay = key.slice(5);
+
+  return closures.find(c => !c.recurring && dateKey(c.date) === key) ||
+    closures.find(c => c.recurring && dateKey(c.date).slice(5) === monthDay) ||
+    null;
+};
+
+// Valid { open, close } from two times, or null
+const hoursFrom = (open, close) => {
+  const start = normalizeTime(open);
+  const end = normalizeTime(close);
+  if (!start || !end || timeToMinutes(end) <= timeToMinutes(start)) return null;
+  return { open: start, close: end };
+};
+
+// Opening hours of a garage on a date: { open, close }, or null when closed.
+// Closures override the weekly businessHours template.
+const openingHoursOn = (garage, date) => {
+  const closure = closureOn(garage, date);
+  if (closure) {
+    return closure.type === 'custom_hours' ? hoursFrom(closure.open, closure.close) : null;
+  }
+
+  const day = garage.businessHours && garage.businessHours[dayNameOf(date)];
+  if (!day || day.closed) return null;
+
+  return hoursFrom(day.open, day.close);
+};
+
+// Why a slot can't be booked because of opening hours, or null if it fits
+const openingHoursConflict = (garage, date, slot) => {
+  const hours = openingHoursOn(garage, date);
+  const closure = closureOn(garage, date);
+
+  if (!hours) {
+    return {
+      reason: closure && closure.reason
+        ? `Garage is closed on this date (${closure.reason})`
+        : 'Garage is closed on this date'
+    };
+  }
+
+  if (slot.start < hours.open || slot.end > hours.close) {
+    return {
+      reason: closure ? 'Time slot is outside the special opening hours for this date' : 'Time slot is outside business hours',
+      businessHours: hours
+    };
+  }
+
+  return null;
+};
+
+// Each day from `from` to `to` (inclusive) with its free slots of `duration`
+// minutes (the summed duration of the services being booked).
+// Loads all bookings and holds in the range at once, then works in memory.
+const getAvailability = async (garage, duration, from, to) => {
+  const rangeStart = dayRange(from).start;
+  const rangeEnd = dayRange(to).end;
+
+  const bookings = await occupiedSlots(garage._id, rangeStart, rangeEnd);
+
+  const bookingsByDay = {};
+  bookings.forEach(booking => {
+    const key = dateKey(booking.bookingDate);
+    (bookingsByDay[key] = bookingsByDay[key] || []).push(booking.timeSlot);
+  });
+
+  const bays = garage.serviceBays || 1;
+  const now = new Date();
+  const todayKey = dateKey(now);
+  const nowMinutes = now.getHours() * 60 + now.getMinutes();
+
+  const days = [];
+  for (const day = new Date(rangeStart); day <= rangeEnd; day.setDate(day.getDate() + 1)) {
+    const key = dateKey(day);
+    const hours = openingHoursOn(garage, day);
+    const closure = closureOn(garage, day);
+    const closureInfo = closure ? { type: closure.type, reason: closure.reason } : undefined;
+
+    if (!hours || key < todayKey) {
+      days.push({ date: key, day: dayNameOf(day), closed: !hours, closure: closureInfo, slots: [] });
+      continue;
+    }
+
+    const dayBookings = bookingsByDay[key] || [];
+    const slots = [];
+
+    generateTimeSlots(hours.open, hours.close, duration).forEach(start => {
+      if (key === todayKey && timeToMinutes(start) <= nowMinutes) return;
+
+      const end = minutesToTime(timeToMinutes(start) + duration);
+      const freeBays = bays - peakConcurrency(dayBookings, start, end);
+
+      if (freeBays > 0) {
+        slots.push({ start, end, freeBays });
+      }
+    });
+
+    days.push({
+      date: key,
+      day: dayNameOf(day),
+      closed: false,
+      open: hours.open,
+      close: hours.close,
+      closure: closureInfo,
+      slots
+    });
+  }
+
+  return days;
+};
+
+module.exports = {
+  occupiedSlots,
+  checkBayCapacity,
+  closureOn,
+  openingHoursOn,
+  openingHoursConflict,
+  getAvailability
+};
@@ -0,0 +1,32 @@
+// ==========================================
+// utils/cancellation.js
+// Cancellation fee and refund amounts from a garage's cancellation policy
+// ==========================================
+
+// Round to 2 decimal places (ETB cents)
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Fee percent for a customer cancelling `hoursBeforeStart` hours ahead
+const cancellationFeePercent = (policy, hoursBeforeStart) => {
+  if (hoursBeforeStart >= policy.freeCancellationHours) return 0;
+  if (hoursBeforeStart < policy.noRefundHours) return 100;
+  return policy.lateCancellationFeePercent;
+};
+
+// Fee and refund for a cancelled booking. Cancellations by the garage are
+// always refunded in full.
+const applyCancellationPolicy = (policy, paidAmount, hoursBeforeStart, byCustomer = true) => {
+  const feePercent = byCustomer ? cancellationFeePercent(policy, hoursBeforeStart) : 0;
+  const feeAmount = roundAmount(paidAmount * feePercent / 100);
+
+  return {
+    feePercent,
+    feeAmount,
+    refundAmount: roundAmount(paidAmount - feeAmount)
+  };
+};
+
+module.exports = {
+  cancellationFeePercent,
+  applyCancellationPolicy
+};
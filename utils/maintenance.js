@@ -0,0 +1,246 @@
+// ==========================================
+// utils/maintenance.js
+// When a vehicle's next maintenance is due, from its completed bookings and
+// mileage, and the reminders sent for it (jobs/maintenanceReminders.js).
+// ==========================================
+
+const Booking = require('../models/booking');
+const Service = require('../models/Service');
+const Vehicle = require('../models/Vehicle');
+const MaintenanceReminder = require('../models/MaintenanceReminder');
+const { sendMail } = require('../config/mail');
+const { dateKey } = require('./scheduling');
+
+// Used when the garage that did the work has no schedule of its own
+const DEFAULT_SCHEDULES = [
+  {
+    key: 'default:maintenance',
+    category: 'maintenance',
+    name: 'Routine maintenance (oil and filters)',
+    intervalKm: 5000,
+    intervalMonths: 6,
+    remindBeforeKm: 500,
+    remindBeforeDays: 14
+  },
+  {
+    key: 'default:inspection',
+    category: 'inspection',
+    name: 'Annual inspection',
+    intervalKm: null,
+    intervalMonths: 12,
+    remindBeforeKm: 0,
+    remindBeforeDays: 30
+  }
+];
+
+// `date` plus `months`, on the last day of the month when it's shorter
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  const day = result.getDate();
+  result.setDate(1);
+  result.setMonth(result.getMonth() + months);
+  const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+  result.setDate(Math.min(day, lastDay));
+  return result;
+};
+
+// Schedule for a service done at a garage: the garage's rule for that
+// service, then its rule for the category, then the default
+const scheduleFor = (garage, serviceId, category) => {
+  const rules = (garage && garage.maintenanceSchedules) || [];
+  const rule = rules.find(r => r.service && serviceId && r.service.toString() === serviceId.toString()) ||
+    rules.find(r => !r.service && r.category === category);
+
+  if (rule) {
+    return {
+      key: rule._id.toString(),
+      category: rule.category,
+      name: rule.name,
+      intervalKm: rule.intervalKm,
+      intervalMonths: rule.intervalMonths,
+      remindBeforeKm: rule.remindBeforeKm,
+      remindBeforeDays: rule.remindBeforeDays
+    };
+  }
+
+  return DEFAULT_SCHEDULES.find(s => s.category === category) || null;
+};
+
+// Deep link that books the same service at the same garage for the vehicle
+const bookingLink = (garageId, serviceId, vehicleId) => {
+  const base = process.env.CLIENT_URL || 'http://localhost:3000';
+  return `${base}/garages/${garageId}/book?serviceIds=${serviceId}&vehicleId=${vehicleId}`;
+};
+
+// Due date, due mileage and status of one schedule since its last service
+const evaluate = (schedule, last, vehicle, now) => {
+  const dueDate = schedule.intervalMonths ? addMonths(last.date, schedule.intervalMonths) : null;
+  const dueMileage = schedule.intervalKm && last.mileage != null ? last.mileage + schedule.intervalKm : null;
+  const mileage = vehicle.mileage || 0;
+
+  const daysRemaining = dueDate ? Math.ceil((dueDate - now) / (24 * 60 * 60 * 1000)) : null;
+  const kmRemaining = dueMileage != null ? dueMileage - mileage : null;
+
+  let status = 'ok';
+  if ((daysRemaining != null && daysRemaining <= 0) || (kmRemaining != null && kmRemaining <= 0)) {
+    status = 'overdue';
+  } else if ((daysRemaining != null && daysRemaining <= schedule.remindBeforeDays) ||
+             (kmRemaining != null && kmRemaining <= schedule.remindBeforeKm)) {
+    status = 'due_soon';
+  }
+
+  return { dueDate, dueMileage, daysRemaining, kmRemaining, status };
+};
+
+// Every schedule that applies to a vehicle, with when it was last done and
+// when it's next due. The most recent completed booking per service category
+// counts, whichever garage did it: schedules differ per garage, so an older
+// visit elsewhere must not stay due after newer work.
+const maintenanceStatus = async (vehicle, now = new Date()) => {
+  const bookings = await Booking.find({ vehicle: vehicle._id, status: 'completed', isDeleted: false })
+    .sort({ bookingDate: -1 })
+    .select('garage bookingDate mileage service services')
+    .populate('garage', 'name maintenanceSchedules');
+
+  // Bookings from before service lines only have `service`
+  const linesOf = (booking) => (booking.services.length > 0
+    ? booking.services.map(line => ({ service: line.service, name: line.name }))
+    : [{ service: booking.service, name: null }]);
+
+  const serviceIds = [...new Set(bookings.flatMap(b => linesOf(b).map(line => line.service.toString())))];
+  const services = await Service.find({ _id: { $in: serviceIds } }).select('name category');
+  const serviceById = new Map(services.map(s => [s._id.toString(), s]));
+
+  const items = new Map();
+
+  bookings.forEach(booking => {
+    linesOf(booking).forEach(line => {
+      const service = serviceById.get(line.service.toString());
+      if (!service) return;
+
+      if (items.has(service.category)) return;
+      const schedule = scheduleFor(booking.garage, service._id, service.category);
+      if (!schedule) return;
+
+      const last = { date: booking.bookingDate, mileage: booking.mileage };
+      items.set(service.category, {
+        scheduleKey: schedule.key,
+        name: schedule.name,
+        category: schedule.category,
+        intervalKm: schedule.intervalKm,
+        intervalMonths: schedule.intervalMonths,
+        garage: booking.garage ? { _id: booking.garage._id, name: booking.garage.name } : null,
+        service: { _id: service._id, name: line.name || service.name },
+        lastBooking: booking._id,
+        lastServiceAt: last.date,
+        lastMileage: last.mileage,
+        currentMileage: vehicle.mileage,
+        ...evaluate(schedule, last, vehicle, now),
+        bookingLink: booking.garage ? bookingLink(booking.garage._id, service._id, vehicle._id) : null
+      });
+    });
+  });
+
+  return [...items.values()];
+};
+
+// Email the owner about a maintenance item that is due
+const sendReminderEmail = (owner, vehicle, item) => {
+  const due = [
+    item.dueDate && `by ${dateKey(item.dueDate)}`,
+    item.dueMileage != null && `at ${item.dueMileage} km`
+  ].filter(Boolean).join(' or ');
+  const headline = item.status === 'overdue'
+    ? `${item.name} is overdue for your ${vehicle.make} ${vehicle.model} (${vehicle.licensePlate})`
+    : `${item.name} is due soon for your ${vehicle.make} ${vehicle.model} (${vehicle.licensePlate})`;
+
+  return sendMail({
+    to: owner.email,
+    subject: headline,
+    text: `Hi ${owner.name},\n\n${headline}: due ${due}. It was last done on ${dateKey(item.lastServiceAt)}.\n\nBook ${item.service.name} at ${item.garage.name}:\n\n${item.bookingLink}`,
+    html: `<p>Hi ${owner.name},</p><p>${headline}: due ${due}. It was last done on ${dateKey(item.lastServiceAt)}.</p><p><a href="${item.bookingLink}">Book ${item.service.name} at ${item.garage.name}</a></p>`
+  });
+};
+
+// Reminders of one vehicle; adds to `result`. Returns 1 when the vehicle was
+// processed, 0 when it was skipped.
+const remindVehicle = async (vehicleId, now, result) => {
+  const vehicle = await Vehicle.findOne({ _id: vehicleId, isDeleted: false }).populate('owner', 'name email');
+  if (!vehicle || !vehicle.owner) return 0;
+
+  const due = (await maintenanceStatus(vehicle, now)).filter(item => item.status !== 'ok' && item.garage);
+  const openIds = [];
+
+  for (const item of due) {
+    const reminder = await MaintenanceReminder.findOneAndUpdate(
+      { vehicle: vehicle._id, scheduleKey: item.scheduleKey, lastBooking: item.lastBooking },
+      {
+        owner: vehicle.owner._id,
+        name: item.name,
+        category: item.category,
+        garage: item.garage._id,
+        service: item.service._id,
+        dueDate: item.dueDate,
+        dueMileage: item.dueMileage,
+        status: item.status,
+        bookingLink: item.bookingLink
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+    openIds.push(reminder._id);
+    result.reminders += 1;
+
+    if (reminder.dismissedAt || reminder.notifiedStatus === item.status) continue;
+
+    try {
+      await sendReminderEmail(vehicle.owner, vehicle, item);
+      reminder.notifiedStatus = item.status;
+      reminder.notifiedAt = new Date();
+      await reminder.save();
+      result.emailed += 1;
+    } catch (mailError) {
+      console.error('Maintenance reminder email error:', mailError);
+    }
+  }
+
+  // Serviced since (new cycle) or no longer due
+  const resolved = await MaintenanceReminder.updateMany(
+    { vehicle: vehicle._id, status: { $ne: 'resolved' }, _id: { $nin: openIds } },
+    { status: 'resolved' }
+  );
+  result.resolved += resolved.modifiedCount;
+
+  return 1;
+};
+
+// Create or update reminders for every vehicle with a completed booking,
+// email owners about new or newly overdue items, and resolve reminders
+// whose item was serviced. Returns counts for logging.
+const runMaintenanceReminders = async (now = new Date()) => {
+  const vehicleIds = await Booking.distinct('vehicle', {
+    status: 'completed',
+    isDeleted: false,
+    vehicle: { $ne: null }
+  });
+
+  const result = { vehicles: 0, reminders: 0, emailed: 0, resolved: 0, failed: 0 };
+
+  for (const vehicleId of vehicleIds) {
+    // One failing vehicle must not stop the rest of the run
+    try {
+      result.vehicles += await remindVehicle(vehicleId, now, result);
+    } catch (error) {
+      result.failed += 1;
+      console.error(`Maintenance reminders error (vehicle ${vehicleId}):`, error);
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  DEFAULT_SCHEDULES,
+  addMonths,
+  maintenanceStatus,
+  runMaintenanceReminders
+};
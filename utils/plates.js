@@ -0,0 +1,86 @@
+// ==========================================
+// utils/plates.js
+// Ethiopian license plates: a code (vehicle use), a region and a serial,
+// stored as "2-AA-B12345". Accepts the ways people type them, e.g.
+// "AA 2 B12345", "2-aa-b12345", "code 2 AA B12345".
+// ==========================================
+
+// Code on the left of the plate
+const PLATE_CODES = {
+  1: 'taxi',
+  2: 'private',
+  3: 'commercial',
+  4: 'government',
+  5: 'ngo'
+};
+
+// Region on the plate -> canonical abbreviation
+const PLATE_REGIONS = {
+  AA: 'AA', // Addis Ababa
+  AF: 'AF', // Afar
+  AM: 'AM', // Amhara
+  BG: 'BG', // Benishangul-Gumuz
+  DR: 'DR', // Dire Dawa
+  GM: 'GM', // Gambela
+  HR: 'HR', // Harari
+  OR: 'OR', // Oromia
+  SD: 'SD', // Sidama
+  SM: 'SO', // Somali
+  SO: 'SO',
+  SN: 'SN', // Southern Nations (SNNP)
+  SW: 'SW', // South West Ethiopia
+  TG: 'TG', // Tigray
+  TI: 'TG',
+  ET: 'ET' // Federal
+};
+
+const CODE = '([1-5])';
+const REGION = `(${Object.keys(PLATE_REGIONS).join('|')})`;
+// Five digits, with a letter in front once a region ran out of numbers
+const SERIAL = '([A-Z]?\\d{5})';
+
+const CODE_FIRST = new RegExp(`^${CODE}${REGION}${SERIAL}$`);
+const REGION_FIRST = new RegExp(`^${REGION}${CODE}${SERIAL}$`);
+
+// "2-AA-B12345", or null when the value isn't an Ethiopian plate
+const normalizePlate = (value) => {
+  if (typeof value !== 'string') return null;
+
+  const compact = value
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, '')
+    .replace(/^CODE/, '');
+
+  let match = compact.match(CODE_FIRST);
+  if (match) {
+    const [, code, region, serial] = match;
+    return `${code}-${PLATE_REGIONS[region]}-${serial}`;
+  }
+
+  match = compact.match(REGION_FIRST);
+  if (match) {
+    const [, region, code, serial] = match;
+    return `${code}-${PLATE_REGIONS[region]}-${serial}`;
+  }
+
+  return null;
+};
+
+// { code, use, region, serial } of a plate, or null
+const parsePlate = (value) => {
+  const plate = normalizePlate(value);
+  if (!plate) return null;
+
+  const [code, region, serial] = plate.split('-');
+  return { plate, code: Number(code), use: PLATE_CODES[code], region, serial };
+};
+
+const PLATE_FORMAT_MESSAGE = 'License plate must be an Ethiopian plate: code 1-5, region (e.g. AA, OR) and a 5-digit serial, like 2-AA-B12345';
+
+module.exports = {
+  PLATE_CODES,
+  PLATE_REGIONS,
+  PLATE_FORMAT_MESSAGE,
+  normalizePlate,
+  parsePlate
+};
@@ -0,0 +1,180 @@
+// ==========================================
+// utils/policy.js
+// Declarative permission rules shared by routes and controllers
+// ==========================================
+
+// Compare two ids that may be ObjectIds, populated docs or strings
+const isSameId = (a, b) => {
+  if (!a || !b) return false;
+  const idA = a._id ? a._id : a;
+  const idB = b._id ? b._id : b;
+  return idA.toString() === idB.toString();
+};
+
+// Owner id of a resource's garage (garage must be populated with `owner`)
+const garageOwnerOf = (resource) => resource && resource.garage && resource.garage.owner;
+
+// Garage a resource belongs to, per resource type
+const garageIdOf = {
+  garage: (garage) => garage._id,
+  booking: (booking) => booking.garage,
+  review: (review) => review.garage,
+  service: (service) => service.garage,
+  series: (series) => series.garage
+};
+
+// Staff role of `user` at a garage, from the memberships loaded by protect
+const staffRoleAt = (user, garageId) => {
+  if (!garageId || !Array.isArray(user.memberships)) return null;
+  const membership = user.memberships.find(m => isSameId(m.garage, garageId));
+  return membership ? membership.role : null;
+};
+
+// ==========================================
+// Relationships between a user and a resource, per resource type.
+// Each check is synchronous and only reads fields already on the resource.
+// ==========================================
+const relations = {
+  user: {
+    self: (user, target) => isSameId(target._id, user.id)
+  },
+  garage: {
+    owner: (user, garage) => isSameId(garage.owner, user.id)
+  },
+  booking: {
+    customer: (user, booking) => isSameId(booking.carOwner, user.id),
+    garageOwner: (user, booking) => isSameId(garageOwnerOf(booking), user.id)
+  },
+  review: {
+    author: (user, review) => isSameId(review.carOwner, user.id),
+    garageOwner: (user, review) => isSameId(garageOwnerOf(review), user.id)
+  },
+  service: {
+    garageOwner: (user, service) => isSameId(garageOwnerOf(service), user.id)
+  },
+  series: {
+    customer: (user, series) => isSameId(series.carOwner, user.id),
+    garageOwner: (user, series) => isSameId(garageOwnerOf(series), user.id)
+  },
+  vehicle: {
+    owner: (user, vehicle) => isSameId(vehicle.owner, user.id)
+  }
+};
+
+// ==========================================
+// Rule table: action -> roles always allowed, relationships that allow,
+// garage staff roles (models/GarageMember.js) that allow, and the
+// API key scope (models/ApiKey.js) that allows it on the key's own garage
+// ==========================================
+const ADMIN = ['admin'];
+const ALL_STAFF = ['manager', 'receptionist', 'mechanic'];
+const MANAGERS = ['manager'];
+
+const rules = {
+  // Users
+  'user:read': { roles: ADMIN, relations: ['self'] },
+  'user:update': { roles: ADMIN, relations: ['self'] },
+  'user:delete': { roles: ADMIN, relations: ['self'] },
+  'user:manage': { roles: ADMIN, relations: ['self'] },
+  'user:hardDelete': { roles: ADMIN },
+  'user:restore': { roles: ADMIN },
+  'user:viewDeleted': { roles: ADMIN },
+
+  // Garages
+  'garage:update': { roles: ADMIN, relations: ['owner'], staff: MANAGERS },
+  'garage:delete': { roles: ADMIN, relations: ['owner'] },
+  'garage:manage': { roles: ADMIN, relations: ['owner'] },
+  'garage:manageFiles': { roles: ADMIN, relations: ['owner'], staff: MANAGERS },
+  'garage:manageServices': { roles: ADMIN, relations: ['owner'], staff: MANAGERS },
+  'garage:viewBookings': { roles: ADMIN, relations: ['owner'], staff: ALL_STAFF, apiKey: 'bookings:read' },
+  'garage:viewAnalytics': { roles: ADMIN, relations: ['owner'], staff: MANAGERS },
+  'garage:viewStaff': { roles: ADMIN, relations: ['owner'], staff: MANAGERS },
+  'garage:manageClosures': { roles: ADMIN, relations: ['owner'], staff: MANAGERS },
+  'garage:manageStaff': { roles: ADMIN, relations: ['owner'] },
+  'garage:manageApiKeys': { roles: ADMIN, relations: ['owner'] },
+  'garage:verify': { roles: ADMIN },
+  'garage:restore': { roles: ADMIN },
+  'garage:toggleActive': { roles: ADMIN },
+  'garage:viewDeleted': { roles: ADMIN },
+  'garage:viewUnverified': { roles: ADMIN },
+
+  // Bookings
+  'booking:read': { roles: ADMIN, relations: ['customer', 'garageOwner'], staff: ALL_STAFF, apiKey: 'bookings:read' },
+  'booking:manage': { roles: ADMIN, relations: ['customer'] },
+  'booking:cancel': { relations: ['customer'] },
+  'booking:updateStatus': { roles: ADMIN, relations: ['garageOwner'], staff: ALL_STAFF, apiKey: 'bookings:write' },
+  'booking:manageAttachments': { roles: ADMIN, relations: ['customer', 'garageOwner'], staff: ALL_STAFF },
+  'booking:reschedule': { roles: ADMIN, relations: ['customer', 'garageOwner'], staff: ['manager', 'receptionist'] },
+  'booking:delete': { roles: ADMIN, relations: ['customer', 'garageOwner'] },
+  'booking:quote': { roles: ADMIN, relations: ['garageOwner'], staff: ['manager', 'mechanic'] },
+  'booking:respondQuote': { relations: ['customer'] },
+
+  // Recurring booking series
+  'series:read': { roles: ADMIN, relations: ['customer', 'garageOwner'], staff: ALL_STAFF },
+  'series:manage': { roles: ADMIN, relations: ['customer', 'garageOwner'], staff: ['manager', 'receptionist'] },
+
+  // Vehicles (car owners' registry)
+  'vehicle:read': { roles: ADMIN, relations: ['owner'] },
+  'vehicle:manage': { roles: ADMIN, relations: ['owner'] },
+
+  // Reviews
+  'review:read': { roles: ADMIN, relations: ['author', 'garageOwner'], staff: MANAGERS },
+  'review:manage': { roles: ADMIN, relations: ['author'] },
+  'review:update': { roles: ADMIN, relations: ['author'] },
+  'review:delete': { roles: ADMIN, relations: ['author'] },
+  'review:manageImages': { roles: ADMIN, relations: ['author'] },
+  'review:respond': { roles: ADMIN, relations: ['garageOwner'], staff: MANAGERS },
+  'review:verify': { roles: ADMIN },
+  'review:restore': { roles: ADMIN },
+  'review:hardDelete': { roles: ADMIN },
+
+  // Services
+  'service:manage': { roles: ADMIN, relations: ['garageOwner'] },
+  'service:read': { roles: ADMIN, relations: ['garageOwner'], staff: ALL_STAFF },
+  'service:update': { roles: ADMIN, relations: ['garageOwner'], staff: MANAGERS },
+  'service:delete': { roles: ADMIN, relations: ['garageOwner'] },
+  'service:hardDelete': { roles: ADMIN, relations: ['garageOwner'] },
+  'service:toggleAvailability': { roles: ADMIN, relations: ['garageOwner'], staff: MANAGERS },
+  'service:manageFiles': { roles: ADMIN, relations: ['garageOwner'], staff: MANAGERS },
+  'service:viewBookings': { roles: ADMIN, relations: ['garageOwner'], staff: ALL_STAFF, apiKey: 'bookings:read' },
+  'service:viewAnalytics': { roles: ADMIN, relations: ['garageOwner'], staff: MANAGERS },
+  'service:restore': { roles: ADMIN }
+};
+
+// ==========================================
+// Can `user` perform `action` on `resource`?
+// Role-only actions can be checked without a resource.
+// ==========================================
+const can = (user, action, resource = null) => {
+  const rule = rules[action];
+  if (!rule) {
+    throw new Error(`Unknown policy action: ${action}`);
+  }
+
+  if (!user) return false;
+
+  // API keys only get their scoped actions, and only on their own garage
+  if (user.apiKey) {
+    if (!rule.apiKey || !resource || !user.apiKey.scopes.includes(rule.apiKey)) return false;
+    const type = action.split(':')[0];
+    return isSameId(garageIdOf[type](resource), user.apiKey.garage);
+  }
+
+  if ((rule.roles || []).includes(user.role)) return true;
+
+  if (!resource) return false;
+
+  const type = action.split(':')[0];
+  if ((rule.relations || []).some(name => relations[type][name](user, resource))) return true;
+
+  const staffRole = rule.staff ? staffRoleAt(user, garageIdOf[type](resource)) : null;
+  return Boolean(staffRole && rule.staff.includes(staffRole));
+};
+
+module.exports = {
+  rules,
+  relations,
+  can,
+  isSameId,
+  staffRoleAt
+};
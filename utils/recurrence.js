@@ -0,0 +1,104 @@
+// ==========================================
+// utils/recurrence.js
+// RRULE-like recurrence rules for booking series, e.g.
+// "FREQ=WEEKLY;INTERVAL=2;COUNT=6" or { frequency: 'weekly', interval: 2, count: 6 }
+// ==========================================
+
+const { dateKey, dayRange } = require('./scheduling');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+// Upper bound on occurrences generated for one series
+const MAX_OCCURRENCES = 52;
+
+// "FREQ=WEEKLY;INTERVAL=2;UNTIL=2026-12-31" -> { frequency, interval, until }
+const parseRRuleString = (value) => {
+  const parts = {};
+  String(value).replace(/^RRULE:/i, '').split(';').forEach(part => {
+    const [key, val] = part.split('=');
+    if (key && val) parts[key.trim().toUpperCase()] = val.trim();
+  });
+
+  return {
+    frequency: parts.FREQ && parts.FREQ.toLowerCase(),
+    interval: parts.INTERVAL,
+    count: parts.COUNT,
+    // RRULE dates are basic format: 20261231 or 20261231T000000Z
+    until: parts.UNTIL && parts.UNTIL.replace(/^(\d{4})(\d{2})(\d{2}).*$/, '$1-$2-$3')
+  };
+};
+
+// Validate a rule (string or object). Returns { rule } or { error }.
+const parseRecurrence = (input) => {
+  if (!input) return { error: 'A recurrence rule is required' };
+
+  const raw = typeof input === 'string' ? parseRRuleString(input) : input;
+  const frequency = String(raw.frequency || '').toLowerCase();
+  const interval = raw.interval === undefined ? 1 : parseInt(raw.interval);
+  const count = raw.count === undefined ? null : parseInt(raw.count);
+  const until = raw.until ? dayRange(raw.until).end : null;
+
+  if (!FREQUENCIES.includes(frequency)) {
+    return { error: `Frequency must be one of: ${FREQUENCIES.join(', ')}` };
+  }
+
+  if (!Number.isInteger(interval) || interval < 1 || interval > 52) {
+    return { error: 'Interval must be a whole number between 1 and 52' };
+  }
+
+  if (count === null && !until) {
+    return { error: 'A recurrence rule needs a count or an until date' };
+  }
+
+  if (count !== null && (!Number.isInteger(count) || count < 1 || count > MAX_OCCURRENCES)) {
+    return { error: `Count must be between 1 and ${MAX_OCCURRENCES}` };
+  }
+
+  if (until && isNaN(until)) {
+    return { error: 'Until must be a valid date' };
+  }
+
+  return { rule: { frequency, interval, count, until } };
+};
+
+// The rule as an RRULE string, for display
+const toRRule = (rule) => {
+  const parts = [`FREQ=${rule.frequency.toUpperCase()}`, `INTERVAL=${rule.interval}`];
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${dateKey(rule.until).replace(/-/g, '')}`);
+  return parts.join(';');
+};
+
+// Occurrence dates (start of day) from `startDate`.
+// Monthly rules skip months without the start day (e.g. the 31st), as RRULE does.
+const occurrenceDates = (rule, startDate) => {
+  const start = dayRange(startDate).start;
+  const limit = Math.min(rule.count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+  const dates = [];
+
+  for (let i = 0; dates.length < limit && i < MAX_OCCURRENCES * 2; i++) {
+    const date = new Date(start);
+
+    if (rule.frequency === 'daily') {
+      date.setDate(start.getDate() + i * rule.interval);
+    } else if (rule.frequency === 'weekly') {
+      date.setDate(start.getDate() + i * 7 * rule.interval);
+    } else {
+      date.setMonth(start.getMonth() + i * rule.interval);
+      if (date.getDate() !== start.getDate()) continue;
+    }
+
+    if (rule.until && date > rule.until) break;
+    dates.push(date);
+  }
+
+  return dates;
+};
+
+module.exports = {
+  FREQUENCIES,
+  MAX_OCCURRENCES,
+  parseRecurrence,
+  toRRule,
+  occurrenceDates
+};
@@ -0,0 +1,132 @@
+// ==========================================
+// utils/scheduling.js
+// Time-slot helpers shared by booking and availability code.
+// Times are "HH:MM" strings (24h), as stored in booking.timeSlot.
+// ==========================================
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Booking statuses that occupy a bay
+const ACTIVE_BOOKING_STATUSES = ['pending', 'approved', 'in_progress'];
+
+// "9:5" / "09:05" -> "09:05"; null when not a valid time
+const normalizeTime = (value) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+  if (!match) return null;
+
+  const hours = parseInt(match[1]);
+  const minutes = parseInt(match[2]);
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null;
+
+  return `${String(hours).padStart(2, '0')}:${match[2]}`;
+};
+
+// "09:30" -> 570
+const timeToMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// 570 -> "09:30"
+const minutesToTime = (total) => {
+  const hours = Math.floor(total / 60);
+  const minutes = total % 60;
+  return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
+};
+
+// Slot start times from open to close, one service duration apart
+const generateTimeSlots = (open, close, duration) => {
+  const slots = [];
+  // Guards against services stored with a zero or negative duration
+  if (!(duration > 0)) return slots;
+
+  let currentTime = timeToMinutes(open);
+  const endTime = timeToMinutes(close);
+
+  while (currentTime + duration <= endTime) {
+    slots.push(minutesToTime(currentTime));
+    currentTime += duration;
+  }
+
+  return slots;
+};
+
+// Validate and normalize a { start, end } slot; returns null when invalid
+const normalizeTimeSlot = (timeSlot) => {
+  if (!timeSlot) return null;
+
+  const start = normalizeTime(timeSlot.start);
+  const end = normalizeTime(timeSlot.end);
+  if (!start || !end || timeToMinutes(end) <= timeToMinutes(start)) return null;
+
+  return { start, end };
+};
+
+// Lower-case weekday name used as the businessHours key
+const dayNameOf = (date) => DAY_NAMES[new Date(date).getDay()];
+
+// "YYYY-MM-DD" of a date in server local time (matches dayRange)
+const dateKey = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+// A date at a given "HH:MM" time, e.g. (2026-05-01, "09:30")
+const dateAtTime = (date, time) => {
+  const start = new Date(date);
+  const minutes = timeToMinutes(time);
+  start.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+  return start;
+};
+
+// Start and end of the calendar day containing `date`
+const dayRange = (date) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(date);
+  end.setHours(23, 59, 59, 999);
+  return { start, end };
+};
+
+// Largest number of ranges running at the same moment inside [start, end).
+// Ranges are { start, end } in "HH:MM"; touching ranges don't overlap.
+const peakConcurrency = (ranges, start, end) => {
+  const windowStart = timeToMinutes(start);
+  const windowEnd = timeToMinutes(end);
+  const events = [];
+
+  ranges.forEach(range => {
+    const from = Math.max(timeToMinutes(range.start), windowStart);
+    const to = Math.min(timeToMinutes(range.end), windowEnd);
+    if (from < to) {
+      events.push([from, 1], [to, -1]);
+    }
+  });
+
+  // Ends sort before starts at the same minute
+  events.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+  let current = 0;
+  let peak = 0;
+  events.forEach(([, change]) => {
+    current += change;
+    peak = Math.max(peak, current);
+  });
+
+  return peak;
+};
+
+module.exports = {
+  DAY_NAMES,
+  ACTIVE_BOOKING_STATUSES,
+  normalizeTime,
+  normalizeTimeSlot,
+  timeToMinutes,
+  minutesToTime,
+  generateTimeSlots,
+  dayNameOf,
+  dateKey,
+  dateAtTime,
+  dayRange,
+  peakConcurrency
+};
@@ -0,0 +1,333 @@
+// ==========================================
+// utils/vehicleCatalog.js
+// Canonical vehicle makes and models, so "toyota", "TOYOTA Corolla" and
+// "Toyota" all end up as make "Toyota", model "Corolla". Also checks
+// vehicle details against the VIN and plate rules (utils/vin.js,
+// utils/plates.js).
+// ==========================================
+
+const { decodeVin } = require('./vin');
+const { normalizePlate, PLATE_FORMAT_MESSAGE } = require('./plates');
+
+// make -> { aliases, models }. Model names may list aliases after a "|",
+// e.g. 'Land Cruiser Prado|Prado'.
+const CATALOG = {
+  Toyota: {
+    aliases: [],
+    models: [
+      'Corolla', 'Camry', 'Yaris', 'Vitz', 'Land Cruiser', 'Land Cruiser Prado|Prado', 'Hilux|Hi Lux',
+      'RAV4|Rav 4', 'Hiace', 'Coaster', 'Avanza', 'Rush', 'Fortuner', 'Prius', 'Crown', 'Mark II|Mark 2',
+      'Starlet', 'Corona', 'Carina', 'Avensis', 'Auris', 'Highlander', '4Runner', 'Tacoma', 'Tundra',
+      'Sienna', 'Probox', 'Succeed', 'C-HR|CHR', 'Urban Cruiser', 'Belta', 'Passo', 'Aqua', 'Harrier',
+      'Allion', 'Premio', 'Noah', 'Voxy', 'Innova', 'Dyna', 'Hilux Surf|Surf', 'IST', 'Platz', 'Raum'
+    ]
+  },
+  Lexus: {
+    aliases: [],
+    models: ['ES', 'GS', 'IS', 'LS', 'LX', 'GX', 'RX', 'NX', 'UX']
+  },
+  Nissan: {
+    aliases: ['Datsun'],
+    models: [
+      'Sunny', 'Tiida', 'Almera', 'Sentra', 'Altima', 'Maxima', 'Note', 'March|Micra', 'Juke', 'Qashqai',
+      'X-Trail|Xtrail', 'Patrol', 'Pathfinder', 'Navara', 'Hardbody', 'Frontier', 'Urvan', 'Caravan',
+      'Murano', 'Leaf', 'Wingroad', 'AD Van|AD'
+    ]
+  },
+  Honda: {
+    aliases: [],
+    models: ['Civic', 'Accord', 'Fit|Jazz', 'CR-V|CRV', 'HR-V|HRV', 'City', 'Pilot', 'Odyssey', 'Insight', 'Vezel']
+  },
+  Mitsubishi: {
+    aliases: [],
+    models: ['Lancer', 'Pajero', 'Pajero Sport|Montero Sport', 'L200|Triton', 'Outlander', 'ASX', 'Mirage', 'Galant', 'Canter', 'Rosa']
+  },
+  Mazda: {
+    aliases: [],
+    models: ['Mazda2|Demio', 'Mazda3|Axela', 'Mazda6|Atenza', 'CX-3', 'CX-5', 'CX-9', 'BT-50|BT50', 'B-Series|B2500']
+  },
+  Suzuki: {
+    aliases: ['Maruti', 'Maruti Suzuki'],
+    models: ['Alto', 'Swift', 'Dzire', 'Celerio', 'Vitara', 'Grand Vitara', 'Jimny', 'Ertiga', 'Baleno', 'Carry', 'Every', 'S-Presso']
+  },
+  Isuzu: {
+    aliases: [],
+    models: ['D-Max|DMax', 'MU-X|MUX', 'Trooper', 'NPR', 'NQR', 'FSR', 'FVR', 'Elf', 'Forward']
+  },
+  Subaru: {
+    aliases: [],
+    models: ['Impreza', 'Legacy', 'Forester', 'Outback', 'XV', 'WRX']
+  },
+  Daihatsu: {
+    aliases: [],
+    models: ['Terios', 'Sirion', 'Mira', 'Move', 'Hijet', 'Delta']
+  },
+  Hyundai: {
+    aliases: [],
+    models: ['Accent', 'Elantra', 'Sonata', 'i10', 'i20', 'i30', 'Tucson', 'Santa Fe', 'Creta', 'H-1|H1|Starex', 'HD65', 'HD72', 'Atos', 'Getz']
+  },
+  Kia: {
+    aliases: [],
+    models: ['Picanto', 'Rio', 'Cerato', 'Optima', 'Sportage', 'Sorento', 'Seltos', 'Soul', 'Carnival', 'K2700|Bongo']
+  },
+  Ford: {
+    aliases: [],
+    models: ['Ranger', 'Everest', 'Focus', 'Fiesta', 'Escape', 'Explorer', 'F-150|F150', 'Transit', 'EcoSport', 'Mustang']
+  },
+  Chevrolet: {
+    aliases: ['Chevy'],
+    models: ['Aveo', 'Spark', 'Cruze', 'Malibu', 'Captiva', 'Trailblazer', 'Tahoe', 'Silverado', 'Optra']
+  },
+  Opel: {
+    aliases: ['Vauxhall'],
+    models: ['Astra', 'Corsa', 'Vectra', 'Zafira', 'Insignia']
+  },
+  Jeep: {
+    aliases: [],
+    models: ['Wrangler', 'Cherokee', 'Grand Cherokee', 'Compass', 'Renegade']
+  },
+  Dodge: {
+    aliases: [],
+    models: ['Ram', 'Charger', 'Durango', 'Journey']
+  },
+  Chrysler: {
+    aliases: [],
+    models: ['300', 'Pacifica', 'Voyager']
+  },
+  Volkswagen: {
+    aliases: ['VW'],
+    models: ['Golf', 'Polo', 'Passat', 'Jetta', 'Tiguan', 'Touareg', 'Amarok', 'Transporter', 'Caddy', 'Beetle', 'ID.4|ID4']
+  },
+  Audi: {
+    aliases: [],
+    models: ['A3', 'A4', 'A6', 'A8', 'Q3', 'Q5', 'Q7']
+  },
+  Skoda: {
+    aliases: [],
+    models: ['Octavia', 'Fabia', 'Superb', 'Kodiaq']
+  },
+  Seat: {
+    aliases: [],
+    models: ['Ibiza', 'Leon']
+  },
+  Porsche: {
+    aliases: [],
+    models: ['Cayenne', 'Macan', '911']
+  },
+  'Mercedes-Benz': {
+    aliases: ['Mercedes', 'Benz', 'MB'],
+    models: [
+      'A-Class|A180|A200', 'C-Class|C180|C200|C250|C300', 'E-Class|E200|E250|E300', 'S-Class|S350|S500',
+      'ML|ML350', 'GLE', 'GLC', 'G-Class|G Wagon', 'Sprinter', 'Vito', 'Actros', 'Axor'
+    ]
+  },
+  BMW: {
+    aliases: [],
+    models: ['1 Series', '3 Series', '5 Series', '7 Series', 'X1', 'X3', 'X5', 'X6']
+  },
+  Mini: {
+    aliases: [],
+    models: ['Cooper', 'Countryman']
+  },
+  Peugeot: {
+    aliases: [],
+    models: ['206', '207', '208', '301', '307', '308', '405', '406', '508', '2008', '3008', '5008', 'Partner']
+  },
+  Citroen: {
+    aliases: [],
+    models: ['C3', 'C4', 'C5', 'Berlingo']
+  },
+  Renault: {
+    aliases: [],
+    models: ['Clio', 'Megane', 'Duster', 'Logan', 'Kangoo', 'Koleos']
+  },
+  Dacia: {
+    aliases: [],
+    models: ['Duster', 'Logan', 'Sandero']
+  },
+  'Land Rover': {
+    aliases: ['Landrover', 'Range Rover'],
+    models: ['Defender', 'Discovery', 'Range Rover', 'Range Rover Sport', 'Range Rover Evoque|Evoque', 'Freelander']
+  },
+  Jaguar: {
+    aliases: [],
+    models: ['XE', 'XF', 'XJ', 'F-Pace']
+  },
+  Volvo: {
+    aliases: [],
+    models: ['S60', 'S80', 'XC60', 'XC90', 'FH', 'FM']
+  },
+  Fiat: {
+    aliases: [],
+    models: ['Uno', 'Punto', 'Palio', 'Doblo', 'Ducato', '500']
+  },
+  Iveco: {
+    aliases: [],
+    models: ['Daily', 'Eurocargo', 'Trakker']
+  },
+  Lada: {
+    aliases: [],
+    models: ['Niva', 'Granta', 'Vesta', '2107']
+  },
+  Mahindra: {
+    aliases: [],
+    models: ['Scorpio', 'Bolero', 'XUV500', 'Pik Up|Pickup']
+  },
+  Tata: {
+    aliases: [],
+    models: ['Indica', 'Nano', 'Xenon', 'LPT 613|LPT']
+  },
+  Geely: {
+    aliases: [],
+    models: ['Emgrand', 'Coolray', 'CK', 'GX3', 'Geometry C']
+  },
+  BYD: {
+    aliases: [],
+    models: ['F3', 'Atto 3', 'Dolphin', 'Seal', 'Han', 'Tang', 'Song']
+  },
+  Chery: {
+    aliases: [],
+    models: ['QQ', 'Tiggo', 'Tiggo 2', 'Tiggo 4', 'Tiggo 7', 'Tiggo 8', 'Arrizo']
+  },
+  'Great Wall': {
+    aliases: ['GWM', 'Haval'],
+    models: ['Wingle', 'Steed', 'Poer', 'H6|Haval H6', 'Jolion']
+  },
+  Changan: {
+    aliases: [],
+    models: ['CS35', 'CS55', 'Alsvin', 'Eado']
+  },
+  JAC: {
+    aliases: [],
+    models: ['J7', 'S3', 'T6', 'N-Series']
+  },
+  Tesla: {
+    aliases: [],
+    models: ['Model 3', 'Model S', 'Model X', 'Model Y']
+  }
+};
+
+// "Land-Cruiser " -> "landcruiser": spelling, spacing and case don't matter
+const keyOf = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// key -> canonical make
+const MAKE_KEYS = Object.entries(CATALOG).reduce((keys, [make, { aliases }]) => {
+  [make, ...aliases].forEach(name => { keys[keyOf(name)] = make; });
+  return keys;
+}, {});
+
+// make -> [{ key, model }], longest key first so "Land Cruiser Prado" wins over "Land Cruiser"
+const MODEL_KEYS = Object.entries(CATALOG).reduce((keys, [make, { models }]) => {
+  keys[make] = models
+    .flatMap(entry => {
+      const [model, ...aliases] = entry.split('|');
+      return [model, ...aliases].map(name => ({ key: keyOf(name), model }));
+    })
+    .sort((a, b) => b.key.length - a.key.length);
+  return keys;
+}, {});
+
+// Canonical make for what the customer typed, or null
+const normalizeMake = (value) => MAKE_KEYS[keyOf(value)] || null;
+
+// Canonical model of `make`, or null. Trims like "Corolla Altis" or
+// "Land Cruiser 200" count as their model.
+const normalizeModel = (make, value) => {
+  const key = keyOf(value);
+  if (!key || !MODEL_KEYS[make]) return null;
+
+  const match = MODEL_KEYS[make].find(entry => key === entry.key) ||
+    MODEL_KEYS[make].find(entry => key.startsWith(entry.key));
+  return match ? match.model : null;
+};
+
+// A make typed together with its model ("TOYOTA Corolla"): the make and the rest
+const splitMakeAndModel = (value) => {
+  const words = String(value || '').trim().split(/\s+/);
+
+  for (let i = words.length - 1; i > 0; i--) {
+    const make = normalizeMake(words.slice(0, i).join(' '));
+    if (make) return { make, rest: words.slice(i).join(' ') };
+  }
+  return null;
+};
+
+// Catalog as a plain list for clients: [{ make, models }]
+const catalogList = () => Object.entries(CATALOG).map(([make, { models }]) => ({
+  make,
+  models: models.map(entry => entry.split('|')[0])
+}));
+
+// Normalize and validate vehicle details from a request: canonical make and
+// model, Ethiopian plate format, and a VIN that agrees with the make. Missing
+// make and year are filled from the VIN. Returns { vehicle } or { error }.
+const normalizeVehicleDetails = ({ make, model, year, licensePlate, vin } = {}) => {
+  const vehicle = {};
+
+  let decoded = null;
+  if (vin) {
+    decoded = decodeVin(vin);
+    if (decoded.error) return { error: decoded.error };
+    vehicle.vin = decoded.vin;
+  }
+
+  let canonicalMake = make ? normalizeMake(make) : (decoded && decoded.make);
+  let typedModel = model;
+
+  if (make && !canonicalMake) {
+    const split = splitMakeAndModel(make);
+    if (split) {
+      canonicalMake = split.make;
+      typedModel = model || split.rest;
+    }
+  }
+
+  if (!canonicalMake) {
+    return { error: make ? `Unknown make "${make}". See /api/vehicles/catalog for supported makes` : 'Make is required' };
+  }
+
+  if (decoded && decoded.make && decoded.make !== canonicalMake) {
+    return { error: `The VIN belongs to a ${decoded.make}, not a ${canonicalMake}` };
+  }
+
+  // The model may repeat the make too ("TOYOTA Corolla")
+  let canonicalModel = normalizeModel(canonicalMake, typedModel);
+  if (!canonicalModel && typedModel) {
+    const split = splitMakeAndModel(typedModel);
+    if (split && split.make === canonicalMake) {
+      canonicalModel = normalizeModel(canonicalMake, split.rest);
+    }
+  }
+
+  if (!canonicalModel) {
+    return { error: typedModel ? `Unknown ${canonicalMake} model "${typedModel}". See /api/vehicles/catalog for supported models` : 'Model is required' };
+  }
+
+  vehicle.make = canonicalMake;
+  vehicle.model = canonicalModel;
+
+  if (year !== undefined && year !== null && year !== '') {
+    const numericYear = Number(year);
+    if (!Number.isInteger(numericYear) || numericYear < 1950 || numericYear > new Date().getFullYear() + 1) {
+      return { error: 'Year must be a whole year between 1950 and next year' };
+    }
+    vehicle.year = numericYear;
+  } else if (decoded && decoded.modelYear) {
+    vehicle.year = decoded.modelYear;
+  }
+
+  const plate = normalizePlate(licensePlate);
+  if (!plate) {
+    return { error: licensePlate ? PLATE_FORMAT_MESSAGE : 'License plate is required' };
+  }
+  vehicle.licensePlate = plate;
+
+  return { vehicle };
+};
+
+module.exports = {
+  normalizeMake,
+  normalizeModel,
+  catalogList,
+  normalizeVehicleDetails
+};
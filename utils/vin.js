@@ -0,0 +1,196 @@
+// ==========================================
+// utils/vin.js
+// Offline VIN decoding (ISO 3779): manufacturer from a bundled WMI table,
+// country from the first two characters, model year from position 10 and
+// the North American check digit. No external API.
+// ==========================================
+
+// World manufacturer identifiers -> make. Make names match the catalog in
+// utils/vehicleCatalog.js.
+const WMI_MAKES = {
+  // Toyota / Lexus
+  JT2: 'Toyota', JT3: 'Toyota', JT4: 'Toyota', JTD: 'Toyota', JTE: 'Toyota', JTK: 'Toyota',
+  JTL: 'Toyota', JTM: 'Toyota', JTN: 'Toyota', JT1: 'Toyota', '4T1': 'Toyota', '4T3': 'Toyota',
+  '4T4': 'Toyota', '5TD': 'Toyota', '5TF': 'Toyota', '5TE': 'Toyota', '2T1': 'Toyota',
+  '2T3': 'Toyota', MR0: 'Toyota', MR2: 'Toyota', AHT: 'Toyota', SB1: 'Toyota', NMT: 'Toyota',
+  VNK: 'Toyota', '6T1': 'Toyota', JTH: 'Lexus', JTJ: 'Lexus', '2T2': 'Lexus', '58A': 'Lexus',
+  // Nissan
+  JN1: 'Nissan', JN6: 'Nissan', JN8: 'Nissan', '1N4': 'Nissan', '1N6': 'Nissan', '5N1': 'Nissan',
+  '3N1': 'Nissan', '3N6': 'Nissan', SJN: 'Nissan', VSK: 'Nissan', MNT: 'Nissan', ADN: 'Nissan',
+  // Honda
+  JHM: 'Honda', JHL: 'Honda', '1HG': 'Honda', '2HG': 'Honda', '2HK': 'Honda', '5FN': 'Honda',
+  '5J6': 'Honda', SHH: 'Honda', SHS: 'Honda', MRH: 'Honda',
+  // Mitsubishi
+  JA3: 'Mitsubishi', JA4: 'Mitsubishi', JA7: 'Mitsubishi', JMB: 'Mitsubishi', JMY: 'Mitsubishi',
+  MMB: 'Mitsubishi', MMC: 'Mitsubishi', '4A3': 'Mitsubishi', '4A4': 'Mitsubishi',
+  // Mazda
+  JM1: 'Mazda', JM3: 'Mazda', JMZ: 'Mazda', MM0: 'Mazda', MM7: 'Mazda', '1YV': 'Mazda',
+  // Suzuki
+  JS2: 'Suzuki', JS3: 'Suzuki', JSA: 'Suzuki', MA3: 'Suzuki', TSM: 'Suzuki', MBH: 'Suzuki',
+  // Isuzu
+  JAA: 'Isuzu', JAL: 'Isuzu', JAC: 'Isuzu', MPA: 'Isuzu', '4S1': 'Isuzu', '4S2': 'Isuzu',
+  // Subaru
+  JF1: 'Subaru', JF2: 'Subaru', '4S3': 'Subaru', '4S4': 'Subaru',
+  // Daihatsu
+  JDA: 'Daihatsu',
+  // Hyundai
+  KMH: 'Hyundai', KM8: 'Hyundai', KMF: 'Hyundai', '5NP': 'Hyundai', '5NM': 'Hyundai',
+  MAL: 'Hyundai', TMA: 'Hyundai', NLH: 'Hyundai',
+  // Kia
+  KNA: 'Kia', KNC: 'Kia', KND: 'Kia', '5XY': 'Kia', '3KP': 'Kia', U5Y: 'Kia', U6Y: 'Kia',
+  // Ford
+  '1FA': 'Ford', '1FB': 'Ford', '1FC': 'Ford', '1FD': 'Ford', '1FM': 'Ford', '1FT': 'Ford',
+  '2FA': 'Ford', '2FM': 'Ford', '3FA': 'Ford', WF0: 'Ford', MNB: 'Ford', AFA: 'Ford',
+  SFA: 'Ford', '6FP': 'Ford', NM0: 'Ford',
+  // General Motors
+  '1G1': 'Chevrolet', '1GC': 'Chevrolet', '1GN': 'Chevrolet', '2G1': 'Chevrolet', '3G1': 'Chevrolet',
+  '3GN': 'Chevrolet', KL1: 'Chevrolet', KL7: 'Chevrolet', '9BG': 'Chevrolet', W0L: 'Opel', W0V: 'Opel',
+  // Stellantis (US)
+  '1J4': 'Jeep', '1J8': 'Jeep', '1C4': 'Jeep', '1B3': 'Dodge', '2B3': 'Dodge', '1C3': 'Chrysler',
+  '2C3': 'Chrysler',
+  // Volkswagen group
+  WVW: 'Volkswagen', WVG: 'Volkswagen', WV1: 'Volkswagen', WV2: 'Volkswagen', '1VW': 'Volkswagen',
+  '3VW': 'Volkswagen', '9BW': 'Volkswagen', AAV: 'Volkswagen', WAU: 'Audi', WA1: 'Audi', TRU: 'Audi',
+  TMB: 'Skoda', VSS: 'Seat', WP0: 'Porsche', WP1: 'Porsche',
+  // Mercedes-Benz
+  WDB: 'Mercedes-Benz', WDC: 'Mercedes-Benz', WDD: 'Mercedes-Benz', WDF: 'Mercedes-Benz',
+  W1K: 'Mercedes-Benz', W1N: 'Mercedes-Benz', W1V: 'Mercedes-Benz', '4JG': 'Mercedes-Benz',
+  // BMW
+  WBA: 'BMW', WBS: 'BMW', WBY: 'BMW', '5UX': 'BMW', '4US': 'BMW', WMW: 'Mini',
+  // French
+  VF3: 'Peugeot', VR3: 'Peugeot', VF7: 'Citroen', VF1: 'Renault', UU1: 'Dacia',
+  // British / Swedish / Italian
+  SAL: 'Land Rover', SAJ: 'Jaguar', YV1: 'Volvo', YV4: 'Volvo', ZFA: 'Fiat', ZCF: 'Iveco',
+  // Russian / Indian
+  XTA: 'Lada', MA1: 'Mahindra', MAT: 'Tata',
+  // Chinese
+  L6T: 'Geely', LGX: 'BYD', LC0: 'BYD', LVV: 'Chery', LGW: 'Great Wall', LS5: 'Changan',
+  LJ1: 'JAC', LFV: 'Volkswagen', LSV: 'Volkswagen',
+  // Tesla
+  '5YJ': 'Tesla', '7SA': 'Tesla'
+};
+
+// Characters a VIN can use, in the order ISO 3779 country ranges follow
+const VIN_ORDER = 'ABCDEFGHJKLMNPRSTUVWXYZ1234567890';
+
+// [first two characters from, to, country]
+const COUNTRY_RANGES = [
+  ['AA', 'AH', 'South Africa'],
+  ['JA', 'J0', 'Japan'],
+  ['KL', 'KR', 'South Korea'],
+  ['LA', 'L0', 'China'],
+  ['MA', 'ME', 'India'],
+  ['MF', 'MK', 'Indonesia'],
+  ['ML', 'MR', 'Thailand'],
+  ['NL', 'NR', 'Turkey'],
+  ['SA', 'SM', 'United Kingdom'],
+  ['SN', 'ST', 'Germany'],
+  ['SU', 'SZ', 'Poland'],
+  ['TA', 'TH', 'Switzerland'],
+  ['TJ', 'TP', 'Czech Republic'],
+  ['TR', 'TV', 'Hungary'],
+  ['UU', 'U1', 'Romania'],
+  ['U5', 'U7', 'Slovakia'],
+  ['VA', 'VE', 'Austria'],
+  ['VF', 'VR', 'France'],
+  ['VS', 'VW', 'Spain'],
+  ['WA', 'W0', 'Germany'],
+  ['XS', 'XW', 'Russia'],
+  ['YA', 'YE', 'Belgium'],
+  ['YF', 'YK', 'Finland'],
+  ['YS', 'YW', 'Sweden'],
+  ['ZA', 'ZR', 'Italy'],
+  ['1A', '10', 'United States'],
+  ['2A', '20', 'Canada'],
+  ['3A', '3W', 'Mexico'],
+  ['4A', '40', 'United States'],
+  ['5A', '50', 'United States'],
+  ['6A', '6W', 'Australia'],
+  ['7A', '7E', 'New Zealand'],
+  ['8A', '8E', 'Argentina'],
+  ['9A', '9E', 'Brazil'],
+  ['93', '99', 'Brazil']
+];
+
+// Position 10 -> year in the 1980-2009 cycle (the code repeats every 30 years)
+const MODEL_YEAR_CODES = 'ABCDEFGHJKLMNPRSTVWXY123456789'
+  .split('')
+  .reduce((codes, code, i) => ({ ...codes, [code]: 1980 + i }), {});
+
+// Check digit (position 9) transliteration and weights
+const TRANSLITERATION = {
+  A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+  J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+  S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9
+};
+const WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+
+const VIN_PATTERN = /^[A-HJ-NPR-Z0-9]{17}$/;
+
+const orderOf = (char) => VIN_ORDER.indexOf(char);
+
+const countryOf = (vin) => {
+  const second = orderOf(vin[1]);
+  const range = COUNTRY_RANGES.find(([from, to]) =>
+    from[0] === vin[0] && second >= orderOf(from[1]) && second <= orderOf(to[1])
+  );
+  return range ? range[2] : null;
+};
+
+// North American VINs must carry a valid check digit; elsewhere it's optional
+const isNorthAmerican = (vin) => '12345'.includes(vin[0]);
+
+const checkDigitOf = (vin) => {
+  const sum = vin.split('').reduce((total, char, i) => {
+    const value = /\d/.test(char) ? Number(char) : TRANSLITERATION[char];
+    return total + value * WEIGHTS[i];
+  }, 0);
+  const remainder = sum % 11;
+  return remainder === 10 ? 'X' : String(remainder);
+};
+
+// Latest year the position-10 code can stand for, not beyond next year.
+// North American VINs say which cycle: a letter in position 7 means 2010+.
+const modelYearOf = (vin) => {
+  const base = MODEL_YEAR_CODES[vin[9]];
+  if (!base) return null;
+
+  if (isNorthAmerican(vin)) {
+    return /[A-Z]/.test(vin[6]) ? base + 30 : base;
+  }
+
+  const latest = new Date().getFullYear() + 1;
+  let year = base;
+  while (year + 30 <= latest) year += 30;
+  return year;
+};
+
+// Decode a VIN. Returns { vin, wmi, make, country, modelYear, serial } or
+// { error } when the VIN is malformed or fails its check digit.
+const decodeVin = (value) => {
+  const vin = String(value || '').trim().toUpperCase().replace(/[\s-]/g, '');
+
+  if (!VIN_PATTERN.test(vin)) {
+    return { error: 'VIN must be 17 letters and digits (no I, O or Q)' };
+  }
+
+  if (isNorthAmerican(vin) && checkDigitOf(vin) !== vin[8]) {
+    return { error: 'VIN check digit does not match; please check it for typos' };
+  }
+
+  const wmi = vin.slice(0, 3);
+
+  return {
+    vin,
+    wmi,
+    make: WMI_MAKES[wmi] || null,
+    country: countryOf(vin),
+    modelYear: modelYearOf(vin),
+    serial: vin.slice(11)
+  };
+};
+
+module.exports = {
+  WMI_MAKES,
+  decodeVin
+};
@@ -0,0 +1,221 @@
+// ==========================================
+// utils/waitlist.js
+// Offering freed slots to waitlisted customers, and expiring stale offers.
+// Used after cancellations/rejections and by jobs/waitlistSweeper.js.
+// ==========================================
+
+const Garage = require('../models/garage');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const SlotHold = require('../models/SlotHold');
+const { sendMail } = require('../config/mail');
+const {
+  timeToMinutes,
+  minutesToTime,
+  generateTimeSlots,
+  dateKey,
+  dateAtTime,
+  dayRange,
+  peakConcurrency
+} = require('./scheduling');
+const { occupiedSlots, openingHoursOn, checkBayCapacity } = require('./availability');
+const mongoose = require('mongoose');
+
+// How long a waitlisted customer has to claim an offered slot (read per
+// call: server.js loads .env after the app modules)
+const holdMinutes = () => parseInt(process.env.WAITLIST_HOLD_MINUTES) || 30;
+
+// First slot of `duration` minutes inside the entry's window (and the
+// garage's opening hours) with a free bay, or null
+const firstFreeSlot = (garage, entry, duration, occupied) => {
+  const hours = openingHoursOn(garage, entry.date);
+  if (!hours) return null;
+
+  const open = entry.window.start && entry.window.start > hours.open ? entry.window.start : hours.open;
+  const close = entry.window.end && entry.window.end < hours.close ? entry.window.end : hours.close;
+  const bays = garage.serviceBays || 1;
+  const now = new Date();
+
+  for (const start of generateTimeSlots(open, close, duration)) {
+    if (dateAtTime(entry.date, start) <= now) continue;
+
+    const end = minutesToTime(timeToMinutes(start) + duration);
+    if (peakConcurrency(occupied, start, end) < bays) {
+      return { start, end };
+    }
+  }
+
+  return null;
+};
+
+// Tell the customer a slot is being held for them
+const sendOfferEmail = (entry, garage, hold) => {
+  const claimUrl = `${process.env.CLIENT_URL || 'http://localhost:3000'}/waitlist/${entry._id}`;
+  const when = `${dateKey(hold.bookingDate)} ${hold.timeSlot.start}-${hold.timeSlot.end}`;
+
+  return sendMail({
+    to: entry.carOwner.email,
+    subject: `A slot opened up at ${garage.name}`,
+    text: `Hi ${entry.carOwner.name},\n\nA slot you were waiting for is free: ${when} at ${garage.name}.\n\nWe are holding it for you until ${hold.expiresAt.toUTCString()}. Claim it here:\n\n${claimUrl}`,
+    html: `<p>Hi ${entry.carOwner.name},</p><p>A slot you were waiting for is free: <strong>${when}</strong> at ${garage.name}.</p><p>We are holding it for you until ${hold.expiresAt.toUTCString()}.</p><p><a href="${claimUrl}">Claim this slot</a></p>`
+  });
+};
+
+// Claim the entry and hold the slot for it in one transaction. The bay is
+// rechecked inside it and the garage written (as createBooking does), so a
+// concurrent promotion or booking for the same bay makes one of them fail.
+// Returns the hold, or null when the entry or the bay was taken meanwhile.
+const offerSlot = async (garage, entry, slot) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const claimed = await WaitlistEntry.updateOne(
+      { _id: entry._id, status: 'waiting' },
+      { status: 'offered', offeredAt: new Date() },
+      { session }
+    );
+    const { available } = await checkBayCapacity(garage, entry.date, slot, session);
+
+    if (claimed.modifiedCount === 0 || !available) {
+      await session.abortTransaction();
+      session.endSession();
+      return null;
+    }
+
+    const [hold] = await SlotHold.create([{
+      garage: garage._id,
+      carOwner: entry.carOwner._id,
+      bookingDate: entry.date,
+      timeSlot: slot,
+      source: 'waitlist',
+      waitlistEntry: entry._id,
+      expiresAt: new Date(Date.now() + holdMinutes() * 60 * 1000)
+    }], { session });
+    await WaitlistEntry.updateOne({ _id: entry._id }, { hold: hold._id }, { session });
+
+    await Garage.updateOne(
+      { _id: garage._id },
+      { $currentDate: { updatedAt: true } },
+      { session, timestamps: false }
+    );
+
+    await session.commitTransaction();
+    session.endSession();
+    return hold;
+  } catch (error) {
+    try { await session.abortTransaction(); } catch (e) {}
+    session.endSession();
+
+    // Lost the race for the garage; the entry keeps waiting for the next sweep
+    if (error.hasErrorLabel && error.hasErrorLabel('TransientTransactionError')) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Offer free slots on a garage's day to waiting customers, in queue order.
+// Returns the number of offers made.
+const promoteWaitlist = async (garageId, date) => {
+  const { start, end } = dayRange(date);
+  if (end < new Date()) return 0;
+
+  const garage = await Garage.findOne({ _id: garageId, isDeleted: false, status: 'active' })
+    .select('name businessHours closures serviceBays');
+  if (!garage) return 0;
+
+  const entries = await WaitlistEntry.find({
+    garage: garageId,
+    date: { $gte: start, $lte: end },
+    status: 'waiting'
+  })
+    .sort('createdAt')
+    .populate({ path: 'services', select: 'duration', options: { retainNullValues: true } })
+    .populate('carOwner', 'name email');
+
+  let offers = 0;
+
+  for (const entry of entries) {
+    // A service was removed since the customer joined; its length is unknown
+    if (!entry.carOwner || entry.services.some(service => !service)) continue;
+
+    const duration = entry.services.reduce((sum, service) => sum + service.duration, 0);
+    const occupied = (await occupiedSlots(garageId, start, end)).map(item => item.timeSlot);
+    const slot = firstFreeSlot(garage, entry, duration, occupied);
+    if (!slot) continue;
+
+    const hold = await offerSlot(garage, entry, slot);
+    if (!hold) continue;
+    offers += 1;
+
+    try {
+      await sendOfferEmail(entry, garage, hold);
+    } catch (mailError) {
+      console.error('Waitlist offer email error:', mailError);
+    }
+  }
+
+  return offers;
+};
+
+// Expire holds (waitlist offers and checkout reservations) and entries that
+// ran out, then offer freed slots to the next customers. Returns counts for
+// logging.
+const sweepWaitlist = async () => {
+  const now = new Date();
+
+  const expiredHolds = await SlotHold.find({ status: 'active', expiresAt: { $lte: now } })
+    .select('garage bookingDate waitlistEntry');
+
+  if (expiredHolds.length > 0) {
+    await SlotHold.updateMany(
+      { _id: { $in: expiredHolds.map(h => h._id) }, status: 'active' },
+      { status: 'expired' }
+    );
+    await WaitlistEntry.updateMany(
+      { hold: { $in: expiredHolds.map(h => h._id) }, status: 'offered' },
+      { status: 'expired' }
+    );
+  }
+
+  // Days that have passed can't be offered any more
+  const staleEntries = await WaitlistEntry.updateMany(
+    { status: 'waiting', date: { $lt: dayRange(now).start } },
+    { status: 'expired' }
+  );
+
+  // Every garage day with someone waiting (covers slots freed by expired holds)
+  const days = await WaitlistEntry.aggregate([
+    { $match: { status: 'waiting' } },
+    { $group: { _id: { garage: '$garage', date: '$date' } } }
+  ]);
+
+  // One failing garage day must not hold up the others
+  let offers = 0;
+  for (const { _id } of days) {
+    try {
+      offers += await promoteWaitlist(_id.garage, _id.date);
+    } catch (error) {
+      console.error(`Waitlist promotion error (garage ${_id.garage}, ${dateKey(_id.date)}):`, error);
+    }
+  }
+
+  return {
+    expiredHolds: expiredHolds.length,
+    expiredEntries: staleEntries.modifiedCount,
+    offers
+  };
+};
+
+// Promote in the background after a booking frees its slot
+const promoteWaitlistLater = (garageId, date) => {
+  promoteWaitlist(garageId, date).catch(error => {
+    console.error('Waitlist promotion error:', error);
+  });
+};
+
+module.exports = {
+  promoteWaitlist,
+  promoteWaitlistLater,
+  sweepWaitlist
+};